@@ -0,0 +1,171 @@
+// Evaluation harness: run summarizers over a reference corpus and score them with ROUGE
+//
+// A corpus is a directory of documents (.pdf, .docx, .odt, .rtf, .epub, .html, .txt) with gold summaries
+// stored next to them as <name>.summary.txt (more references: <name>.summary.2.txt, ...).
+// A manifest.json in the directory can instead list documents stored elsewhere:
+//   { "documents": [{ "name": "...", "file": "...", "summaries": ["..."], "sameTextAs": "..." }] }
+// with paths relative to the corpus directory. sameTextAs names an earlier document
+// with the same text in another format: it is scored and reported, but the mean
+// scores count every text once.
+//
+// Documents go through the same extraction (content sniffing, legacy font
+// conversion) and language validation as the summarize routes, so the scores
+// describe the summaries users get.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { extractDocument, fileTypeFromName } = require('../lib/extraction');
+const { validateLanguage } = require('../lib/validation');
+const { summarizeWithModel } = require('../summarizers');
+const { countWords } = require('../summarizers/selection');
+const { ROUGE_METRICS, scoreSummary } = require('./rouge');
+
+const MANIFEST_FILE = 'manifest.json';
+const SUMMARY_FILE = /\.summary(\.\d+)?\.txt$/;
+
+async function readManifest(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  let raw;
+  try {
+    raw = await fs.readFile(manifestPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const manifest = JSON.parse(raw);
+  return (manifest.documents || []).map(entry => ({
+    name: entry.name || path.basename(entry.file),
+    file: path.resolve(dir, entry.file),
+    summaryFiles: (entry.summaries || []).map(summary => path.resolve(dir, summary)),
+    ...(entry.sameTextAs && { sameTextAs: entry.sameTextAs }),
+  }));
+}
+
+async function discoverDocuments(dir) {
+  const files = (await fs.readdir(dir)).sort();
+  return files
+    .filter(file => !SUMMARY_FILE.test(file) && fileTypeFromName(file))
+    .map(file => {
+      const base = file.slice(0, file.lastIndexOf('.'));
+      return {
+        name: file,
+        file: path.join(dir, file),
+        summaryFiles: files
+          .filter(candidate => SUMMARY_FILE.test(candidate) && candidate.startsWith(base + '.summary'))
+          .map(candidate => path.join(dir, candidate)),
+      };
+    });
+}
+
+// Documents of a corpus with their reference summaries loaded
+async function loadCorpus(dir) {
+  const entries = (await readManifest(dir)) || (await discoverDocuments(dir));
+  const documents = [];
+  const skipped = [];
+
+  for (const entry of entries) {
+    if (entry.summaryFiles.length === 0) {
+      skipped.push({ name: entry.name, reason: 'No reference summary' });
+      continue;
+    }
+
+    const references = await Promise.all(entry.summaryFiles.map(file => fs.readFile(file, 'utf8')));
+    documents.push({ name: entry.name, file: entry.file, references, ...(entry.sameTextAs && { sameTextAs: entry.sameTextAs }) });
+  }
+
+  return { documents, skipped };
+}
+
+function averageScores(results) {
+  const aggregate = {};
+  ROUGE_METRICS.forEach(metric => {
+    const sum = { precision: 0, recall: 0, f1: 0 };
+    results.forEach(scores => {
+      Object.keys(sum).forEach(key => {
+        sum[key] += scores[metric][key];
+      });
+    });
+    Object.keys(sum).forEach(key => {
+      sum[key] = results.length > 0 ? sum[key] / results.length : 0;
+    });
+    aggregate[metric] = sum;
+  });
+  return aggregate;
+}
+
+// The text of a corpus document as the summarize routes would see it:
+// { text, fileType, conversion } or { fileType, error }
+async function readDocument(document, languageOptions) {
+  let extracted;
+  try {
+    extracted = await extractDocument(await fs.readFile(document.file));
+  } catch (error) {
+    return { error: error.code === 'UNSUPPORTED_FORMAT' ? error.message : `Could not read file: ${error.message}` };
+  }
+
+  const { text, fileType, conversion } = extracted;
+  if (!text || text.trim().length === 0) {
+    return { fileType, error: 'No text found in document' };
+  }
+
+  const validation = validateLanguage(text, languageOptions);
+  if (!validation.isValid) {
+    return { fileType, error: validation.message };
+  }
+  return { text: validation.text, fileType, conversion };
+}
+
+// Run every model over every document of the corpus and report per-document and
+// mean ROUGE. runs: [{ model, options }] with options as returned by
+// parseSummaryOptions; languageOptions as returned by parseLanguageOptions.
+// A run the fallback algorithm answered (abstractive models) is reported as an
+// error instead of being scored under the wrong name.
+async function evaluateCorpus(dir, { runs, languageOptions = {} }) {
+  const { documents, skipped } = await loadCorpus(dir);
+  const models = runs.map(run => run.model);
+  const report = [];
+  const scoresByModel = Object.fromEntries(models.map(model => [model, []]));
+
+  for (const document of documents) {
+    const { text, fileType, conversion, error } = await readDocument(document, languageOptions);
+    if (error) {
+      report.push({ name: document.name, ...(fileType && { fileType }), error });
+      continue;
+    }
+
+    const results = {};
+    for (const { model, options } of runs) {
+      const { summary, fallback } = await summarizeWithModel(text, model, options);
+      if (fallback) {
+        results[model] = { error: `${fallback.model} answered instead: ${fallback.reason}` };
+        continue;
+      }
+      const scores = scoreSummary(summary, document.references);
+      results[model] = { summaryWords: countWords(summary), ...scores };
+      if (!document.sameTextAs) scoresByModel[model].push(scores);
+    }
+
+    report.push({
+      name: document.name,
+      fileType,
+      ...(conversion && { conversion }),
+      ...(document.sameTextAs && { sameTextAs: document.sameTextAs }),
+      originalWords: countWords(text),
+      referenceWords: countWords(document.references[0]),
+      results,
+    });
+  }
+
+  const aggregate = {};
+  models.forEach(model => {
+    aggregate[model] = { documents: scoresByModel[model].length, ...averageScores(scoresByModel[model]) };
+  });
+
+  return { models, documents: report, aggregate, skipped };
+}
+
+module.exports = {
+  loadCorpus,
+  evaluateCorpus,
+};
@@ -0,0 +1,92 @@
+// ROUGE-1/2/L scoring with Kannada-aware tokenization
+//
+// Tokens are the same lowercased, punctuation-free words the summarizers see,
+// reduced to their stems so ಬೆಂಗಳೂರಿನಲ್ಲಿ in a summary matches ಬೆಂಗಳೂರು in the
+// reference. Stopwords are kept, as in the original ROUGE definition.
+
+const { tokenize, stem } = require('../lib/textAnalysis');
+
+function rougeTokens(text, { stemming = true } = {}) {
+  const tokens = tokenize(text);
+  return stemming ? tokens.map(stem) : tokens;
+}
+
+function ngramCounts(tokens, n) {
+  const counts = new Map();
+  for (let i = 0; i + n <= tokens.length; i++) {
+    const gram = tokens.slice(i, i + n).join(' ');
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+  return counts;
+}
+
+function toScore(overlap, candidateTotal, referenceTotal) {
+  const precision = candidateTotal > 0 ? overlap / candidateTotal : 0;
+  const recall = referenceTotal > 0 ? overlap / referenceTotal : 0;
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  return { precision, recall, f1 };
+}
+
+// ROUGE-N with clipped n-gram counts
+function rougeN(candidate, reference, n) {
+  const candidateCounts = ngramCounts(candidate, n);
+  const referenceCounts = ngramCounts(reference, n);
+
+  let overlap = 0;
+  candidateCounts.forEach((count, gram) => {
+    overlap += Math.min(count, referenceCounts.get(gram) || 0);
+  });
+
+  return toScore(
+    overlap,
+    Math.max(candidate.length - n + 1, 0),
+    Math.max(reference.length - n + 1, 0)
+  );
+}
+
+function lcsLength(a, b) {
+  let previous = Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const current = Array(b.length + 1).fill(0);
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1]
+        ? previous[j - 1] + 1
+        : Math.max(previous[j], current[j - 1]);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// ROUGE-L from the longest common token subsequence
+function rougeL(candidate, reference) {
+  return toScore(lcsLength(candidate, reference), candidate.length, reference.length);
+}
+
+// Score a summary against one or more references, keeping the best F1 per metric
+function scoreSummary(summary, references, options = {}) {
+  const candidate = rougeTokens(summary, options);
+  const best = {};
+
+  references.forEach(referenceText => {
+    const reference = rougeTokens(referenceText, options);
+    const scores = {
+      rouge1: rougeN(candidate, reference, 1),
+      rouge2: rougeN(candidate, reference, 2),
+      rougeL: rougeL(candidate, reference),
+    };
+    Object.entries(scores).forEach(([metric, score]) => {
+      if (!best[metric] || score.f1 > best[metric].f1) best[metric] = score;
+    });
+  });
+
+  return best;
+}
+
+module.exports = {
+  ROUGE_METRICS: ['rouge1', 'rouge2', 'rougeL'],
+  rougeTokens,
+  rougeN,
+  rougeL,
+  scoreSummary,
+};
@@ -0,0 +1,320 @@
+// Asynchronous summarization jobs
+//
+// A job stores its upload in GridFS and its state in the `jobs` collection, then
+// runs on a worker thread (jobs/worker.js). Each stage change is saved and
+// broadcast to subscribers (the Server-Sent Events route). Jobs that were queued
+// or running when the server stopped are picked up again on startup. A job whose
+// result is already cached (lib/summaryCache.js) completes at submission.
+
+const path = require('path');
+const { EventEmitter } = require('events');
+const { Worker } = require('worker_threads');
+const mongoose = require('mongoose');
+const { exportTable } = require('../lib/documentFrequency');
+const { getCachedResult, cacheResult } = require('../lib/summaryCache');
+
+const STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// Overall progress (%) when each stage starts. Uploading is reported by the client
+// itself (the request is still in flight), so the server's stages start at 10%.
+const STAGE_PROGRESS = {
+  upload: 0,
+  queued: 10,
+  extraction: 15,
+  validation: 40,
+  summarization: 50,
+  save: 90,
+  done: 100,
+};
+
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 1;
+
+// Longest original text returned inline with a finished job (longer texts stay in the stored summary)
+const MAX_INLINE_TEXT = 200000;
+
+const jobSchema = new mongoose.Schema({
+  status: { type: String, enum: STATUSES, default: 'queued' },
+  stage: { type: String, default: 'queued' },
+  progress: { type: Number, default: STAGE_PROGRESS.queued },
+  model: { type: String, required: true },
+  parameters: { type: mongoose.Schema.Types.Mixed, default: {} },
+  explain: { type: Boolean, default: false },
+  keywords: { type: Boolean, default: false },
+  // Language mode options (lib/validation.js parseLanguageOptions)
+  languageOptions: mongoose.Schema.Types.Mixed,
+  input: {
+    fileType: { type: String, required: true },
+    fileName: String,
+    size: Number,
+    uploadId: mongoose.Schema.Types.ObjectId,
+  },
+  userId: String,
+  // Key of the job's result in the summary cache
+  cacheKey: String,
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  kannadaPercentage: String,
+  // Set when the document was converted from a legacy font encoding
+  conversion: mongoose.Schema.Types.Mixed,
+  startedAt: Date,
+  finishedAt: Date,
+}, { timestamps: true });
+
+const Job = mongoose.model('Job', jobSchema);
+
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+const queue = [];
+// Ids queued or running in this process, so a job is never run twice
+const pending = new Set();
+let active = 0;
+let saveSummary = null;
+
+function uploads() {
+  if (!mongoose.connection.db) {
+    throw new Error('Database is not connected');
+  }
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'jobUploads' });
+}
+
+function storeUpload(buffer, fileName) {
+  return new Promise((resolve, reject) => {
+    const stream = uploads().openUploadStream(fileName);
+    stream.on('error', reject);
+    stream.on('finish', () => resolve(stream.id));
+    stream.end(buffer);
+  });
+}
+
+function readUpload(uploadId) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    uploads().openDownloadStream(uploadId)
+      .on('data', chunk => chunks.push(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+async function deleteUpload(uploadId) {
+  try {
+    await uploads().delete(uploadId);
+  } catch (error) {
+    console.error('Could not delete job upload:', error.message);
+  }
+}
+
+// Public view of a job (what the API returns and the event stream sends)
+function describeJob(job) {
+  return {
+    id: job._id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    model: job.model,
+    fileName: job.input.fileName,
+    fileType: job.input.fileType,
+    ...(job.error && { error: job.error }),
+    ...(job.kannadaPercentage && { kannadaPercentage: job.kannadaPercentage }),
+    ...(job.conversion && { conversion: job.conversion }),
+    ...(job.result && { result: job.result }),
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    ...(job.finishedAt && { finishedAt: job.finishedAt }),
+  };
+}
+
+async function updateJob(job, changes) {
+  Object.assign(job, changes);
+  await job.save();
+  events.emit(String(job._id), describeJob(job));
+}
+
+function subscribe(id, listener) {
+  events.on(String(id), listener);
+  return () => events.off(String(id), listener);
+}
+
+// Run the extraction → validation → summarization stages on a worker thread
+function runWorker(job, buffer, onStage) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'worker.js'), {
+      workerData: {
+        buffer,
+        fileType: job.input.fileType,
+        model: job.model,
+        options: job.parameters,
+        explain: job.explain,
+        keywords: job.keywords,
+        languageOptions: job.languageOptions,
+        maxInlineText: MAX_INLINE_TEXT,
+        corpus: exportTable(),
+      },
+    });
+
+    let settled = false;
+    worker.on('message', message => {
+      if (message.type === 'progress') {
+        onStage(message.stage);
+      } else {
+        settled = true;
+        resolve(message);
+      }
+    });
+    worker.on('error', error => {
+      settled = true;
+      reject(error);
+    });
+    worker.on('exit', code => {
+      if (!settled) reject(new Error(`Job worker stopped unexpectedly (exit code ${code})`));
+    });
+  });
+}
+
+async function processJob(id) {
+  const job = await Job.findById(id);
+  if (!job || job.status === 'completed' || job.status === 'failed') return;
+
+  try {
+    await updateJob(job, { status: 'running', startedAt: new Date() });
+    const buffer = await readUpload(job.input.uploadId);
+
+    // Stage reports arrive while the worker runs; save them in order
+    let stageUpdates = Promise.resolve();
+    const outcome = await runWorker(job, buffer, stage => {
+      stageUpdates = stageUpdates.then(() => updateJob(job, { stage, progress: STAGE_PROGRESS[stage] }));
+    });
+    await stageUpdates;
+
+    if (outcome.type === 'failed') {
+      await updateJob(job, {
+        status: 'failed',
+        error: outcome.error,
+        kannadaPercentage: outcome.kannadaPercentage,
+        conversion: outcome.conversion,
+        finishedAt: new Date(),
+      });
+    } else {
+      const { type: _, ...result } = outcome;
+      // The worker leaves the explanation of long texts out; a request with the
+      // same key must not get that trimmed result from the cache
+      const trimmed = job.explain && result.text.length > MAX_INLINE_TEXT;
+      if (job.cacheKey && !trimmed) {
+        await cacheResult(job.cacheKey, job.model, { ...result, fileType: job.input.fileType });
+      }
+      await completeJob(job, result);
+    }
+  } catch (error) {
+    console.error(`Job ${id} failed:`, error);
+    await updateJob(job, { status: 'failed', error: error.message, finishedAt: new Date() });
+  }
+
+  await deleteUpload(job.input.uploadId);
+}
+
+// Save the summary of a finished job. outcome is the worker's result, or a
+// cached one (outcome.cached).
+async function completeJob(job, outcome) {
+  await updateJob(job, { stage: 'save', progress: STAGE_PROGRESS.save });
+  const result = await saveSummary(job, outcome);
+  await updateJob(job, {
+    status: 'completed',
+    stage: 'done',
+    progress: STAGE_PROGRESS.done,
+    kannadaPercentage: outcome.kannadaPercentage,
+    conversion: outcome.conversion,
+    result: {
+      ...result,
+      ...(outcome.text.length <= MAX_INLINE_TEXT && { originalText: outcome.text }),
+    },
+    finishedAt: new Date(),
+  });
+}
+
+function drainQueue() {
+  while (active < CONCURRENCY && queue.length > 0) {
+    const id = queue.shift();
+    active++;
+    processJob(id)
+      .catch(error => console.error(`Job ${id} failed:`, error))
+      .finally(() => {
+        active--;
+        pending.delete(String(id));
+        drainQueue();
+      });
+  }
+}
+
+function enqueue(id) {
+  if (pending.has(String(id))) return;
+  pending.add(String(id));
+  queue.push(id);
+  drainQueue();
+}
+
+// Store the upload and queue a job. When the result for cacheKey is cached
+// (and force is not set), the job is completed from the cache right away.
+async function submitJob({ buffer, fileType, fileName, model, parameters, explain, keywords, languageOptions, userId, cacheKey, force }) {
+  const cached = cacheKey && !force ? await getCachedResult(cacheKey) : null;
+  if (cached) {
+    const job = await Job.create({
+      status: 'running',
+      model,
+      parameters,
+      explain,
+      keywords,
+      languageOptions,
+      input: { fileType, fileName, size: buffer.length },
+      userId,
+      cacheKey,
+      startedAt: new Date(),
+    });
+    await completeJob(job, { ...cached, cached: true });
+    return describeJob(job);
+  }
+
+  const uploadId = await storeUpload(buffer, fileName || 'text');
+  const job = await Job.create({
+    model,
+    parameters,
+    explain,
+    keywords,
+    languageOptions,
+    input: { fileType, fileName, size: buffer.length, uploadId },
+    userId,
+    cacheKey,
+  });
+  enqueue(job._id);
+  return describeJob(job);
+}
+
+// A job, or null when it does not exist or belongs to another user
+async function getJob(id, userId) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const job = await Job.findOne({ _id: id, userId });
+  return job ? describeJob(job) : null;
+}
+
+// Start processing. options.saveSummary(job, outcome) stores the finished summary
+// and returns the job result; unfinished jobs from a previous run are queued again.
+async function startJobQueue(options) {
+  saveSummary = options.saveSummary;
+
+  const unfinished = await Job.find({ status: { $in: ['queued', 'running'] } }).sort({ createdAt: 1 });
+  for (const job of unfinished) {
+    await updateJob(job, { status: 'queued', stage: 'queued', progress: STAGE_PROGRESS.queued });
+    enqueue(job._id);
+  }
+  if (unfinished.length > 0) {
+    console.log(`Resumed ${unfinished.length} unfinished summarization jobs`);
+  }
+}
+
+module.exports = {
+  STAGE_PROGRESS,
+  submitJob,
+  getJob,
+  subscribe,
+  startJobQueue,
+};
@@ -0,0 +1,74 @@
+// Summarization job worker
+//
+// Runs extraction, validation and summarization on a worker thread so the server
+// keeps answering requests (and streaming progress) while a large document is
+// processed. Progress and the outcome go back to the job runner as messages.
+
+const { parentPort, workerData } = require('worker_threads');
+const { extractDocument } = require('../lib/extraction');
+const { validateLanguage, withOtherLanguage } = require('../lib/validation');
+const { extractKeywords } = require('../lib/keywords');
+const { resetTable, getCorpusIdf } = require('../lib/documentFrequency');
+const { summarizeWithModel } = require('../summarizers');
+
+// Runs a task with console.log silenced: pdf-parse prints font warnings and
+// summarizers log every run, and the job's stage reports replace both here.
+// Other logging, and console.log outside the task, are left alone.
+async function quietly(task) {
+  const { log } = console;
+  console.log = () => {};
+  try {
+    return await task();
+  } finally {
+    console.log = log;
+  }
+}
+
+function report(stage) {
+  parentPort.postMessage({ type: 'progress', stage });
+}
+
+async function run() {
+  const { buffer, fileType, model, options, explain, keywords, languageOptions, maxInlineText, corpus } = workerData;
+  resetTable(corpus.documents, corpus.terms);
+
+  report('extraction');
+  const { text, conversion, pageCount } = await quietly(() => extractDocument(Buffer.from(buffer), fileType));
+  if (!text || text.trim().length === 0) {
+    parentPort.postMessage({ type: 'failed', error: 'No text found in document' });
+    return;
+  }
+
+  report('validation');
+  const validation = validateLanguage(text, languageOptions);
+  if (!validation.isValid) {
+    parentPort.postMessage({ type: 'failed', error: validation.message, kannadaPercentage: validation.percentage, conversion });
+    return;
+  }
+
+  report('summarization');
+  const result = await quietly(() => summarizeWithModel(validation.text, model, options));
+  const extracted = keywords ? extractKeywords(validation.text, { idf: getCorpusIdf() }) : null;
+
+  parentPort.postMessage({
+    type: 'result',
+    text: validation.text,
+    kannadaPercentage: validation.percentage,
+    conversion,
+    ...(pageCount && { pageCount }),
+    summary: withOtherLanguage(result.summary, validation.language),
+    sentenceCount: result.sentenceCount,
+    // Explanations of very long documents are too large to send to the browser
+    ...(explain && result.sentences && validation.text.length <= maxInlineText && { sentences: result.sentences }),
+    ...(result.tree && { tree: result.tree }),
+    ...(result.abstractive && { abstractive: result.abstractive }),
+    ...(result.fallback && { fallback: result.fallback }),
+    ...(result.query && { query: result.query }),
+    ...(validation.language && { language: validation.language }),
+    ...(extracted && { keywords: extracted.keywords, keyphrases: extracted.keyphrases }),
+  });
+}
+
+run().catch(error => {
+  parentPort.postMessage({ type: 'failed', error: error.message });
+});
@@ -0,0 +1,162 @@
+// Abstractive summarization providers
+//
+// A provider sends one piece of text to a language model and resolves to the
+// summary it writes. The built-in provider speaks the Hugging Face Inference API
+// (POST { inputs, parameters } answered with [{ summary_text }]); any server with
+// the same request and answer works, including scripts/mockAbstractive.js.
+// Other providers register a factory under a name and are chosen with
+// ABSTRACTIVE_PROVIDER.
+//
+// Provider interface: { id, model, maxInputChars, summarize(text, { maxTokens, deadline }) }
+// where deadline (a Date.now() timestamp, optional) is when the whole document
+// must be done; no request or retry wait should run past it.
+
+const axios = require('axios');
+
+const HUGGING_FACE_INFERENCE_URL = 'https://router.huggingface.co/hf-inference/models';
+
+// Base wait before a retry; doubled on every attempt unless the server sends Retry-After
+const RETRY_DELAY_MS = 1000;
+// Longest wait before a retry. A provider that asks for more (Retry-After) is
+// not retried, so the fallback algorithm answers instead of the request hanging.
+const MAX_RETRY_DELAY_MS = 5000;
+
+function providerConfig() {
+  return {
+    apiUrl: process.env.ABSTRACTIVE_API_URL,
+    model: process.env.ABSTRACTIVE_MODEL,
+    apiKey: process.env.HUGGINGFACE_API_KEY,
+    timeoutMs: (Number(process.env.ABSTRACTIVE_TIMEOUT_SECONDS) || 60) * 1000,
+    retries: process.env.ABSTRACTIVE_RETRIES === undefined ? 2 : Math.max(Number(process.env.ABSTRACTIVE_RETRIES) || 0, 0),
+    // Kannada takes several model tokens per character; this keeps a chunk
+    // inside the 512-1024 token input of common summarization models
+    maxInputChars: Number(process.env.ABSTRACTIVE_MAX_INPUT_CHARS) || 1500,
+  };
+}
+
+function providerError(message) {
+  const error = new Error(message);
+  error.code = 'PROVIDER_FAILED';
+  return error;
+}
+
+// Network errors, timeouts, rate limits and server errors are worth another try
+function isRetryable(error) {
+  return !error.response || error.response.status === 429 || error.response.status >= 500;
+}
+
+function retryDelay(error, attempt) {
+  const retryAfter = error.response && Number(error.response.headers['retry-after']);
+  return retryAfter > 0 ? retryAfter * 1000 : RETRY_DELAY_MS * 2 ** attempt;
+}
+
+function isTimeout(error) {
+  return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+}
+
+function failureReason(error, timeoutMs) {
+  if (isTimeout(error)) {
+    const seconds = timeoutMs / 1000;
+    return `the provider did not answer within ${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  if (error.response) {
+    const detail = error.response.data && error.response.data.error;
+    return `the provider answered with status ${error.response.status}${typeof detail === 'string' ? ` (${detail})` : ''}`;
+  }
+  return error.message;
+}
+
+// Calls request(timeoutMs) until it succeeds, retrying failures worth another
+// try. Nothing runs past the deadline: the last attempt's timeout is cut short,
+// and a retry whose wait would end after it is not made.
+async function withRetries(request, { retries, timeoutMs }, deadline = Infinity) {
+  for (let attempt = 0; ; attempt++) {
+    // axios treats a timeout of 0 as none
+    const attemptTimeoutMs = Math.max(Math.min(timeoutMs, deadline - Date.now()), 1);
+    try {
+      return await request(attemptTimeoutMs);
+    } catch (error) {
+      const tries = attempt + 1;
+      const failed = reason => providerError(`Abstractive summarization failed after ${tries} attempt${tries === 1 ? '' : 's'}: ${reason}`);
+      if (attemptTimeoutMs < timeoutMs && isTimeout(error)) {
+        throw failed('the time for the whole text ran out');
+      }
+      const reason = failureReason(error, timeoutMs);
+      if (attempt >= retries || !isRetryable(error)) {
+        throw failed(reason);
+      }
+
+      const delay = retryDelay(error, attempt);
+      if (delay > MAX_RETRY_DELAY_MS) {
+        throw failed(`${reason}, and it asked to wait ${Math.ceil(delay / 1000)} seconds before another try`);
+      }
+      if (Date.now() + delay >= deadline) {
+        throw failed(`${reason}, and no time is left for another try`);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+function createHuggingFaceProvider(config) {
+  const url = config.apiUrl || (config.model && `${HUGGING_FACE_INFERENCE_URL}/${config.model}`);
+
+  return {
+    id: 'huggingface',
+    model: config.model || url,
+    maxInputChars: config.maxInputChars,
+
+    async summarize(text, { maxTokens, deadline }) {
+      if (!url) {
+        throw providerError('No abstractive model is configured (set ABSTRACTIVE_MODEL or ABSTRACTIVE_API_URL)');
+      }
+
+      const response = await withRetries(timeoutMs => axios.post(
+        url,
+        {
+          inputs: text,
+          parameters: { max_length: maxTokens, min_length: Math.round(maxTokens / 4) },
+          // Hugging Face loads idle models on demand; wait instead of answering 503
+          options: { wait_for_model: true },
+        },
+        {
+          timeout: timeoutMs,
+          headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+        }
+      ), config, deadline);
+
+      const [answer] = [].concat(response.data);
+      const summary = answer && (answer.summary_text || answer.generated_text);
+      if (typeof summary !== 'string' || !summary.trim()) {
+        throw providerError('Abstractive summarization failed: the provider returned no summary');
+      }
+      return summary.trim();
+    },
+  };
+}
+
+const factories = new Map([['huggingface', createHuggingFaceProvider]]);
+let provider = null;
+
+function registerProvider(id, factory) {
+  factories.set(id, factory);
+  provider = null;
+}
+
+// The provider named by ABSTRACTIVE_PROVIDER (default huggingface), created on first use
+function getAbstractiveProvider() {
+  if (!provider) {
+    const id = process.env.ABSTRACTIVE_PROVIDER || 'huggingface';
+    const factory = factories.get(id);
+    if (!factory) {
+      throw providerError(`Unknown abstractive provider "${id}". Available providers: ${[...factories.keys()].join(', ')}.`);
+    }
+    provider = factory(providerConfig());
+  }
+  return provider;
+}
+
+module.exports = {
+  registerProvider,
+  getAbstractiveProvider,
+};
@@ -0,0 +1,355 @@
+// Main article text of a web page (readability-style boilerplate removal)
+//
+// News pages wrap the story in menus, share buttons, related links and ads.
+// Every block of prose scores points for its parent and grandparent element
+// (longer paragraphs and more commas score more); the best-scoring container,
+// discounted by how much of its text is link text, is taken as the article,
+// together with siblings that score nearly as well. Paragraph boundaries are
+// kept as blank lines so the segmenter and the section finder can use them.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { parseDocument, DomUtils } = require('htmlparser2');
+
+// Elements that never hold article text
+const REMOVED_ELEMENTS = new Set([
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'svg', 'canvas',
+  'form', 'button', 'input', 'select', 'textarea', 'nav', 'aside', 'footer', 'header', 'menu', 'dialog',
+]);
+
+// Class and id hints
+const UNLIKELY_CANDIDATES = /\bad-|\bads?\b|advert|banner|breadcrumb|comment|cookie|footer|masthead|menu|nav|newsletter|popup|promo|related|share|sidebar|social|sponsor|subscribe|tags|trending|widget/i;
+const LIKELY_CANDIDATES = /article|body|content|entry|main|page|post|story|text/i;
+const POSITIVE_WEIGHT = /article|body|content|entry|main|post|story|text/i;
+const NEGATIVE_WEIGHT = /\bad-|\bads?\b|advert|comment|footer|meta|promo|related|share|sidebar|social|sponsor|widget/i;
+
+// Elements whose text counts as a paragraph of its own
+const PARAGRAPH_ELEMENTS = new Set(['p', 'pre', 'blockquote', 'li', 'td', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const BLOCK_ELEMENTS = new Set([
+  ...PARAGRAPH_ELEMENTS, 'div', 'section', 'article', 'main', 'ul', 'ol', 'table', 'tbody', 'tr',
+  'figure', 'figcaption', 'h1', 'dl', 'dd', 'dt', 'br', 'hr',
+]);
+
+const MIN_PARAGRAPH_LENGTH = 25;
+// Below this the extraction probably missed the article; fall back to the whole page
+const MIN_ARTICLE_LENGTH = 200;
+
+function isElement(node) {
+  return node.type === 'tag' || node.type === 'script' || node.type === 'style';
+}
+
+function classAndId(element) {
+  return `${element.attribs.class || ''} ${element.attribs.id || ''}`;
+}
+
+function normalizeSpace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function innerText(node) {
+  return normalizeSpace(DomUtils.textContent(node));
+}
+
+function linkDensity(element, textLength) {
+  if (textLength === 0) return 0;
+  const linkLength = DomUtils.getElementsByTagName('a', element, true)
+    .reduce((sum, link) => sum + innerText(link).length, 0);
+  return linkLength / textLength;
+}
+
+function classWeight(element) {
+  const hints = classAndId(element);
+  return (POSITIVE_WEIGHT.test(hints) ? 25 : 0) - (NEGATIVE_WEIGHT.test(hints) ? 25 : 0);
+}
+
+// Drop elements that are never article text, and containers whose class or id marks them as page furniture
+function removeBoilerplate(node) {
+  for (const child of [...(node.children || [])]) {
+    if (child.type === 'comment' || child.type === 'directive') {
+      DomUtils.removeElement(child);
+    } else if (isElement(child)) {
+      const hints = classAndId(child);
+      const unlikely = UNLIKELY_CANDIDATES.test(hints) && !LIKELY_CANDIDATES.test(hints)
+        && child.name !== 'body' && child.name !== 'article' && child.name !== 'main';
+      if (REMOVED_ELEMENTS.has(child.name) || unlikely || child.attribs.hidden !== undefined) {
+        DomUtils.removeElement(child);
+      } else {
+        removeBoilerplate(child);
+      }
+    }
+  }
+}
+
+function hasBlockChildren(element) {
+  return element.children.some(child => isElement(child) && BLOCK_ELEMENTS.has(child.name));
+}
+
+// Paragraph-like elements: <p> and friends, plus <div>s that hold text directly (common on news sites)
+function scorableElements(root) {
+  return DomUtils.findAll(element => (
+    PARAGRAPH_ELEMENTS.has(element.name) || (element.name === 'div' && !hasBlockChildren(element))
+  ), root.children || []);
+}
+
+function findTopCandidate(root) {
+  const scores = new Map();
+  const addScore = (element, points) => {
+    if (!element || !isElement(element)) return;
+    if (!scores.has(element)) {
+      scores.set(element, (element.name === 'article' ? 10 : element.name === 'div' ? 5 : 0) + classWeight(element));
+    }
+    scores.set(element, scores.get(element) + points);
+  };
+
+  scorableElements(root).forEach(element => {
+    const text = innerText(element);
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    // Kannada news text uses the same comma as English
+    const points = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(element.parent, points);
+    addScore(element.parent && element.parent.parent, points / 2);
+  });
+
+  let top = null;
+  let topScore = 0;
+  scores.forEach((score, element) => {
+    const adjusted = score * (1 - linkDensity(element, innerText(element).length));
+    scores.set(element, adjusted);
+    if (adjusted > topScore) {
+      top = element;
+      topScore = adjusted;
+    }
+  });
+
+  return { top, topScore, scores };
+}
+
+// The top candidate plus siblings that look like part of the same article
+function articleElements(top, topScore, scores) {
+  if (!top.parent) return [top];
+  const threshold = Math.max(10, topScore * 0.2);
+
+  return top.parent.children.filter(sibling => {
+    if (sibling === top) return true;
+    if (!isElement(sibling)) return false;
+    if ((scores.get(sibling) || 0) >= threshold) return true;
+    if (sibling.name !== 'p') return false;
+
+    const text = innerText(sibling);
+    const density = linkDensity(sibling, text.length);
+    return (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /[.!?।]$/.test(text));
+  });
+}
+
+// Paragraph texts in document order, skipping link lists and fragments
+function collectParagraphs(elements) {
+  const paragraphs = [];
+
+  const walk = (node) => {
+    if (!isElement(node)) return;
+    const leaf = PARAGRAPH_ELEMENTS.has(node.name) || node.name === 'h1' || !hasBlockChildren(node);
+    if (!leaf) {
+      node.children.forEach(walk);
+      return;
+    }
+
+    const text = innerText(node);
+    if (text.length === 0 || linkDensity(node, text.length) > 0.5) return;
+    paragraphs.push(text);
+  };
+
+  elements.forEach(walk);
+  return paragraphs;
+}
+
+function metaContent(document, attribute, value) {
+  const meta = DomUtils.findOne(element => (
+    element.name === 'meta' && (element.attribs[attribute] || '').toLowerCase() === value
+  ), document.children);
+  return meta ? normalizeSpace(meta.attribs.content || '') : '';
+}
+
+// og:title, then <title> without a " | Site name" suffix, then the first <h1>
+function findTitle(document) {
+  const openGraph = metaContent(document, 'property', 'og:title');
+  if (openGraph) return openGraph;
+
+  const titleElement = DomUtils.findOne(element => element.name === 'title', document.children);
+  const title = titleElement ? innerText(titleElement) : '';
+  if (title) {
+    const parts = title.split(/\s+[|\-–—:»]\s+/);
+    return parts.length > 1 && parts[0].length >= 15 ? parts[0] : title;
+  }
+
+  const heading = DomUtils.findOne(element => element.name === 'h1', document.children);
+  return heading ? innerText(heading) : '';
+}
+
+// { title, text, paragraphs } for an HTML page
+function extractArticle(html) {
+  const document = parseDocument(html);
+  const title = findTitle(document);
+
+  const body = DomUtils.findOne(element => element.name === 'body', document.children) || document;
+  removeBoilerplate(body);
+
+  const { top, topScore, scores } = findTopCandidate(body);
+  let paragraphs = top ? collectParagraphs(articleElements(top, topScore, scores)) : [];
+
+  if (paragraphs.join(' ').length < MIN_ARTICLE_LENGTH) {
+    paragraphs = collectParagraphs([body]);
+  }
+  // The headline often repeats inside the article body
+  if (title && paragraphs[0] === title) paragraphs.shift();
+
+  return { title, text: paragraphs.join('\n\n'), paragraphs };
+}
+
+// Limits for fetching a page by URL
+const FETCH_TIMEOUT_MS = (Number(process.env.ARTICLE_FETCH_TIMEOUT_SECONDS) || 15) * 1000;
+const MAX_PAGE_BYTES = (Number(process.env.ARTICLE_MAX_PAGE_MB) || 5) * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+// Errors about the URL itself (the client should get a 400, not a 500)
+function invalidUrl(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_URL';
+  return error;
+}
+
+// Loopback, private, link-local and other addresses that are not on the public
+// internet. BlockList checks IPv4-mapped IPv6 addresses (::ffff:7f00:1) against
+// the IPv4 ranges; the other IPv6 ranges that embed an IPv4 address
+// (compatible, NAT64, 6to4, Teredo) are refused whole.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2001::', 32], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+  return PRIVATE_ADDRESSES.check(address, family);
+}
+
+// Parsed http(s) URL, or an INVALID_URL error
+function parsePageUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    throw invalidUrl('Invalid URL');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw invalidUrl('Only http and https URLs can be fetched');
+  }
+  return parsed;
+}
+
+// The server must not be usable to reach machines on its own network
+async function checkPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    throw invalidUrl('URLs on the local network cannot be fetched');
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch {
+    throw invalidUrl(`Host not found: ${host}`);
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw invalidUrl('URLs on the local network cannot be fetched');
+  }
+}
+
+// dns.lookup for the fetch agents. The name is resolved again when the socket
+// connects, so the addresses checked here are the ones connected to: a DNS
+// answer that turns private after checkPublicHost (DNS rebinding) is refused.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      const lookupError = new Error('URLs on the local network cannot be fetched');
+      lookupError.code = 'PRIVATE_ADDRESS';
+      return callback(lookupError);
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// Download a web page: { buffer, charset, url } where url is the address after redirects
+async function fetchPage(url) {
+  let current = parsePageUrl(url);
+  await checkPublicHost(current.hostname);
+
+  // Redirects are followed by hand so every hop is checked like the first
+  for (let redirects = 0; ; redirects++) {
+    let response;
+    try {
+      response = await axios.get(current.href, {
+        responseType: 'arraybuffer',
+        timeout: FETCH_TIMEOUT_MS,
+        maxContentLength: MAX_PAGE_BYTES,
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+        // A proxy would be the host connected to, and the page's host would go unchecked
+        proxy: false,
+        validateStatus: status => status < 400 || status === 404,
+        headers: { Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5' },
+      });
+    } catch (error) {
+      if (error.code === 'PRIVATE_ADDRESS') {
+        throw invalidUrl(error.message);
+      }
+      const reason = error.code === 'ECONNABORTED' ? 'the site took too long to respond'
+        : error.response ? `the site answered with status ${error.response.status}`
+        : error.message;
+      const fetchError = new Error(`Could not fetch ${current.href}: ${reason}`);
+      fetchError.code = 'FETCH_FAILED';
+      throw fetchError;
+    }
+
+    if (response.status >= 300 && response.status < 400 && response.headers.location) {
+      if (redirects >= MAX_REDIRECTS) {
+        const fetchError = new Error(`Could not fetch ${url}: too many redirects`);
+        fetchError.code = 'FETCH_FAILED';
+        throw fetchError;
+      }
+      current = parsePageUrl(new URL(response.headers.location, current).href);
+      await checkPublicHost(current.hostname);
+      continue;
+    }
+    if (response.status === 404) {
+      throw invalidUrl(`Page not found: ${current.href}`);
+    }
+
+    const contentType = String(response.headers['content-type'] || '');
+    if (contentType && !/html|xml|text\/plain/i.test(contentType)) {
+      throw invalidUrl(`The URL points to ${contentType.split(';')[0]}, not a web page`);
+    }
+    const charset = /charset\s*=\s*["']?([\w-]+)/i.exec(contentType);
+
+    return { buffer: Buffer.from(response.data), charset: charset ? charset[1] : null, url: current.href };
+  }
+}
+
+module.exports = {
+  extractArticle,
+  fetchPage,
+  parsePageUrl,
+};
@@ -0,0 +1,275 @@
+// User accounts and token sessions
+//
+// Passwords are stored as scrypt hashes with a per-user salt. Logging in
+// creates a session with a random bearer token; only the token's SHA-256 hash
+// is stored, so a leaked database does not leak usable tokens. Sessions expire
+// after SESSION_TTL_DAYS (MongoDB removes them through a TTL index).
+//
+// Failed logins are counted per client address, and per username from each
+// address; past a limit, those logins wait until the window ends. Counting a
+// username per address keeps others from locking an account with wrong passwords.
+//
+// Job progress streams are opened with EventSource, which cannot send an
+// Authorization header. Instead of the session token in the URL (where proxy
+// logs and browser history would keep it), they take an event token: signed,
+// valid for one job for EVENT_TOKEN_TTL_MINUTES, and accepted nowhere else.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const EVENT_TOKEN_TTL_MS = (Number(process.env.EVENT_TOKEN_TTL_MINUTES) || 15) * 60 * 1000;
+
+// Signs event tokens; several server instances behind one address need the same EVENT_TOKEN_SECRET
+const EVENT_TOKEN_SECRET = process.env.EVENT_TOKEN_SECRET || crypto.randomBytes(32);
+
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const KEY_LENGTH = 64;
+
+// Failed logins allowed in LOGIN_WINDOW_MS, for one username from one address and
+// for all usernames from one address. The address limit is higher: users behind
+// one NAT or proxy share it.
+const LOGIN_WINDOW_MS = (Number(process.env.LOGIN_WINDOW_MINUTES) || 15) * 60 * 1000;
+const MAX_FAILED_LOGINS_PER_USERNAME = Number(process.env.MAX_FAILED_LOGINS_PER_USERNAME) || 10;
+const MAX_FAILED_LOGINS_PER_ADDRESS = Number(process.env.MAX_FAILED_LOGINS_PER_ADDRESS) || 50;
+// Counters kept before expired ones are swept
+const MAX_LOGIN_COUNTERS = 10000;
+
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true },
+  // "salt:hash", both hex
+  passwordHash: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+const sessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expireAfterSeconds: 0 } },
+});
+
+const User = mongoose.model('User', userSchema);
+const Session = mongoose.model('Session', sessionSchema);
+
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+function validateCredentials(username, password) {
+  if (!USERNAME_PATTERN.test(normalizeUsername(username))) {
+    return {
+      isValid: false,
+      message: 'Username must be 3-32 characters: letters, digits, dots, dashes or underscores.',
+    };
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return {
+      isValid: false,
+      message: `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters.`,
+    };
+  }
+  return { isValid: true };
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Hash checked when a username does not exist, so the answer takes as long
+// as a wrong password and does not tell which usernames are registered
+let dummyPasswordHash = null;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Public view of a user
+function describeUser(user) {
+  return { id: String(user._id), username: user.username };
+}
+
+async function createSession(user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await Session.create({ tokenHash: hashToken(token), userId: user._id, expiresAt });
+  return { token, expiresAt, user: describeUser(user) };
+}
+
+// New account and a session for it, or { error } when the name is taken
+async function registerUser(username, password) {
+  const name = normalizeUsername(username);
+  if (await User.exists({ username: name })) {
+    return { error: 'Username is already taken' };
+  }
+
+  let user;
+  try {
+    user = await User.create({ username: name, passwordHash: await hashPassword(password) });
+  } catch (error) {
+    // Two registrations for the same name at once
+    if (error.code === 11000) return { error: 'Username is already taken' };
+    throw error;
+  }
+  return createSession(user);
+}
+
+// A session for valid credentials, or null
+async function loginUser(username, password) {
+  const user = await User.findOne({ username: normalizeUsername(username) });
+  if (!user) {
+    dummyPasswordHash = dummyPasswordHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(String(password || ''), await dummyPasswordHash);
+    return null;
+  }
+  if (!(await verifyPassword(String(password || ''), user.passwordHash))) {
+    return null;
+  }
+  return createSession(user);
+}
+
+// Failed login counters: key -> { count, resetAt }
+const failedLogins = new Map();
+
+function loginCounterKeys(address, username) {
+  return [
+    { key: `address:${address}`, limit: MAX_FAILED_LOGINS_PER_ADDRESS },
+    { key: `username:${address}:${normalizeUsername(username)}`, limit: MAX_FAILED_LOGINS_PER_USERNAME },
+  ];
+}
+
+// Seconds until a login from the address for the username is allowed again, 0 when it is allowed now
+function loginRetryAfter(address, username, now = Date.now()) {
+  const waits = loginCounterKeys(address, username).map(({ key, limit }) => {
+    const counter = failedLogins.get(key);
+    return counter && counter.resetAt > now && counter.count >= limit ? counter.resetAt - now : 0;
+  });
+  return Math.ceil(Math.max(...waits) / 1000);
+}
+
+function recordFailedLogin(address, username, now = Date.now()) {
+  if (failedLogins.size >= MAX_LOGIN_COUNTERS) {
+    failedLogins.forEach((counter, key) => {
+      if (counter.resetAt <= now) failedLogins.delete(key);
+    });
+  }
+
+  loginCounterKeys(address, username).forEach(({ key }) => {
+    const counter = failedLogins.get(key);
+    if (counter && counter.resetAt > now) {
+      counter.count += 1;
+    } else {
+      failedLogins.set(key, { count: 1, resetAt: now + LOGIN_WINDOW_MS });
+    }
+  });
+}
+
+// A successful login clears the username's count; the address keeps its count,
+// or logging in to one's own account would reset it between guesses
+function clearFailedLogins(address, username) {
+  failedLogins.delete(loginCounterKeys(address, username)[1].key);
+}
+
+async function logoutSession(token) {
+  await Session.deleteOne({ tokenHash: hashToken(token) });
+}
+
+// Bearer token of a request
+function requestToken(req) {
+  const header = req.get('authorization') || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+function signEventPayload(payload) {
+  return crypto.createHmac('sha256', EVENT_TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+// Token that lets a user follow one job's progress stream
+function issueEventToken(jobId, userId, now = Date.now()) {
+  const payload = `${jobId}.${userId}.${now + EVENT_TOKEN_TTL_MS}`;
+  return `${Buffer.from(payload).toString('base64url')}.${signEventPayload(payload)}`;
+}
+
+// The user id of a valid, unexpired event token for the job, or null
+function verifyEventToken(token, jobId, now = Date.now()) {
+  const [encoded, signature] = String(token || '').split('.');
+  if (!encoded || !signature) return null;
+
+  const payload = Buffer.from(encoded, 'base64url').toString();
+  const expected = Buffer.from(signEventPayload(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  const [tokenJobId, userId, expiresAt] = payload.split('.');
+  return tokenJobId === String(jobId) && Number(expiresAt) > now ? userId : null;
+}
+
+// Middleware: sets req.user ({ id, username }) and req.sessionToken, or answers 401
+async function requireUser(req, res, next) {
+  try {
+    const token = requestToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Please log in' });
+    }
+
+    const session = await Session.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } })
+      .populate('userId');
+    if (!session || !session.userId) {
+      return res.status(401).json({ error: 'Your session has expired. Please log in again.' });
+    }
+
+    req.user = describeUser(session.userId);
+    req.sessionToken = token;
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Middleware for a job's progress stream: sets req.user ({ id }) from the event
+// token in the token query parameter, or authenticates the session like requireUser
+function requireEventToken(req, res, next) {
+  if (req.query.token === undefined) {
+    return requireUser(req, res, next);
+  }
+
+  const userId = verifyEventToken(req.query.token, req.params.id);
+  if (!userId) {
+    return res.status(401).json({ error: 'This progress link has expired. Open the job again to follow it.' });
+  }
+  req.user = { id: userId };
+  next();
+}
+
+module.exports = {
+  validateCredentials,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  registerUser,
+  loginUser,
+  loginRetryAfter,
+  recordFailedLogin,
+  clearFailedLogins,
+  logoutSession,
+  requireUser,
+  issueEventToken,
+  verifyEventToken,
+  requireEventToken,
+};
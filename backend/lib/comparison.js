@@ -0,0 +1,85 @@
+// Side-by-side comparison of summarizers on one text (POST /api/summarize/compare)
+//
+// Every algorithm summarizes the same text with its own options. The report
+// gives each summary's size statistics and runtime, which algorithms chose each
+// summary sentence, and how many sentences every pair of summaries shares.
+
+const { performance } = require('perf_hooks');
+const { summaryStatistics } = require('./statistics');
+const { getSummarizer, summarizeWithModel, summarySentencesOf } = require('../summarizers');
+
+// Sentences are matched on their text with whitespace collapsed
+function sentenceKey(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// 'all', 'some' or 'one' of the compared algorithms chose a sentence
+function agreementOf(count, total) {
+  if (count === total) return 'all';
+  return count === 1 ? 'one' : 'some';
+}
+
+// runs: [{ model, options }] with options as returned by parseSummaryOptions;
+// document ({ pageCount }) goes into the statistics.
+// Returns { results, overlap }: per algorithm the summary, statistics, runtime and
+// sentences (each with chosenBy and agreement), and per pair of algorithms the
+// shared sentence count and Jaccard overlap. With a query (options.query) each
+// sentence also names the query keywords it matched.
+async function compareSummarizers(text, runs, document = {}) {
+  const runsDone = [];
+  for (const { model, options } of runs) {
+    const started = performance.now();
+    const result = await summarizeWithModel(text, model, options);
+    const runtimeMs = Number((performance.now() - started).toFixed(1));
+    runsDone.push({ model, result, runtimeMs, keys: new Set(summarySentencesOf(result).map(s => sentenceKey(s.text))) });
+  }
+
+  const chosenBy = new Map();
+  runsDone.forEach(({ model, keys }) => keys.forEach(key => {
+    if (!chosenBy.has(key)) chosenBy.set(key, []);
+    chosenBy.get(key).push(model);
+  }));
+
+  const overlap = [];
+  for (let i = 0; i < runsDone.length; i++) {
+    for (let j = i + 1; j < runsDone.length; j++) {
+      const a = runsDone[i].keys;
+      const b = runsDone[j].keys;
+      const shared = [...a].filter(key => b.has(key)).length;
+      const union = a.size + b.size - shared;
+      overlap.push({
+        models: [runsDone[i].model, runsDone[j].model],
+        shared,
+        jaccard: union > 0 ? Number((shared / union).toFixed(3)) : 0,
+      });
+    }
+  }
+
+  return {
+    results: runsDone.map(({ model, result, runtimeMs }) => ({
+      model,
+      name: getSummarizer(model).name,
+      summary: result.summary,
+      ...(result.tree && { mode: 'hierarchical' }),
+      ...(result.abstractive && { mode: 'abstractive' }),
+      ...(result.fallback && { fallback: result.fallback }),
+      runtimeMs,
+      statistics: summaryStatistics(text, result.summary, document),
+      // With a query, result.query.sentences lists the same sentences with the keywords they matched
+      sentences: summarySentencesOf(result).map((sentence, index) => {
+        const models = chosenBy.get(sentenceKey(sentence.text));
+        return {
+          ...sentence,
+          chosenBy: models,
+          agreement: agreementOf(models.length, runsDone.length),
+          ...(result.query && { matchedTerms: result.query.sentences[index].matchedTerms }),
+        };
+      }),
+    })),
+    overlap,
+  };
+}
+
+module.exports = {
+  compareSummarizers,
+};
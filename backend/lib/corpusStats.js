@@ -0,0 +1,120 @@
+// MongoDB persistence for the corpus document-frequency table
+//
+// Every saved summary's original text is added to the table as a background
+// update; the whole table can be rebuilt from the Summary history at any time.
+// Both count the text as stored (originalText, possibly truncated, and for
+// multi-document summaries all the documents together), so they count the same
+// documents.
+
+const mongoose = require('mongoose');
+const { documentHash, documentTerms, addDocument, resetTable, describeTable } = require('./documentFrequency');
+
+const corpusTermSchema = new mongoose.Schema({
+  term: { type: String, required: true, unique: true },
+  df: { type: Number, required: true },
+});
+
+// One entry per distinct document text (the _id is its content hash)
+const corpusDocumentSchema = new mongoose.Schema({
+  _id: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+const CorpusTerm = mongoose.model('CorpusTerm', corpusTermSchema);
+const CorpusDocument = mongoose.model('CorpusDocument', corpusDocumentSchema);
+
+const BATCH_SIZE = 1000;
+
+let rebuilding = false;
+let lastRebuild = null;
+// Texts stored while a rebuild runs. Its cursor may have passed them already,
+// and it replaces the table, so they are counted once it is done.
+const pendingDocuments = [];
+
+async function loadCorpusStats() {
+  const [documents, terms] = await Promise.all([
+    CorpusDocument.find({}, { _id: 1 }).lean(),
+    CorpusTerm.find({}, { term: 1, df: 1 }).lean(),
+  ]);
+  resetTable(documents.map(d => d._id), terms.map(t => [t.term, t.df]));
+  console.log(`Corpus statistics loaded: ${documents.length} documents, ${terms.length} terms`);
+}
+
+async function persistDocument({ hash, terms }) {
+  const inserted = await CorpusDocument.updateOne({ _id: hash }, { $setOnInsert: { _id: hash } }, { upsert: true });
+  // Another server instance already counted this text
+  if (inserted.upsertedCount === 0) return;
+
+  for (let i = 0; i < terms.length; i += BATCH_SIZE) {
+    await CorpusTerm.bulkWrite(terms.slice(i, i + BATCH_SIZE).map(term => ({
+      updateOne: { filter: { term }, update: { $inc: { df: 1 } }, upsert: true },
+    })), { ordered: false });
+  }
+}
+
+// Count a newly stored document (a summary's originalText); the database write
+// happens in the background
+function recordDocument(text) {
+  if (rebuilding) {
+    pendingDocuments.push(text);
+    return;
+  }
+
+  const added = addDocument(text);
+  if (!added) return;
+
+  persistDocument(added).catch(error => {
+    console.error('Corpus statistics update failed:', error);
+  });
+}
+
+// Recompute the table from every stored summary's original text
+async function rebuildCorpusStats(Summary) {
+  if (rebuilding) {
+    throw new Error('A corpus statistics rebuild is already running');
+  }
+  rebuilding = true;
+
+  try {
+    const hashes = new Set();
+    const df = new Map();
+
+    for await (const summary of Summary.find({}, { originalText: 1 }).lean().cursor()) {
+      const hash = documentHash(summary.originalText);
+      if (hashes.has(hash)) continue;
+      hashes.add(hash);
+      documentTerms(summary.originalText).forEach(term => {
+        df.set(term, (df.get(term) || 0) + 1);
+      });
+    }
+
+    await CorpusDocument.deleteMany({});
+    await CorpusTerm.deleteMany({});
+    const documents = [...hashes].map(hash => ({ _id: hash }));
+    const terms = [...df].map(([term, count]) => ({ term, df: count }));
+    for (let i = 0; i < documents.length; i += BATCH_SIZE) {
+      await CorpusDocument.insertMany(documents.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+    for (let i = 0; i < terms.length; i += BATCH_SIZE) {
+      await CorpusTerm.insertMany(terms.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+
+    resetTable(hashes, df);
+    lastRebuild = new Date();
+  } finally {
+    rebuilding = false;
+    pendingDocuments.splice(0).forEach(recordDocument);
+  }
+  return inspectCorpusStats();
+}
+
+function inspectCorpusStats(limit) {
+  return { ...describeTable(limit), rebuilding, lastRebuild };
+}
+
+module.exports = {
+  loadCorpusStats,
+  recordDocument,
+  rebuildCorpusStats,
+  inspectCorpusStats,
+};
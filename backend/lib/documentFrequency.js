@@ -0,0 +1,85 @@
+// Corpus document-frequency table
+//
+// Counts how many stored documents contain each term, so summarizers and keyword
+// extraction can discount words that are common to all Kannada text. The table
+// lives in memory; lib/corpusStats.js loads it from MongoDB and persists updates.
+
+const crypto = require('crypto');
+const { extractTerms } = require('./textAnalysis');
+
+// Below this many documents the statistics are too thin to trust
+const MIN_DOCUMENTS = Number(process.env.IDF_MIN_DOCUMENTS) || 10;
+
+const table = {
+  documents: new Set(),
+  df: new Map(),
+};
+
+// Identity of a document's content, so the same text summarized twice counts once
+function documentHash(text) {
+  return crypto.createHash('sha1').update(text.trim()).digest('hex');
+}
+
+function documentTerms(text) {
+  return [...new Set(extractTerms(text))];
+}
+
+// Add a document to the table; returns its hash and distinct terms, or null if already counted
+function addDocument(text) {
+  const hash = documentHash(text);
+  if (table.documents.has(hash)) return null;
+
+  const terms = documentTerms(text);
+  table.documents.add(hash);
+  terms.forEach(term => {
+    table.df.set(term, (table.df.get(term) || 0) + 1);
+  });
+  return { hash, terms };
+}
+
+// Replace the whole table (after loading from the database or a rebuild)
+function resetTable(hashes, entries) {
+  table.documents = new Set(hashes);
+  table.df = new Map(entries);
+}
+
+// Plain copy of the table (for worker threads, which have their own module instance)
+function exportTable() {
+  return { documents: [...table.documents], terms: [...table.df] };
+}
+
+function idf(term) {
+  const n = table.documents.size;
+  return 1 + Math.log((n + 1) / ((table.df.get(term) || 0) + 1));
+}
+
+// idf(term) once the corpus is large enough, otherwise null (callers fall back to plain frequency)
+function getCorpusIdf() {
+  return table.documents.size >= MIN_DOCUMENTS ? idf : null;
+}
+
+// Summary of the table with the rarest (highest IDF) and most common (lowest IDF) terms
+function describeTable(limit = 20) {
+  const ranked = [...table.df]
+    .map(([term, df]) => ({ term, df, idf: idf(term) }))
+    .sort((a, b) => b.idf - a.idf || a.term.localeCompare(b.term));
+
+  return {
+    documents: table.documents.size,
+    terms: table.df.size,
+    minDocuments: MIN_DOCUMENTS,
+    active: table.documents.size >= MIN_DOCUMENTS,
+    top: ranked.slice(0, limit),
+    bottom: ranked.slice(-limit).reverse(),
+  };
+}
+
+module.exports = {
+  documentHash,
+  documentTerms,
+  addDocument,
+  resetTable,
+  exportTable,
+  getCorpusIdf,
+  describeTable,
+};
@@ -0,0 +1,274 @@
+// Export a stored summary as a document (GET /api/summaries/:id/export)
+//
+// Every format carries the same report: the summary, the original text, the
+// algorithm and its parameters, size statistics and the creation time.
+
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { Document, Packer, Paragraph, TextRun, HeadingLevel } = require('docx');
+const { getSummarizer } = require('../summarizers');
+const { summaryStatistics } = require('./statistics');
+
+const EXPORT_FORMATS = {
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+};
+
+const HEADINGS = {
+  summary: 'ಸಾರಾಂಶ (Summary)',
+  original: 'ಮೂಲ ಪಠ್ಯ (Original Text)',
+  details: 'ವಿವರಗಳು (Details)',
+};
+
+const STATISTIC_LABELS = {
+  pageCount: 'PDF pages',
+  originalCharacters: 'Original characters',
+  summaryCharacters: 'Summary characters',
+  originalWords: 'Original words',
+  summaryWords: 'Summary words',
+  originalSentences: 'Original sentences',
+  summarySentences: 'Summary sentences',
+  compressionRatio: 'Compression ratio',
+  originalReadingMinutes: 'Original reading time (minutes)',
+  summaryReadingMinutes: 'Summary reading time (minutes)',
+  readingMinutesSaved: 'Reading time saved (minutes)',
+  originalKannadaPercentage: 'Kannada share of the original (%)',
+  summaryKannadaPercentage: 'Kannada share of the summary (%)',
+};
+
+// Noto Sans Kannada is published as a Kannada and a Latin subset; the PDF
+// embeds both and switches between them by script
+const FONT_DIR = path.join(path.dirname(require.resolve('@fontsource/noto-sans-kannada/package.json')), 'files');
+const PDF_FONTS = {
+  kannada: path.join(FONT_DIR, 'noto-sans-kannada-kannada-400-normal.woff'),
+  kannadaBold: path.join(FONT_DIR, 'noto-sans-kannada-kannada-700-normal.woff'),
+  latin: path.join(FONT_DIR, 'noto-sans-kannada-latin-400-normal.woff'),
+  latinBold: path.join(FONT_DIR, 'noto-sans-kannada-latin-700-normal.woff'),
+};
+
+// Word documents cannot carry these fonts, so they name fonts Word users have:
+// Nirmala UI ships with Windows and covers Kannada (the complex-script slot)
+const DOCX_FONT = { ascii: 'Calibri', hAnsi: 'Calibri', cs: 'Nirmala UI' };
+
+// Kannada letters with the spaces and dandas between them, so a Kannada
+// phrase is shaped as one run
+const KANNADA_RUN = /([\u0C80-\u0CFF\u200C\u200D]+(?:[ \u0964\u0965]+[\u0C80-\u0CFF\u200C\u200D]+)*)/;
+
+function formatTimestamp(date) {
+  return new Date(date).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+}
+
+function formatValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Paragraphs of a text, one per blank-line separated block (or per line when there are none)
+function paragraphsOf(text) {
+  const blocks = text.split(/\n\s*\n/);
+  const paragraphs = blocks.length > 1 ? blocks : text.split('\n');
+  return paragraphs.map(paragraph => paragraph.replace(/\s*\n\s*/g, ' ').trim()).filter(Boolean);
+}
+
+// Everything the formats render, from a stored Summary document
+function buildReport(summary) {
+  const summarizer = getSummarizer(summary.model);
+
+  return {
+    id: String(summary._id),
+    ...(summary.title && { title: summary.title }),
+    ...(summary.sourceUrl && { sourceUrl: summary.sourceUrl }),
+    model: summary.model,
+    algorithm: summarizer ? summarizer.name : summary.model,
+    parameters: summary.parameters || {},
+    fileType: summary.fileType,
+    ...(summary.sources && summary.sources.length > 0 && { sources: summary.sources.map(({ name, fileType }) => ({ name, fileType })) }),
+    // Summaries saved before statistics were stored get them computed here
+    statistics: summary.statistics || summaryStatistics(summary.originalText, summary.summarizedText),
+    createdAt: new Date(summary.createdAt).toISOString(),
+    summary: summary.summarizedText,
+    originalText: summary.originalText,
+    originalTextTruncated: Boolean(summary.originalTextTruncated),
+  };
+}
+
+// Label/value rows of the details section
+function detailRows(report) {
+  return [
+    ['Algorithm', `${report.algorithm} (${report.model})`],
+    ...(report.sourceUrl ? [['Source', report.sourceUrl]] : []),
+    ...(report.sources ? [['Documents', report.sources.map(source => source.name).join(', ')]] : []),
+    ...Object.entries(report.parameters).map(([name, value]) => [`Parameter ${name}`, formatValue(value)]),
+    ...Object.entries(report.statistics).map(([name, value]) => [STATISTIC_LABELS[name] || name, formatValue(value)]),
+    ['Generated', formatTimestamp(report.createdAt)],
+  ];
+}
+
+function originalTextNote(report) {
+  return report.originalTextTruncated ? 'The original text was too long to store in full and ends early.' : null;
+}
+
+function renderText(report) {
+  const rule = '━'.repeat(40);
+  const note = originalTextNote(report);
+
+  return [
+    ...(report.title ? [report.title, ''] : []),
+    `${HEADINGS.original}:`,
+    '',
+    report.originalText,
+    ...(note ? ['', note] : []),
+    '',
+    rule,
+    '',
+    `${HEADINGS.summary}:`,
+    '',
+    report.summary,
+    '',
+    rule,
+    '',
+    ...detailRows(report).map(([label, value]) => `${label}: ${value}`),
+    '',
+  ].join('\n');
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]#|<>])/g, '\\$1');
+}
+
+function renderMarkdown(report) {
+  const note = originalTextNote(report);
+
+  return [
+    `# ${escapeMarkdown(report.title || 'Kannada Summary')}`,
+    '',
+    `## ${HEADINGS.summary}`,
+    '',
+    paragraphsOf(report.summary).map(escapeMarkdown).join('\n\n'),
+    '',
+    `## ${HEADINGS.original}`,
+    '',
+    paragraphsOf(report.originalText).map(escapeMarkdown).join('\n\n'),
+    ...(note ? ['', `*${note}*`] : []),
+    '',
+    `## ${HEADINGS.details}`,
+    '',
+    '| | |',
+    '|---|---|',
+    ...detailRows(report).map(([label, value]) => `| ${escapeMarkdown(label)} | ${escapeMarkdown(value)} |`),
+    '',
+  ].join('\n');
+}
+
+async function renderDocx(report) {
+  const heading = (text, level) => new Paragraph({ text, heading: level, spacing: { before: 240, after: 120 } });
+  const body = text => paragraphsOf(text).map(paragraph => new Paragraph({
+    children: [new TextRun(paragraph)],
+    spacing: { after: 160 },
+  }));
+  const note = originalTextNote(report);
+
+  const document = new Document({
+    creator: 'Kannada Summarizer',
+    title: report.title || 'Kannada Summary',
+    styles: {
+      default: {
+        document: { run: { font: DOCX_FONT, size: 24, sizeComplexScript: 24 } },
+      },
+    },
+    sections: [{
+      children: [
+        heading(report.title || 'Kannada Summary', HeadingLevel.TITLE),
+        heading(HEADINGS.summary, HeadingLevel.HEADING_1),
+        ...body(report.summary),
+        heading(HEADINGS.original, HeadingLevel.HEADING_1),
+        ...body(report.originalText),
+        ...(note ? [new Paragraph({ children: [new TextRun({ text: note, italics: true })] })] : []),
+        heading(HEADINGS.details, HeadingLevel.HEADING_1),
+        ...detailRows(report).map(([label, value]) => new Paragraph({
+          children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(value)],
+        })),
+      ],
+    }],
+  });
+
+  return Packer.toBuffer(document);
+}
+
+// Write a paragraph in runs of Kannada and Latin text, each in the font that has its glyphs
+function writePdfParagraph(pdf, text, { bold = false, size = 11, gap = 0.6 } = {}) {
+  const runs = text.split(KANNADA_RUN).filter(Boolean);
+  pdf.fontSize(size);
+  runs.forEach((run, index) => {
+    const script = KANNADA_RUN.test(run) ? 'kannada' : 'latin';
+    pdf.font(bold ? `${script}Bold` : script).text(run, { continued: index < runs.length - 1, lineGap: 3 });
+  });
+  pdf.moveDown(gap);
+}
+
+function renderPdf(report) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({
+      size: 'A4',
+      margin: 56,
+      info: { Title: report.title || 'Kannada Summary', Creator: 'Kannada Summarizer' },
+    });
+    Object.entries(PDF_FONTS).forEach(([name, file]) => pdf.registerFont(name, file));
+
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    const heading = text => writePdfParagraph(pdf, text, { bold: true, size: 15, gap: 0.4 });
+    const note = originalTextNote(report);
+
+    if (report.title) writePdfParagraph(pdf, report.title, { bold: true, size: 18 });
+    heading(HEADINGS.summary);
+    paragraphsOf(report.summary).forEach(paragraph => writePdfParagraph(pdf, paragraph));
+    heading(HEADINGS.original);
+    paragraphsOf(report.originalText).forEach(paragraph => writePdfParagraph(pdf, paragraph));
+    if (note) writePdfParagraph(pdf, note, { size: 9 });
+    heading(HEADINGS.details);
+    detailRows(report).forEach(([label, value]) => writePdfParagraph(pdf, `${label}: ${value}`, { size: 10, gap: 0.2 }));
+
+    pdf.end();
+  });
+}
+
+// { content, contentType, extension } for a stored summary in one of the EXPORT_FORMATS
+async function exportSummary(summary, format) {
+  const report = buildReport(summary);
+  const { contentType, extension } = EXPORT_FORMATS[format];
+
+  let content;
+  switch (format) {
+    case 'txt':
+      // The byte order mark makes Notepad and Excel pick UTF-8
+      content = `\uFEFF${renderText(report)}`;
+      break;
+    case 'md':
+      content = renderMarkdown(report);
+      break;
+    case 'json':
+      content = JSON.stringify(report, null, 2);
+      break;
+    case 'docx':
+      content = await renderDocx(report);
+      break;
+    case 'pdf':
+      content = await renderPdf(report);
+      break;
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+
+  return { content, contentType, extension };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportSummary,
+};
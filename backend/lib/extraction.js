@@ -0,0 +1,247 @@
+// Text extraction for uploaded documents
+//
+// Used by the upload routes and the evaluation harness, so both see exactly
+// the same text for a given file. The format of an upload is detected from its
+// content (detectFileType), never from the name or MIME type the client sent.
+
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const { normalizeLegacyText } = require('./legacyEncoding');
+const { htmlToText, odfToText } = require('./markup');
+const { extractArticle } = require('./article');
+const { rtfToText } = require('./rtf');
+
+const EXTENSIONS = {
+  '.pdf': 'pdf',
+  '.docx': 'word',
+  '.odt': 'odt',
+  '.rtf': 'rtf',
+  '.epub': 'epub',
+  '.html': 'html',
+  '.htm': 'html',
+  '.txt': 'text',
+};
+
+// Human-readable names, used in error messages
+const FILE_TYPE_LABELS = {
+  pdf: 'PDF',
+  word: 'Word document',
+  odt: 'OpenDocument text',
+  rtf: 'RTF document',
+  epub: 'EPUB book',
+  html: 'HTML page',
+  text: 'text file',
+};
+
+const SUPPORTED_FORMATS_MESSAGE = 'Supported formats: PDF, Word (.docx), OpenDocument (.odt), RTF, EPUB, HTML and plain text (UTF-8 or UTF-16).';
+
+const OLE2_SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+const ZIP_SIGNATURE = Buffer.from('PK\x03\x04', 'latin1');
+
+const ZIP_MIMETYPES = {
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/epub+zip': 'epub',
+};
+
+// Errors about the file itself (the client should get a 400, not a 500)
+function unsupportedFormat(message) {
+  const error = new Error(message);
+  error.code = 'UNSUPPORTED_FORMAT';
+  return error;
+}
+
+// File type for a file name, or undefined
+function fileTypeFromName(fileName) {
+  const dot = fileName.lastIndexOf('.');
+  return dot === -1 ? undefined : EXTENSIONS[fileName.slice(dot).toLowerCase()];
+}
+
+// Text encoding of a plain-text buffer: 'utf-8', 'utf-16le', 'utf-16be',
+// 'windows-1252' (8-bit text, such as Nudi/Baraha documents saved as text),
+// or null for binary data
+function detectTextEncoding(buffer) {
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf-16le';
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf-16be';
+
+  // UTF-16 without a byte order mark: spaces, digits and punctuation put NUL
+  // bytes on one side of each code unit. UTF-8 text never contains NUL.
+  const sample = buffer.subarray(0, 4096);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  let controls = 0;
+  sample.forEach((byte, index) => {
+    if (byte === 0) {
+      if (index % 2 === 0) evenZeros++;
+      else oddZeros++;
+    } else if (byte < 0x20 && ![0x09, 0x0A, 0x0C, 0x0D].includes(byte)) {
+      controls++;
+    }
+  });
+
+  const zeros = evenZeros + oddZeros;
+  if (zeros > 0) {
+    if (oddZeros >= zeros * 0.9) return 'utf-16le';
+    if (evenZeros >= zeros * 0.9) return 'utf-16be';
+    return null;
+  }
+  if (controls > sample.length * 0.01) return null;
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return 'utf-8';
+  } catch {
+    return 'windows-1252';
+  }
+}
+
+// TextDecoder also drops the byte order mark
+function decodeText(buffer, encoding) {
+  return new TextDecoder(encoding).decode(buffer);
+}
+
+// Text of an HTML page: the charset declared by the server, then a <meta>
+// charset in the page itself, then the encoding detected from the bytes
+function decodeHtml(buffer, declaredCharset) {
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const metaCharset = /<meta[^>]+charset\s*=\s*["']?([\w-]+)/i.exec(head);
+  for (const charset of [declaredCharset, metaCharset && metaCharset[1]]) {
+    if (!charset) continue;
+    try {
+      return decodeText(buffer, charset.toLowerCase());
+    } catch {
+      // Unknown charset label: try the next source
+    }
+  }
+  return decodeText(buffer, detectTextEncoding(buffer) || 'utf-8');
+}
+
+function looksLikeHtml(text) {
+  const start = text.slice(0, 2048).trimStart().toLowerCase();
+  return /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<(!doctype html|html|head|body)\b/.test(start);
+}
+
+async function detectZipType(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    throw unsupportedFormat(`The file is a damaged ZIP archive. ${SUPPORTED_FORMATS_MESSAGE}`);
+  }
+
+  const mimetype = zip.file('mimetype');
+  if (mimetype) {
+    const type = ZIP_MIMETYPES[(await mimetype.async('string')).trim()];
+    if (type) return type;
+  }
+  if (zip.file('word/document.xml')) return 'word';
+
+  throw unsupportedFormat(`ZIP archives other than Word (.docx), OpenDocument (.odt) and EPUB files are not supported. ${SUPPORTED_FORMATS_MESSAGE}`);
+}
+
+// Detect the real format of an upload from its leading bytes
+async function detectFileType(buffer) {
+  if (buffer.length === 0) {
+    throw unsupportedFormat('The file is empty.');
+  }
+  if (buffer.subarray(0, 1024).includes('%PDF-')) return 'pdf';
+  if (buffer.subarray(0, 8).equals(OLE2_SIGNATURE)) {
+    throw unsupportedFormat('Legacy Word (.doc) files are not supported. Open the file in Word or LibreOffice, save it as .docx and upload it again.');
+  }
+  if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) return detectZipType(buffer);
+  if (buffer.subarray(0, 5).toString('latin1') === '{\\rtf') return 'rtf';
+
+  const encoding = detectTextEncoding(buffer);
+  if (!encoding) {
+    throw unsupportedFormat(`Unsupported file format. ${SUPPORTED_FORMATS_MESSAGE}`);
+  }
+  return looksLikeHtml(decodeText(buffer.subarray(0, 4096), encoding)) ? 'html' : 'text';
+}
+
+// Chapters of an EPUB in reading order (the spine of its package document)
+async function extractEpubText(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const parser = new DOMParser();
+
+  const container = zip.file('META-INF/container.xml');
+  const rootfile = container && parser
+    .parseFromString(await container.async('string'), 'text/xml')
+    .getElementsByTagName('rootfile')[0];
+  const packagePath = rootfile && rootfile.getAttribute('full-path');
+  const packageFile = packagePath && zip.file(packagePath);
+  if (!packageFile) {
+    throw unsupportedFormat('The EPUB file has no package document.');
+  }
+
+  const packageDocument = parser.parseFromString(await packageFile.async('string'), 'text/xml');
+  const baseDir = packagePath.includes('/') ? packagePath.slice(0, packagePath.lastIndexOf('/') + 1) : '';
+  const manifest = {};
+  const items = packageDocument.getElementsByTagName('item');
+  for (let i = 0; i < items.length; i++) {
+    manifest[items[i].getAttribute('id')] = items[i].getAttribute('href');
+  }
+
+  const chapters = [];
+  const spine = packageDocument.getElementsByTagName('itemref');
+  for (let i = 0; i < spine.length; i++) {
+    const href = manifest[spine[i].getAttribute('idref')];
+    if (!href || spine[i].getAttribute('linear') === 'no') continue;
+
+    const chapter = zip.file(baseDir + decodeURIComponent(href.split('#')[0]));
+    if (chapter) chapters.push(htmlToText(await chapter.async('string')));
+  }
+
+  return chapters.filter(Boolean).join('\n\n');
+}
+
+// { text } of a document; PDFs also report their page count (pageCount)
+async function extractRawText(buffer, fileType) {
+  switch (fileType) {
+    case 'pdf': {
+      const pdfData = await pdfParse(buffer);
+      return { text: pdfData.text, pageCount: pdfData.numpages };
+    }
+    case 'word': {
+      const result = await mammoth.extractRawText({ buffer });
+      return { text: result.value };
+    }
+    case 'odt': {
+      const zip = await JSZip.loadAsync(buffer);
+      const content = zip.file('content.xml');
+      if (!content) throw unsupportedFormat('The OpenDocument file has no content.');
+      return { text: odfToText(await content.async('string')) };
+    }
+    case 'rtf':
+      return { text: rtfToText(buffer.toString('latin1')) };
+    case 'epub':
+      return { text: await extractEpubText(buffer) };
+    case 'html': {
+      // Web pages keep only the article; pages the extractor finds nothing in keep all their text
+      const html = decodeHtml(buffer);
+      return { text: extractArticle(html).text || htmlToText(html) };
+    }
+    case 'text':
+      return { text: decodeText(buffer, detectTextEncoding(buffer) || 'utf-8') };
+    default:
+      throw unsupportedFormat(`Unsupported file type: ${fileType}`);
+  }
+}
+
+// Extracted text plus how it was obtained: { text, fileType, conversion } and,
+// for PDFs, pageCount. The file type is detected when not given. Documents
+// typeset in legacy Nudi/Baraha fonts (or text copied from them) are converted
+// to Unicode; conversion is null otherwise.
+async function extractDocument(buffer, fileType) {
+  const type = fileType || await detectFileType(buffer);
+  const { text, pageCount } = await extractRawText(buffer, type);
+  return { ...normalizeLegacyText(text), fileType: type, ...(pageCount && { pageCount }) };
+}
+
+module.exports = {
+  FILE_TYPE_LABELS,
+  fileTypeFromName,
+  decodeHtml,
+  detectFileType,
+  extractDocument,
+};
@@ -0,0 +1,171 @@
+// Keyword and keyphrase extraction
+//
+// Terms are scored two ways and the normalized scores are averaged:
+//   - TF-IDF, with sentences as the "documents" (a word repeated across the whole
+//     text is less topical than one concentrated in a few sentences)
+//   - TextRank over a co-occurrence graph of content words
+// Keyphrases are runs of consecutive content words, scored by their member terms.
+
+const { segmentSentences } = require('./segmenter');
+const { tokenize, stem, isStopword } = require('./textAnalysis');
+
+const METHODS = ['combined', 'tfidf', 'textrank'];
+const COOCCURRENCE_WINDOW = 3;
+const MAX_PHRASE_WORDS = 4;
+
+// Sentence token streams; stopwords, numbers and punctuation become null phrase breaks
+function analyzeSentences(text) {
+  return segmentSentences(text).map(({ text: sentence }) => {
+    const tokens = [];
+    sentence.split(/\s+/).forEach(raw => {
+      const [word] = tokenize(raw);
+      if (!word || isStopword(word) || /^\d+$/.test(word)) {
+        tokens.push(null);
+      } else {
+        const term = stem(word);
+        tokens.push(term.length >= 2 && !isStopword(term) ? { word, term } : null);
+      }
+      if (/[,;:\-–—)]$/.test(raw)) tokens.push(null);
+    });
+    return tokens;
+  });
+}
+
+// Sentence-level inverse document frequency
+function sentenceIdf(sentences) {
+  const df = new Map();
+  sentences.forEach(tokens => {
+    new Set(tokens.filter(Boolean).map(t => t.term)).forEach(term => {
+      df.set(term, (df.get(term) || 0) + 1);
+    });
+  });
+  const n = sentences.length;
+  return term => 1 + Math.log((n + 1) / ((df.get(term) || 0) + 1));
+}
+
+function textRankTerms(sentences, { dampingFactor = 0.85, iterations = 30 } = {}) {
+  const neighbours = new Map();
+  const link = (a, b) => {
+    if (a === b) return;
+    if (!neighbours.has(a)) neighbours.set(a, new Set());
+    if (!neighbours.has(b)) neighbours.set(b, new Set());
+    neighbours.get(a).add(b);
+    neighbours.get(b).add(a);
+  };
+
+  sentences.forEach(tokens => {
+    const terms = tokens.filter(Boolean).map(t => t.term);
+    terms.forEach((term, i) => {
+      if (!neighbours.has(term)) neighbours.set(term, new Set());
+      for (let j = i + 1; j < Math.min(i + COOCCURRENCE_WINDOW, terms.length); j++) {
+        link(term, terms[j]);
+      }
+    });
+  });
+
+  let scores = new Map([...neighbours.keys()].map(term => [term, 1]));
+  for (let iter = 0; iter < iterations; iter++) {
+    const next = new Map();
+    neighbours.forEach((links, term) => {
+      let sum = 0;
+      links.forEach(other => {
+        sum += scores.get(other) / neighbours.get(other).size;
+      });
+      next.set(term, (1 - dampingFactor) + dampingFactor * sum);
+    });
+    scores = next;
+  }
+  return scores;
+}
+
+function normalize(scores) {
+  const max = [...scores.values()].reduce((a, b) => Math.max(a, b), 0);
+  return new Map([...scores].map(([term, score]) => [term, max > 0 ? score / max : 0]));
+}
+
+function mostCommon(counts) {
+  return [...counts].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Ranked keywords and keyphrases of a text.
+// options.idf(term) can supply corpus-level weights in place of the sentence-level IDF.
+function extractKeywords(text, { limit = 10, method = 'combined', idf } = {}) {
+  const sentences = analyzeSentences(text);
+  const weight = idf || sentenceIdf(sentences);
+
+  const counts = new Map();
+  const surfaceForms = new Map();
+  sentences.forEach(tokens => {
+    tokens.filter(Boolean).forEach(({ word, term }) => {
+      counts.set(term, (counts.get(term) || 0) + 1);
+      if (!surfaceForms.has(term)) surfaceForms.set(term, new Map());
+      const forms = surfaceForms.get(term);
+      forms.set(word, (forms.get(word) || 0) + 1);
+    });
+  });
+
+  const tfidf = normalize(new Map([...counts].map(([term, count]) => [term, count * weight(term)])));
+  const textRank = normalize(textRankTerms(sentences));
+
+  const termScores = new Map([...counts.keys()].map(term => {
+    const score = method === 'tfidf' ? tfidf.get(term)
+      : method === 'textrank' ? textRank.get(term) || 0
+      : (tfidf.get(term) + (textRank.get(term) || 0)) / 2;
+    return [term, score];
+  }));
+
+  const keywords = [...termScores]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([term, score]) => ({
+      text: mostCommon(surfaceForms.get(term)),
+      stem: term,
+      score,
+      count: counts.get(term),
+      forms: [...surfaceForms.get(term).keys()],
+    }));
+
+  // Keyphrases: runs of 2..MAX_PHRASE_WORDS content words, grouped by their stems
+  const phrases = new Map();
+  sentences.forEach(tokens => {
+    let run = [];
+    [...tokens, null].forEach(token => {
+      if (token) {
+        run.push(token);
+        return;
+      }
+      for (let size = 2; size <= Math.min(MAX_PHRASE_WORDS, run.length); size++) {
+        for (let start = 0; start + size <= run.length; start++) {
+          const words = run.slice(start, start + size);
+          const key = words.map(t => t.term).join(' ');
+          if (!phrases.has(key)) phrases.set(key, { terms: words.map(t => t.term), count: 0, forms: new Map() });
+          const phrase = phrases.get(key);
+          const form = words.map(t => t.word).join(' ');
+          phrase.count++;
+          phrase.forms.set(form, (phrase.forms.get(form) || 0) + 1);
+        }
+      }
+      run = [];
+    });
+  });
+
+  const keyphrases = [...phrases.values()]
+    .map(phrase => {
+      const mean = phrase.terms.reduce((sum, term) => sum + termScores.get(term), 0) / phrase.terms.length;
+      return {
+        text: mostCommon(phrase.forms),
+        score: mean * (1 + Math.log(phrase.count)),
+        count: phrase.count,
+        forms: [...phrase.forms.keys()],
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  return { keywords, keyphrases };
+}
+
+module.exports = {
+  KEYWORD_METHODS: METHODS,
+  extractKeywords,
+};
@@ -0,0 +1,195 @@
+// Legacy Kannada font encoding (Nudi / Baraha) to Unicode
+//
+// Many Karnataka government and newspaper documents are typeset in Nudi or
+// Baraha fonts, which draw Kannada glyphs over ASCII and Latin-1 code points
+// (the KGP layout both font families share). Extracted text from such files is
+// Latin gibberish such as "PÀ£ÀßqÀ" for ಕನ್ನಡ. The converter reads the glyph
+// sequence back into Kannada syllables and puts the pieces in Unicode order:
+// the fonts draw consonant conjuncts (ottu) and the reph (arkavattu) after the
+// vowel sign, where Unicode expects them before it.
+
+// Latin-1 characters the fonts use for Kannada glyphs
+const LEGACY_MARKERS = /[\u00A2-\u00FF]/g;
+// The talekattu and the commonest vowel signs, which follow almost every
+// syllable in legacy text but are rare capitals in European languages
+const SIGNATURE_GLYPHS = /[ÀÁÄÉ]/g;
+const KANNADA_CHARACTERS = /[\u0C80-\u0CFF]/g;
+
+// Share of non-space characters that must be signature glyphs before a text counts as legacy-encoded
+const MIN_SIGNATURE_RATIO = 0.1;
+
+const VIRAMA = '್';
+
+// Consonant glyphs. Most are drawn without the inherent vowel and take the
+// talekattu (À) or a vowel sign next; a few glyphs already carry a vowel.
+const CONSONANTS = {
+  'P': 'ಕ', 'S': 'ಖ', 'U': 'ಗ', 'W': 'ಘ', 'Z': 'ಚ', 'b': 'ಛ', 'e': 'ಜ',
+  'm': 'ಟ', 'o': 'ಠ', 'q': 'ಡ', 'qs': 'ಢ', 'u': 'ಣ', 'v': 'ತ', 'x': 'ಥ',
+  'z': 'ದ', 'zs': 'ಧ', '£': 'ನ', '¥': 'ಪ', '¥s': 'ಫ', '¨': 'ಬ', '¨s': 'ಭ',
+  'ªÀi': 'ಮ', 'ªÀÄ': 'ಮ', 'AiÀi': 'ಯ', 'AiÀÄ': 'ಯ', 'g': 'ರ', '¯': 'ಲ',
+  'ª': 'ವ', '±': 'ಶ', 'µ': 'ಷ', '¸': 'ಸ', 'º': 'ಹ', '¼': 'ಳ',
+  'R': 'ಖ', 'd': 'ಜ', 'l': 'ಟ', 't': 'ಣ', '§': 'ಬ', '®': 'ಲ',
+};
+
+// Glyphs for a consonant with a vowel sign drawn into it: [consonant, vowel sign]
+const SYLLABLES = {
+  'Q': ['ಕ', 'ಿ'], 'T': ['ಖ', 'ಿ'], 'V': ['ಗ', 'ಿ'], 'X': ['ಘ', 'ಿ'],
+  'a': ['ಚ', 'ಿ'], 'c': ['ಛ', 'ಿ'], 'f': ['ಜ', 'ಿ'], 'n': ['ಟ', 'ಿ'],
+  'p': ['ಠ', 'ಿ'], 'r': ['ಡ', 'ಿ'], 'rü': ['ಢ', 'ಿ'], 'w': ['ತ', 'ಿ'],
+  'y': ['ಥ', 'ಿ'], '¢': ['ದ', 'ಿ'], '¢ü': ['ಧ', 'ಿ'], '¤': ['ನ', 'ಿ'],
+  '¦': ['ಪ', 'ಿ'], '¦ü': ['ಫ', 'ಿ'], '©': ['ಬ', 'ಿ'], '©ü': ['ಭ', 'ಿ'],
+  '«Ä': ['ಮ', 'ಿ'], '¬Ä': ['ಯ', 'ಿ'], 'j': ['ರ', 'ಿ'], '°': ['ಲ', 'ಿ'],
+  '«': ['ವ', 'ಿ'], '²': ['ಶ', 'ಿ'], '¶': ['ಷ', 'ಿ'], '¹': ['ಸ', 'ಿ'],
+  '»': ['ಹ', 'ಿ'], '½': ['ಳ', 'ಿ'],
+  'ªÉÄ': ['ಮ', 'ೆ'], 'ªÉÆ': ['ಮ', 'ೊ'], 'AiÉÄ': ['ಯ', 'ೆ'], 'AiÉÆ': ['ಯ', 'ೊ'],
+};
+
+// Characters that stand alone: independent vowels, anusvara and visarga
+const LETTERS = {
+  'C': 'ಅ', 'D': 'ಆ', 'E': 'ಇ', 'F': 'ಈ', 'G': 'ಉ', 'H': 'ಊ', 'IÄ': 'ಋ',
+  'J': 'ಎ', 'K': 'ಏ', 'L': 'ಐ', 'M': 'ಒ', 'N': 'ಓ', 'O': 'ಔ',
+  'A': 'ಂ', 'B': 'ಃ',
+};
+
+// Vowel signs and marks that modify the syllable before them
+const SIGNS = {
+  'À': 'talekattu', 'Á': 'ಾ', 'Â': 'ಿ', 'Ä': 'ು', 'Å': 'ು', 'Æ': 'ೂ', 'Ç': 'ೂ',
+  'È': 'ೃ', 'É': 'ೆ', 'Ê': 'ೈ', 'Ë': 'ೌ', 'Ã': 'dirgha', 'ï': 'virama', 'ð': 'reph',
+};
+
+// Conjunct consonants drawn below or beside the consonant before them
+const OTTU = {
+  'Ì': 'ಕ', 'Í': 'ಖ', 'Î': 'ಗ', 'Ï': 'ಘ', 'Ñ': 'ಚ', 'Ò': 'ಛ', 'Ó': 'ಜ',
+  'Ô': 'ಝ', 'Õ': 'ಞ', 'Ö': 'ಟ', '×': 'ಠ', 'Ø': 'ಡ', 'Ù': 'ಢ', 'Ú': 'ಣ',
+  'Û': 'ತ', 'Ü': 'ಥ', 'Ý': 'ದ', 'Þ': 'ಧ', 'ß': 'ನ', 'à': 'ಪ', 'á': 'ಫ',
+  'â': 'ಬ', 'ã': 'ಭ', 'ä': 'ಮ', 'å': 'ಯ', 'æ': 'ರ', 'ç': 'ರ', 'è': 'ಲ',
+  'é': 'ವ', 'ê': 'ಶ', 'ë': 'ಷ', 'ì': 'ಸ', 'í': 'ಹ', 'î': 'ಳ',
+};
+
+const GLYPHS = new Map([
+  ...Object.entries(CONSONANTS).map(([glyph, consonant]) => [glyph, { type: 'consonant', consonant, vowel: '' }]),
+  ...Object.entries(SYLLABLES).map(([glyph, [consonant, vowel]]) => [glyph, { type: 'consonant', consonant, vowel }]),
+  ...Object.entries(LETTERS).map(([glyph, text]) => [glyph, { type: 'letter', text }]),
+  ...Object.entries(SIGNS).map(([glyph, sign]) => [glyph, { type: 'sign', sign }]),
+  ...Object.entries(OTTU).map(([glyph, consonant]) => [glyph, { type: 'ottu', consonant }]),
+]);
+const LONGEST_GLYPH = Math.max(...[...GLYPHS.keys()].map(glyph => glyph.length));
+
+// Dirgha lengthens the vowel sign it follows
+const LONG_VOWELS = { 'ಿ': 'ೀ', 'ೆ': 'ೇ', 'ೊ': 'ೋ' };
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+// 'nudi' when the text looks like Nudi/Baraha glyph codes, otherwise null
+function detectLegacyEncoding(text) {
+  const visible = text.replace(/\s/g, '').length;
+  if (visible === 0) return null;
+
+  const signatures = countMatches(text, SIGNATURE_GLYPHS);
+  const kannada = countMatches(text, KANNADA_CHARACTERS);
+  return signatures / visible >= MIN_SIGNATURE_RATIO && signatures > kannada ? 'nudi' : null;
+}
+
+function applySign(syllable, sign) {
+  switch (sign) {
+    case 'talekattu':
+      return;
+    case 'virama':
+      syllable.vowel = VIRAMA;
+      return;
+    case 'reph':
+      syllable.reph = true;
+      return;
+    case 'dirgha':
+      syllable.vowel = LONG_VOWELS[syllable.vowel] || syllable.vowel;
+      return;
+    case 'ೂ':
+      syllable.vowel = syllable.vowel === 'ೆ' ? 'ೊ' : 'ೂ';
+      return;
+    case 'ು':
+      // The hook that completes ಮ and ಯ after a vowel sign adds no vowel of its own
+      if (!syllable.vowel) syllable.vowel = 'ು';
+      return;
+    default:
+      syllable.vowel = sign;
+  }
+}
+
+// Convert one run of Nudi/Baraha glyph codes to Unicode Kannada
+function convertLegacyText(text) {
+  const output = [];
+  let syllable = null;
+
+  const flush = () => {
+    if (!syllable) return;
+    output.push((syllable.reph ? `ರ${VIRAMA}` : '') + syllable.consonants + syllable.vowel);
+    syllable = null;
+  };
+
+  let index = 0;
+  while (index < text.length) {
+    let glyph = null;
+    let length = Math.min(LONGEST_GLYPH, text.length - index);
+    for (; length > 0; length--) {
+      glyph = GLYPHS.get(text.slice(index, index + length));
+      if (glyph) break;
+    }
+
+    if (!glyph) {
+      flush();
+      output.push(text[index]);
+      index++;
+      continue;
+    }
+    index += length;
+
+    if (glyph.type === 'consonant') {
+      flush();
+      syllable = { consonants: glyph.consonant, vowel: glyph.vowel, reph: false };
+    } else if (glyph.type === 'letter') {
+      flush();
+      output.push(glyph.text);
+    } else if (!syllable) {
+      // A sign without a consonant to attach to: keep what it stands for
+      if (glyph.type === 'ottu') output.push(VIRAMA + glyph.consonant);
+      else if (glyph.sign.length === 1) output.push(glyph.sign);
+    } else if (glyph.type === 'ottu') {
+      // Conjuncts come before the vowel sign in Unicode order
+      syllable.consonants += VIRAMA + glyph.consonant;
+    } else {
+      applySign(syllable, glyph.sign);
+    }
+  }
+  flush();
+
+  return output.join('');
+}
+
+// Convert a document if it is legacy-encoded. Lines that already contain Unicode
+// Kannada, or no legacy glyphs at all (English passages), are left as they are.
+// Returns { text, conversion } where conversion is null or { from, lines }.
+function normalizeLegacyText(text) {
+  const encoding = detectLegacyEncoding(text);
+  if (!encoding) {
+    return { text, conversion: null };
+  }
+
+  let lines = 0;
+  const converted = text.split('\n').map(line => {
+    if (countMatches(line, KANNADA_CHARACTERS) > 0 || countMatches(line, LEGACY_MARKERS) === 0) {
+      return line;
+    }
+    lines++;
+    return convertLegacyText(line);
+  }).join('\n');
+
+  return { text: converted, conversion: { from: encoding, lines } };
+}
+
+module.exports = {
+  detectLegacyEncoding,
+  convertLegacyText,
+  normalizeLegacyText,
+};
@@ -0,0 +1,110 @@
+// Plain text from markup (HTML pages, EPUB chapters, OpenDocument XML)
+
+const { DOMParser } = require('@xmldom/xmldom');
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0',
+  ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  copy: '©', reg: '®', trade: '™', deg: '°', times: '×', shy: '',
+  zwj: '\u200D', zwnj: '\u200C',
+};
+
+// Elements whose content is never text
+const HIDDEN_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'math', 'head'];
+
+// Elements that start a new line
+const BLOCK_ELEMENTS = [
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table',
+  'td', 'th', 'tr', 'ul',
+];
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+    }
+    const value = NAMED_ENTITIES[name.toLowerCase()];
+    return value !== undefined ? value : entity;
+  });
+}
+
+// Trim every line and keep at most one blank line between paragraphs
+function tidyLines(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00A0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function htmlToText(html) {
+  const hidden = new RegExp(`<(${HIDDEN_ELEMENTS.join('|')})\\b[\\s\\S]*?</\\1\\s*>`, 'gi');
+  const block = new RegExp(`</?(${BLOCK_ELEMENTS.join('|')})\\b[^>]*>`, 'gi');
+
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(hidden, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<\/(p|h[1-6]|li|tr|blockquote|pre|dd|dt)\s*>/gi, '\n\n')
+    .replace(block, '\n')
+    .replace(/<[^>]*>/g, '');
+
+  return tidyLines(decodeEntities(text));
+}
+
+// Most spaces one <text:s text:c="..."/> stands for. The count comes from the
+// document, and the spaces collapse to one in tidyLines anyway.
+const MAX_SPACE_COUNT = 100;
+
+function spaceCount(value) {
+  const count = Math.trunc(Number(value));
+  return count >= 1 ? Math.min(count, MAX_SPACE_COUNT) : 1;
+}
+
+// Text of an OpenDocument content.xml: paragraphs and headings on their own lines
+function odfToText(xml) {
+  const document = new DOMParser().parseFromString(xml, 'text/xml');
+  const parts = [];
+
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      parts.push(node.nodeValue);
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    switch (node.nodeName) {
+      case 'text:s':
+        parts.push(' '.repeat(spaceCount(node.getAttribute('text:c'))));
+        return;
+      case 'text:tab':
+        parts.push('\t');
+        return;
+      case 'text:line-break':
+        parts.push('\n');
+        return;
+      case 'office:annotation':
+      case 'text:note':
+        return;
+      default:
+        for (let child = node.firstChild; child; child = child.nextSibling) walk(child);
+        if (node.nodeName === 'text:p' || node.nodeName === 'text:h') parts.push('\n\n');
+    }
+  };
+
+  const bodies = document.getElementsByTagName('office:text');
+  for (let i = 0; i < bodies.length; i++) walk(bodies[i]);
+
+  return tidyLines(parts.join(''));
+}
+
+module.exports = {
+  decodeEntities,
+  htmlToText,
+  odfToText,
+};
@@ -0,0 +1,124 @@
+// Plain text from RTF documents
+//
+// Kannada in RTF is written as \uN escapes (followed by \ucN fallback
+// characters to skip); other text may use \'hh bytes in the document's ANSI
+// code page. Font tables, styles, pictures and other destinations are skipped.
+
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr',
+  'headerf', 'footer', 'footerl', 'footerr', 'footerf', 'footnote', 'listtable', 'listoverridetable',
+  'rsidtbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'xmlnstbl', 'generator',
+  'filetbl', 'revtbl', 'mmathPr', 'fldinst',
+]);
+
+const SYMBOLS = {
+  par: '\n', line: '\n', sect: '\n\n', page: '\n\n', tab: '\t', cell: '\t', row: '\n',
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+};
+
+function byteDecoder(codePage) {
+  try {
+    return new TextDecoder(`windows-${codePage}`);
+  } catch {
+    return new TextDecoder('latin1');
+  }
+}
+
+function rtfToText(rtf) {
+  const output = [];
+  const stack = [];
+  let state = { skip: false, uc: 1 };
+  let decoder = byteDecoder(1252);
+  let bytes = [];
+  // Fallback characters still to drop after a \uN escape
+  let fallback = 0;
+
+  const flushBytes = () => {
+    if (bytes.length === 0) return;
+    if (!state.skip) output.push(decoder.decode(Uint8Array.from(bytes)));
+    bytes = [];
+  };
+  const emit = (text) => {
+    flushBytes();
+    if (!state.skip) output.push(text);
+  };
+
+  let i = 0;
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === '{' || char === '}') {
+      flushBytes();
+      fallback = 0;
+      if (char === '{') {
+        stack.push(state);
+        state = { ...state };
+      } else if (stack.length > 0) {
+        state = stack.pop();
+      }
+      i++;
+    } else if (char === '\\') {
+      const next = rtf[i + 1];
+
+      if (next === "'") {
+        const byte = parseInt(rtf.substr(i + 2, 2), 16);
+        i += 4;
+        if (fallback > 0) {
+          fallback--;
+        } else if (!Number.isNaN(byte)) {
+          bytes.push(byte);
+        }
+      } else if (/[a-z]/i.test(next || '')) {
+        const match = /^\\([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i, i + 40));
+        const [token, word, parameter] = match;
+        i += token.length;
+        fallback = 0;
+
+        if (word === 'u') {
+          const code = Number(parameter);
+          emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+          fallback = state.uc;
+        } else if (word === 'uc') {
+          state.uc = Number(parameter) || 0;
+        } else if (word === 'ansicpg') {
+          decoder = byteDecoder(parameter);
+        } else if (SKIPPED_DESTINATIONS.has(word)) {
+          flushBytes();
+          state.skip = true;
+        } else if (SYMBOLS[word]) {
+          emit(SYMBOLS[word]);
+        }
+      } else {
+        i += 2;
+        if (next === '*') {
+          // Ignorable destination
+          flushBytes();
+          state.skip = true;
+        } else if (next === '\n' || next === '\r') {
+          emit('\n');
+        } else if (next === '~') {
+          emit(' ');
+        } else if (next === '_') {
+          emit('-');
+        } else if (next === '\\' || next === '{' || next === '}') {
+          emit(next);
+        }
+      }
+    } else {
+      i++;
+      if (char === '\n' || char === '\r') continue;
+      if (fallback > 0) {
+        fallback--;
+        continue;
+      }
+      emit(char);
+    }
+  }
+  flushBytes();
+
+  return output.join('');
+}
+
+module.exports = {
+  rtfToText,
+};
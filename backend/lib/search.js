@@ -0,0 +1,156 @@
+// Search, filters and cursor pagination for the summary history
+//
+// MongoDB's text index has no Kannada support (no stemming, and inflected
+// forms such as ಮೈಸೂರಿನ and ಮೈಸೂರು never match), so every summary stores the
+// stems of its words (the same tokenizer and stemmer the summarizers use) in
+// searchTerms, a multikey-indexed array. A search matches summaries that
+// contain the stems of all words in the query.
+
+const { extractTerms } = require('./textAnalysis');
+
+// Very long documents keep the first this many distinct terms
+const MAX_SEARCH_TERMS = 20000;
+const MAX_PAGE_SIZE = 100;
+
+// Sort key and direction of each sort option; _id breaks ties in the same direction
+const SORT_OPTIONS = {
+  newest: ['createdAt', -1],
+  oldest: ['createdAt', 1],
+  model: ['model', 1],
+};
+
+// Distinct stems of a summary's title, original text and summary
+function searchTermsFor({ title, originalText, summarizedText }) {
+  const terms = new Set();
+  for (const text of [title, summarizedText, originalText]) {
+    if (!text) continue;
+    for (const term of extractTerms(text)) {
+      terms.add(term);
+      if (terms.size >= MAX_SEARCH_TERMS) return [...terms];
+    }
+  }
+  return [...terms];
+}
+
+// Opaque cursor for the position after a document
+function encodeCursor(sortKey, summary) {
+  const value = summary[sortKey];
+  return Buffer.from(JSON.stringify({
+    v: value instanceof Date ? value.toISOString() : value,
+    id: String(summary._id),
+  })).toString('base64url');
+}
+
+function decodeCursor(cursor, sortKey) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof id !== 'string' || !/^[0-9a-f]{24}$/.test(id)) return null;
+    if (sortKey === 'createdAt') {
+      const date = new Date(v);
+      return Number.isNaN(date.getTime()) ? null : { value: date, id };
+    }
+    return typeof v === 'string' ? { value: v, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+function parseDate(value, endOfDay) {
+  if (!value) return undefined;
+  // A bare date (2024-10-01) covers the whole day, in Indian time like the
+  // timestamps of exports
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}+05:30`)
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Values of a filter parameter given once, repeated or comma-separated
+function listParam(value) {
+  if (value === undefined) return [];
+  return [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+// Parse the query string of GET /api/summaries for one user's history.
+// Returns { isValid, message } or { isValid, filter, cursorFilter, sort, sortKey, direction, limit }.
+function parseSearchQuery(query, userId) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), MAX_PAGE_SIZE);
+
+  const sortName = query.sort || 'newest';
+  if (!SORT_OPTIONS[sortName]) {
+    return { isValid: false, message: `Unknown sort "${sortName}". Available sorts: ${Object.keys(SORT_OPTIONS).join(', ')}.` };
+  }
+  const [sortKey, direction] = SORT_OPTIONS[sortName];
+
+  const filter = { userId };
+
+  if (query.q && String(query.q).trim()) {
+    const terms = [...new Set(extractTerms(String(query.q)))];
+    if (terms.length === 0) {
+      return { isValid: false, message: 'The search has no searchable words (only very common words such as ಮತ್ತು or ಈ).' };
+    }
+    filter.searchTerms = { $all: terms };
+  }
+
+  const models = listParam(query.model);
+  if (models.length > 0) filter.model = { $in: models };
+  const fileTypes = listParam(query.fileType);
+  if (fileTypes.length > 0) filter.fileType = { $in: fileTypes };
+
+  const from = parseDate(query.from, false);
+  const to = parseDate(query.to, true);
+  if (from === null || to === null) {
+    return { isValid: false, message: 'from and to must be dates such as 2024-10-01' };
+  }
+  if (from || to) {
+    filter.createdAt = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+  }
+
+  let cursorFilter = null;
+  if (query.cursor) {
+    const cursor = decodeCursor(String(query.cursor), sortKey);
+    if (!cursor) {
+      return { isValid: false, message: 'Invalid cursor' };
+    }
+    const after = direction === 1 ? '$gt' : '$lt';
+    cursorFilter = {
+      $or: [
+        { [sortKey]: { [after]: cursor.value } },
+        { [sortKey]: cursor.value, _id: { [after]: cursor.id } },
+      ],
+    };
+  }
+
+  return {
+    isValid: true,
+    filter,
+    cursorFilter,
+    sort: { [sortKey]: direction, _id: direction },
+    sortKey,
+    limit,
+  };
+}
+
+// Store searchTerms on summaries saved before search existed
+async function backfillSearchTerms(Summary) {
+  const missing = Summary.find({ searchTerms: { $exists: false } }, { title: 1, originalText: 1, summarizedText: 1 })
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  for await (const summary of missing) {
+    await Summary.updateOne({ _id: summary._id }, { $set: { searchTerms: searchTermsFor(summary) } });
+    updated++;
+  }
+  if (updated > 0) {
+    console.log(`Indexed ${updated} stored summaries for search`);
+  }
+}
+
+module.exports = {
+  SORT_OPTIONS,
+  searchTermsFor,
+  encodeCursor,
+  parseSearchQuery,
+  backfillSearchTerms,
+};
@@ -0,0 +1,198 @@
+// Kannada sentence segmenter
+//
+// Splits text into sentences and reports where each one sits in the original
+// string, so nothing is dropped and callers can map a sentence back to its source.
+
+const TERMINATORS = new Set(['।', '॥', '.', '!', '?', '…']);
+
+// Quote pairs that hold speech together; straight quotes toggle
+const QUOTE_PAIRS = { '“': '”', '‘': '’', '«': '»', '"': '"' };
+const CLOSING_CHARS = new Set(['”', '’', '»', '"', "'", ')', ']', '}']);
+
+// Tokens that end with a period without ending the sentence (compared without the trailing '.')
+const ABBREVIATIONS = new Set([
+  // Titles and honorifics
+  'ಡಾ', 'ಶ್ರೀ', 'ಶ್ರೀಮತಿ', 'ಸೌ', 'ಕು', 'ಪ್ರೊ', 'ಪ್ರೋ', 'ಸ್ವಾ', 'ಚಿ', 'ರಾ', 'ಮ',
+  // Units, currency and common short forms
+  'ರೂ', 'ಕಿ', 'ಮೀ', 'ಕಿ.ಮೀ', 'ಸೆಂ.ಮೀ', 'ಮಿ.ಮೀ', 'ಕೆ.ಜಿ', 'ಗ್ರಾಂ', 'ಲೀ', 'ಗಂ', 'ನಿ',
+  'ನಂ', 'ಪು', 'ಸಂ', 'ಅ', 'ಕ್ರಿ', 'ಕ್ರಿ.ಶ', 'ಕ್ರಿ.ಪೂ', 'ಇ', 'ಉ', 'ಜಿ', 'ತಾ', 'ಜಿ.ಪಂ',
+  // Spelled-out Latin initials, as in ಎಚ್.ಡಿ. ದೇವೇಗೌಡ
+  'ಎ', 'ಬಿ', 'ಸಿ', 'ಡಿ', 'ಎಫ್', 'ಎಚ್', 'ಹೆಚ್', 'ಐ', 'ಜೆ', 'ಕೆ', 'ಎಲ್', 'ಎಂ', 'ಎನ್',
+  'ಒ', 'ಪಿ', 'ಕ್ಯೂ', 'ಆರ್', 'ಎಸ್', 'ಟಿ', 'ಯು', 'ವಿ', 'ಡಬ್ಲ್ಯು', 'ಡಬ್ಲ್ಯೂ', 'ಎಕ್ಸ್', 'ವೈ', 'ಝಡ್',
+  // English
+  'dr', 'mr', 'mrs', 'ms', 'prof', 'st', 'sr', 'jr', 'vs', 'etc', 'no', 'nos', 'fig',
+  'rs', 'govt', 'dept', 'e.g', 'i.e', 'a.m', 'p.m', 'km', 'kg',
+]);
+
+// Words that continue a sentence after closing quoted speech ("…" ಎಂದು ಹೇಳಿದರು)
+const QUOTE_CONTINUATIONS = /^(ಎಂದು|ಎಂದ|ಎಂಬ|ಎನ್ನ|ಅಂತ|ಎಂದಿ)/;
+
+const DIGITS = /^[0-9೦-೯]+$/;
+const LIST_MARKER = /^[ \t]*([•▪●◦○■*–-]|[0-9೦-೯]+[.)]|[a-zA-Z][.)])[ \t]/;
+const HEADING_MAX_WORDS = 6;
+// The line below a heading is at least this many times as wide as the heading;
+// the wrapped lines of a narrow column are all about as wide as each other
+const HEADING_WIDTH_RATIO = 1.5;
+// Quotes left open longer than this are treated as stray marks, not speech
+const MAX_QUOTE_CHARS = 500;
+
+function isSpace(ch) {
+  return /\s/.test(ch);
+}
+
+// Token immediately before position `end`, without leading quotes or brackets
+function tokenBefore(text, end) {
+  let start = end;
+  while (start > 0 && !isSpace(text[start - 1])) start--;
+  return {
+    token: text.slice(start, end).replace(/^[“‘«"'(\[{]+/, ''),
+    start,
+  };
+}
+
+function isAtLineStart(text, position) {
+  for (let i = position - 1; i >= 0; i--) {
+    if (text[i] === '\n') return true;
+    if (!isSpace(text[i])) return false;
+  }
+  return true;
+}
+
+function nextWord(text, position) {
+  const match = text.slice(position, position + 40).match(/^\s*(\S+)/);
+  return match ? match[1] : '';
+}
+
+// Decide whether the terminator run text[termStart..runEnd) followed by closers up to `end` ends a sentence
+function isSentenceEnd(text, termStart, runEnd, end) {
+  const run = text.slice(termStart, runEnd);
+
+  // Danda always ends a sentence
+  if (run.includes('।') || run.includes('॥')) return true;
+
+  // Punctuation glued to the next character: decimals, "ಕಿ.ಮೀ", URLs, "ರೂ.500"
+  if (end < text.length && !isSpace(text[end])) return false;
+
+  if (run === '.') {
+    const { token, start } = tokenBefore(text, termStart);
+    const lower = token.toLowerCase();
+    if (ABBREVIATIONS.has(lower)) return false;
+    const lastPart = lower.split('.').pop();
+    if (lower.includes('.') && ABBREVIATIONS.has(lastPart)) return false;
+    if (/^[a-z]$/i.test(token)) return false;
+    if (DIGITS.test(token) && isAtLineStart(text, start)) return false;
+  }
+
+  // Quoted speech followed by ಎಂದು / ಎಂಬ ... keeps going
+  if (end > runEnd && QUOTE_CONTINUATIONS.test(nextWord(text, end))) return false;
+
+  return true;
+}
+
+// Blank line (paragraph break) starting at the newline at `position`
+function isParagraphBreak(text, position) {
+  for (let i = position + 1; i < text.length; i++) {
+    if (text[i] === '\n') return true;
+    if (!isSpace(text[i])) return false;
+  }
+  return true;
+}
+
+// Single line break that still separates sentences: headings, titles and list items
+function isLineBoundary(text, sentenceStart, position) {
+  const pending = text.slice(sentenceStart, position).trim();
+  if (!pending) return false;
+
+  const lineEnd = text.indexOf('\n', position + 1);
+  const nextLine = text.slice(position + 1, lineEnd === -1 ? text.length : lineEnd);
+  if (LIST_MARKER.test(nextLine)) return true;
+
+  // A short line on its own (a whole line, and the whole pending sentence) is a
+  // heading when the text below it starts a new block: a wider line. Otherwise it
+  // is a sentence that PDF or DOCX extraction wrapped, and the sentence goes on.
+  const lastLine = pending.split('\n').pop().trim();
+  if (lastLine !== pending) return false;
+  if (!isAtLineStart(text, text.indexOf(pending, sentenceStart))) return false;
+  if (/[,;،]$/.test(lastLine)) return false;
+  if (lastLine.split(/\s+/).length > HEADING_MAX_WORDS) return false;
+  return nextLine.trim().length >= lastLine.length * HEADING_WIDTH_RATIO;
+}
+
+// Split text into sentences: [{ text, start, end }], offsets into the original string
+function segmentSentences(text) {
+  const sentences = [];
+  if (!text) return sentences;
+
+  let sentenceStart = 0;
+  let quoteStack = [];
+  let quoteOpenedAt = 0;
+
+  const push = (end) => {
+    const raw = text.slice(sentenceStart, end);
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (trimmed) {
+      const start = sentenceStart + leading;
+      sentences.push({
+        text: trimmed.replace(/\s+/g, ' '),
+        start,
+        end: start + trimmed.length,
+      });
+    }
+    sentenceStart = end;
+  };
+
+  const closeQuote = (ch) => {
+    const open = quoteStack[quoteStack.length - 1];
+    if (open && QUOTE_PAIRS[open] === ch) {
+      quoteStack.pop();
+      return true;
+    }
+    return false;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoteStack.length > 0 && i - quoteOpenedAt > MAX_QUOTE_CHARS) {
+      quoteStack = [];
+    }
+
+    if (ch === '\n') {
+      if (isParagraphBreak(text, i) || (quoteStack.length === 0 && isLineBoundary(text, sentenceStart, i))) {
+        push(i);
+        quoteStack = [];
+      }
+      continue;
+    }
+
+    if (!TERMINATORS.has(ch)) {
+      if (!closeQuote(ch) && QUOTE_PAIRS[ch]) {
+        if (quoteStack.length === 0) quoteOpenedAt = i;
+        quoteStack.push(ch);
+      }
+      continue;
+    }
+
+    let runEnd = i + 1;
+    while (runEnd < text.length && TERMINATORS.has(text[runEnd])) runEnd++;
+
+    let end = runEnd;
+    while (end < text.length && CLOSING_CHARS.has(text[end])) {
+      closeQuote(text[end]);
+      end++;
+    }
+
+    if (quoteStack.length === 0 && isSentenceEnd(text, i, runEnd, end)) {
+      push(end);
+    }
+    i = end - 1;
+  }
+
+  push(text.length);
+  return sentences;
+}
+
+module.exports = {
+  segmentSentences,
+};
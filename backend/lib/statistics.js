@@ -0,0 +1,53 @@
+// Size statistics of a summary compared with its original text
+
+const { segmentSentences } = require('./segmenter');
+const { kannadaShare } = require('./validation');
+
+// Silent reading speed for Kannada prose; its words are long (agglutinated), so
+// this is lower than the usual figure for English
+const READING_WORDS_PER_MINUTE = Number(process.env.READING_WORDS_PER_MINUTE) || 150;
+
+function countWords(text) {
+  const words = text.trim().split(/\s+/);
+  return words[0] === '' ? 0 : words.length;
+}
+
+function readingMinutes(words) {
+  return Number((words / READING_WORDS_PER_MINUTE).toFixed(1));
+}
+
+function kannadaPercentage(text) {
+  const share = kannadaShare(text);
+  return share === null ? 0 : Number(share.toFixed(2));
+}
+
+// Character, word and sentence counts of both texts, the share of the
+// original's words the summary keeps (compressionRatio, 0-1), reading times in
+// minutes and the Kannada share (%) of both texts. document.pageCount (PDFs) is
+// passed through.
+function summaryStatistics(originalText, summaryText, document = {}) {
+  const originalWords = countWords(originalText);
+  const summaryWords = countWords(summaryText);
+  const originalReadingMinutes = readingMinutes(originalWords);
+  const summaryReadingMinutes = readingMinutes(summaryWords);
+
+  return {
+    ...(document.pageCount && { pageCount: document.pageCount }),
+    originalCharacters: originalText.length,
+    summaryCharacters: summaryText.length,
+    originalWords,
+    summaryWords,
+    originalSentences: segmentSentences(originalText).length,
+    summarySentences: segmentSentences(summaryText).length,
+    compressionRatio: originalWords > 0 ? Number((summaryWords / originalWords).toFixed(3)) : 0,
+    originalReadingMinutes,
+    summaryReadingMinutes,
+    readingMinutesSaved: Number(Math.max(originalReadingMinutes - summaryReadingMinutes, 0).toFixed(1)),
+    originalKannadaPercentage: kannadaPercentage(originalText),
+    summaryKannadaPercentage: kannadaPercentage(summaryText),
+  };
+}
+
+module.exports = {
+  summaryStatistics,
+};
@@ -0,0 +1,175 @@
+// Cache of summarization results, keyed on a hash of the input and the request
+//
+// The key covers the input (upload bytes or normalized text), the algorithm and
+// its version, the options and the response flags, so any change to one of them
+// is a miss. Results are kept in an in-memory LRU and in MongoDB, so they
+// survive restarts and are shared between server instances. Entries of an older
+// algorithm version can never be hit again; they are deleted at startup.
+//
+// Rankings also depend on the corpus IDF table (lib/documentFrequency.js).
+// Whether it is in use is part of the key; a rebuild of the table clears the
+// cache (clearSummaryCache), since every ranking may change with it.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { getSummarizer, listSummarizers } = require('../summarizers');
+const { getCorpusIdf } = require('./documentFrequency');
+
+// Bump when a shared stage (extraction, validation, segmentation, selection or
+// keyword extraction) changes what every algorithm returns
+const CACHE_FORMAT = 3;
+
+const MEMORY_LIMIT_BYTES = (Number(process.env.SUMMARY_CACHE_MEMORY_MB) || 64) * 1024 * 1024;
+const CACHE_TTL_MS = (Number(process.env.SUMMARY_CACHE_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Larger results stay in memory only (MongoDB documents are limited to 16MB)
+const MAX_PERSISTED_BYTES = 8 * 1024 * 1024;
+
+const cacheEntrySchema = new mongoose.Schema({
+  // The cache key
+  _id: String,
+  model: { type: String, required: true },
+  version: { type: Number, required: true },
+  // The result as JSON, so its keys and size are kept exactly
+  result: { type: String, required: true },
+  // Pushed forward on every hit
+  expiresAt: { type: Date, required: true, index: { expireAfterSeconds: 0 } },
+});
+cacheEntrySchema.index({ model: 1, version: 1 });
+
+const CacheEntry = mongoose.model('SummaryCacheEntry', cacheEntrySchema);
+
+// Least recently used entries come first; values are JSON strings
+const memory = new Map();
+let memoryBytes = 0;
+
+// Texts that differ only in Unicode normalization form, line endings or
+// trailing spaces are the same document
+function normalizeInputText(text) {
+  return String(text)
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+$/gm, '')
+    .trim();
+}
+
+function sortedEntries(values) {
+  return Object.keys(values || {}).sort().map(name => [name, values[name]]);
+}
+
+// Key of a summarization request. source names the route family ('text',
+// 'file', 'article', 'multi'); inputs is a Buffer or string, or a list of them;
+// flags are the request flags that change the result (explain, keywords, language).
+function summaryCacheKey({ source, inputs, model, options, flags }) {
+  const summarizer = getSummarizer(model);
+  const hash = crypto.createHash('sha256');
+  const corpusIdf = getCorpusIdf() !== null;
+  hash.update(JSON.stringify([CACHE_FORMAT, source, model, summarizer.version, corpusIdf, sortedEntries(options), sortedEntries(flags)]));
+  for (const input of [].concat(inputs)) {
+    const bytes = Buffer.isBuffer(input) ? input : Buffer.from(String(input), 'utf8');
+    // The length keeps ['ab', 'c'] and ['a', 'bc'] apart
+    hash.update(`\0${bytes.length}\0`);
+    hash.update(bytes);
+  }
+  return hash.digest('hex');
+}
+
+function forget(key) {
+  const json = memory.get(key);
+  if (json === undefined) return;
+  memory.delete(key);
+  memoryBytes -= json.length * 2;
+}
+
+function remember(key, json) {
+  forget(key);
+  if (json.length * 2 > MEMORY_LIMIT_BYTES) return;
+
+  memory.set(key, json);
+  memoryBytes += json.length * 2;
+  while (memoryBytes > MEMORY_LIMIT_BYTES) {
+    forget(memory.keys().next().value);
+  }
+}
+
+// The cached result for a key, or null. Lookup errors count as a miss.
+async function getCachedResult(key) {
+  let json = memory.get(key);
+  if (json !== undefined) {
+    remember(key, json);
+    return JSON.parse(json);
+  }
+
+  try {
+    const entry = await CacheEntry.findOneAndUpdate(
+      { _id: key },
+      { $set: { expiresAt: new Date(Date.now() + CACHE_TTL_MS) } },
+      { projection: { result: 1 } }
+    ).lean();
+    if (!entry) return null;
+    json = entry.result;
+  } catch (error) {
+    console.error('Summary cache lookup failed:', error);
+    return null;
+  }
+
+  remember(key, json);
+  return JSON.parse(json);
+}
+
+// Store a result (any JSON value). Storage errors are logged, not thrown.
+// Fallback results (result.fallback) are not stored, so the next request tries
+// the abstractive provider again.
+async function cacheResult(key, model, result) {
+  if (result.fallback) return;
+  const json = JSON.stringify(result);
+  remember(key, json);
+  if (Buffer.byteLength(json) > MAX_PERSISTED_BYTES) return;
+
+  try {
+    await CacheEntry.updateOne(
+      { _id: key },
+      {
+        $set: {
+          model,
+          version: getSummarizer(model).version,
+          result: json,
+          expiresAt: new Date(Date.now() + CACHE_TTL_MS),
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('Summary cache update failed:', error);
+  }
+}
+
+// Delete stored results of algorithm versions that are no longer current
+async function pruneSummaryCache() {
+  const summarizers = listSummarizers();
+  const { deletedCount } = await CacheEntry.deleteMany({
+    $or: [
+      { model: { $nin: summarizers.map(summarizer => summarizer.id) } },
+      ...summarizers.map(summarizer => ({ model: summarizer.id, version: { $ne: summarizer.version } })),
+    ],
+  });
+  if (deletedCount > 0) {
+    console.log(`Removed ${deletedCount} cached summaries of older algorithm versions`);
+  }
+}
+
+// Delete every cached result (after the corpus IDF table is rebuilt)
+async function clearSummaryCache() {
+  memory.clear();
+  memoryBytes = 0;
+  await CacheEntry.deleteMany({});
+}
+
+module.exports = {
+  normalizeInputText,
+  summaryCacheKey,
+  getCachedResult,
+  cacheResult,
+  pruneSummaryCache,
+  clearSummaryCache,
+};
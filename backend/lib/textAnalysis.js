@@ -0,0 +1,141 @@
+// Kannada text analysis: tokenizing, stopword filtering and suffix stripping
+//
+// The summarizers weight sentences by the terms they contain. Kannada is
+// agglutinative, so ಬೆಂಗಳೂರಿನಲ್ಲಿ, ಬೆಂಗಳೂರಿಗೆ and ಬೆಂಗಳೂರು must all count as the
+// same term, and particles like ಮತ್ತು or ಈ must not count at all.
+
+const STOPWORDS = new Set([
+  // Conjunctions and particles
+  'ಮತ್ತು', 'ಹಾಗೂ', 'ಅಥವಾ', 'ಆದರೆ', 'ಆದರೂ', 'ಆದ್ದರಿಂದ', 'ಹೀಗಾಗಿ', 'ಹಾಗಾಗಿ', 'ಅಲ್ಲದೆ',
+  'ಕೂಡ', 'ಕೂಡಾ', 'ಸಹ', 'ಸಹಾ', 'ಮಾತ್ರ', 'ಇನ್ನು', 'ಇನ್ನೂ', 'ಎಂದು', 'ಎಂಬ', 'ಎಂಬುದು',
+  'ಎಂಬುದನ್ನು', 'ಎಂದರೆ', 'ಅಂತ', 'ಅಂತೆ', 'ಎಂದೇ', 'ಹಾಗೆ', 'ಹೀಗೆ', 'ಹಾಗಿದ್ದರೆ', 'ಅಂದರೆ',
+  'ಅಲ್ಲ', 'ಇಲ್ಲ', 'ಹೌದು', 'ಬದಲು', 'ಬದಲಿಗೆ', 'ಏಕೆಂದರೆ', 'ಒಂದುವೇಳೆ', 'ಎಂದೂ',
+  // Demonstratives and pronouns
+  'ಈ', 'ಆ', 'ಇದು', 'ಅದು', 'ಇವು', 'ಅವು', 'ಇದನ್ನು', 'ಅದನ್ನು', 'ಇದರ', 'ಅದರ', 'ಇದರಲ್ಲಿ',
+  'ಅದರಲ್ಲಿ', 'ಇದರಿಂದ', 'ಅದರಿಂದ', 'ಇದಕ್ಕೆ', 'ಅದಕ್ಕೆ', 'ಅವರು', 'ಇವರು', 'ಅವನು', 'ಇವನು',
+  'ಅವಳು', 'ಇವಳು', 'ಅವರ', 'ಇವರ', 'ಅವರನ್ನು', 'ಇವರನ್ನು', 'ಅವರಿಗೆ', 'ಇವರಿಗೆ', 'ಅವನ',
+  'ಅವಳ', 'ನಾನು', 'ನೀನು', 'ನಾವು', 'ನೀವು', 'ನನ್ನ', 'ನಿನ್ನ', 'ನಮ್ಮ', 'ನಿಮ್ಮ', 'ತಮ್ಮ',
+  'ತನ್ನ', 'ನನಗೆ', 'ನಮಗೆ', 'ನಿಮಗೆ', 'ತಮಗೆ', 'ಯಾರು', 'ಯಾವ', 'ಯಾವುದೇ', 'ಏನು', 'ಏನೂ',
+  'ಏಕೆ', 'ಯಾಕೆ', 'ಹೇಗೆ', 'ಎಲ್ಲಿ', 'ಯಾವಾಗ', 'ಎಷ್ಟು', 'ಅಷ್ಟು', 'ಇಷ್ಟು', 'ಅಲ್ಲಿ', 'ಇಲ್ಲಿ',
+  'ಆಗ', 'ಈಗ', 'ರಲ್ಲಿ', 'ಎಲ್ಲ', 'ಎಲ್ಲಾ', 'ಎಲ್ಲರೂ', 'ಕೆಲವು', 'ಹಲವು', 'ಪ್ರತಿ', 'ಒಂದು', 'ಒಬ್ಬ', 'ಒಬ್ಬರು',
+  // Postpositions
+  'ಮೇಲೆ', 'ಕೆಳಗೆ', 'ಒಳಗೆ', 'ಹೊರಗೆ', 'ಮುಂದೆ', 'ಹಿಂದೆ', 'ನಂತರ', 'ಮೊದಲು', 'ಬಳಿಕ', 'ಜೊತೆ',
+  'ಜೊತೆಗೆ', 'ಜತೆ', 'ಜತೆಗೆ', 'ಬಗ್ಗೆ', 'ಕುರಿತು', 'ಮೂಲಕ', 'ವರೆಗೆ', 'ತನಕ', 'ಕಡೆ', 'ಕಡೆಗೆ',
+  'ಸಲುವಾಗಿ', 'ಗಾಗಿ', 'ವೇಳೆ', 'ಸಂದರ್ಭದಲ್ಲಿ', 'ಪರವಾಗಿ', 'ವಿರುದ್ಧ', 'ಹತ್ತಿರ', 'ಬಳಿ',
+  // Auxiliaries and light verbs
+  'ಇದೆ', 'ಇವೆ', 'ಇತ್ತು', 'ಇದ್ದ', 'ಇದ್ದರು', 'ಇದ್ದಾರೆ', 'ಇರುವ', 'ಇರುತ್ತದೆ', 'ಆಗಿ', 'ಆಗಿದೆ',
+  'ಆಗಿತ್ತು', 'ಆಗಿವೆ', 'ಆಗಿದ್ದು', 'ಆಗುತ್ತದೆ', 'ಆದ', 'ಆಯಿತು', 'ಮಾಡಿ', 'ಮಾಡಿದ', 'ಮಾಡಲು',
+  'ಮಾಡಿದರು', 'ಮಾಡುವ', 'ಹೇಳಿದರು', 'ಎಂದರು', 'ತಿಳಿಸಿದರು', 'ಬೇಕು', 'ಬೇಕಾದ', 'ಬಹುದು',
+  'ಹೆಚ್ಚು', 'ತುಂಬಾ', 'ಬಹಳ', 'ಸ್ವಲ್ಪ',
+  // English (mixed-language input)
+  'the', 'a', 'an', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by',
+  'from', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these',
+  'those', 'as', 'not', 'no', 'he', 'she', 'they', 'we', 'you', 'his', 'her', 'their', 'has',
+  'have', 'had', 'will', 'would', 'can', 'also',
+]);
+
+// Case markers, plural markers and finite verb endings, matched longest first.
+// Markers that fuse with a ರು/ಳು/ನು ending (ರೈತರಿಗೆ, ರೈತರನ್ನು) are listed by their
+// vowel-initial form only, so the noun keeps its final consonant: ರೈತರು and ರೈತರಿಗೆ both give ರೈತರ.
+const SUFFIXES = [
+  // Plural + case
+  'ಗಳನ್ನು', 'ಗಳಲ್ಲಿ', 'ಗಳಿಗೆ', 'ಗಳಿಂದ', 'ಗಳಿಗಾಗಿ', 'ಗಳೊಂದಿಗೆ', 'ಗಳಂತೆ', 'ಗಳೂ', 'ಗಳು', 'ಗಳ',
+  // Locative
+  'ದಲ್ಲಿ', 'ನಲ್ಲಿ', 'ಯಲ್ಲಿ', 'ಲ್ಲಿ',
+  // Accusative
+  'ವನ್ನು', 'ಯನ್ನು', 'ನ್ನು',
+  // Instrumental / ablative
+  'ದಿಂದ', 'ನಿಂದ', 'ಯಿಂದ', 'ಿಂದ',
+  // Sociative, benefactive, similative
+  'ದೊಂದಿಗೆ', 'ನೊಂದಿಗೆ', 'ೊಂದಿಗೆ', 'ಕ್ಕಾಗಿ', 'ಗಾಗಿ', 'ದಂತೆ', 'ನಂತೆ', 'ಂತೆ',
+  // Dative
+  'ಕ್ಕೆ', 'ನಿಗೆ', 'ಿಗೆ', 'ಗೆ',
+  // Genitive and nominative
+  'ಿನ', 'ದ', 'ವು',
+  // Verb endings: present/future
+  'ುತ್ತಿದ್ದಾರೆ', 'ುತ್ತಿದ್ದಾನೆ', 'ುತ್ತಿದ್ದಾಳೆ', 'ುತ್ತಿದೆ', 'ುತ್ತಿವೆ', 'ುತ್ತಾರೆ', 'ುತ್ತಾನೆ',
+  'ುತ್ತಾಳೆ', 'ುತ್ತದೆ', 'ುತ್ತವೆ', 'ುತ್ತೇನೆ', 'ುತ್ತೇವೆ', 'ುತ್ತೀರಿ', 'ುತ್ತಿದ್ದರು', 'ುತ್ತಿದ್ದ',
+  'ತ್ತಾರೆ', 'ತ್ತಾನೆ', 'ತ್ತಾಳೆ', 'ತ್ತದೆ', 'ತ್ತವೆ', 'ತ್ತೇನೆ', 'ತ್ತೇವೆ',
+  // Verb endings: past and perfect
+  'ಿದ್ದಾರೆ', 'ಿದ್ದಾನೆ', 'ಿದ್ದಾಳೆ', 'ಿದ್ದರು', 'ಿದ್ದನು', 'ಿದ್ದಳು', 'ಿದ್ದೇನೆ', 'ಿದ್ದೇವೆ', 'ಿದ್ದು',
+  'ಿದರು', 'ಿದನು', 'ಿದಳು', 'ಿದೆವು', 'ಿದೆನು', 'ಿತು', 'ಿವೆ', 'ಿದೆ', 'ಿದ',
+  'ಲಾಗಿದೆ', 'ಲಾಗಿತ್ತು', 'ಲಾಯಿತು', 'ಲಾಗುವುದು', 'ಲಾಗುತ್ತದೆ', 'ಲಿದೆ', 'ಲಿದ್ದಾರೆ',
+  // Non-finite forms
+  'ುವುದು', 'ುವುದನ್ನು', 'ುವುದಕ್ಕೆ', 'ುವ',
+];
+
+// Sorted once so the longest matching suffix wins
+const SORTED_SUFFIXES = [...SUFFIXES].sort((a, b) => b.length - a.length);
+
+// Dependent vowel signs, virama and length marks left on a stem after stripping
+const TRAILING_SIGNS = /[\u0CBE-\u0CCD\u0CD5\u0CD6]+$/;
+const JOINERS = /[\u200C\u200D]/g;
+const MIN_STEM_LENGTH = 2;
+
+function isKannadaWord(word) {
+  return /[\u0C80-\u0CFF]/.test(word);
+}
+
+// Strip one inflectional suffix and the linking vowel left behind
+function stem(word) {
+  let result = word.normalize('NFC').replace(JOINERS, '');
+  if (!isKannadaWord(result)) return result;
+
+  for (const suffix of SORTED_SUFFIXES) {
+    // Single-consonant suffixes (ದ, ರ, ...) need a longer remainder to avoid eating the root
+    const minRemainder = suffix.length === 1 ? MIN_STEM_LENGTH + 2 : MIN_STEM_LENGTH;
+    if (result.endsWith(suffix) && result.length - suffix.length >= minRemainder) {
+      result = result.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  const bare = result.replace(TRAILING_SIGNS, '');
+  return bare.length >= MIN_STEM_LENGTH ? bare : result;
+}
+
+function isStopword(word) {
+  return STOPWORDS.has(word);
+}
+
+// Lowercased words with punctuation removed (Kannada letters, Latin letters and digits kept,
+// along with the joiners that shape Kannada conjuncts so tokens still match the source text)
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/\s+/)
+    .map(word => word.replace(/[^\w\u0C80-\u0CFF\u200C\u200D]/g, '').replace(/^[\u200C\u200D]+|[\u200C\u200D]+$/g, ''))
+    .filter(Boolean);
+}
+
+// Content terms of a text: tokens without stopwords, reduced to their stems
+function extractTerms(text) {
+  return tokenize(text)
+    .filter(word => !isStopword(word))
+    .map(stem)
+    .filter(term => term.length >= MIN_STEM_LENGTH && !isStopword(term));
+}
+
+// Term frequency table { term: count }, scaled by idf(term) when a corpus IDF is given.
+// The table has no prototype, so terms like "constructor" or "__proto__" count like any other.
+function termFrequencies(text, idf) {
+  const freq = Object.create(null);
+  extractTerms(text).forEach(term => {
+    freq[term] = (freq[term] || 0) + 1;
+  });
+  if (idf) {
+    Object.keys(freq).forEach(term => {
+      freq[term] *= idf(term);
+    });
+  }
+  return freq;
+}
+
+module.exports = {
+  STOPWORDS,
+  stem,
+  isStopword,
+  tokenize,
+  extractTerms,
+  termFrequencies,
+};
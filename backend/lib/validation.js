@@ -0,0 +1,175 @@
+// Kannada Language Validation Function
+//
+// The one copy of the input language rule: summarize routes, jobs and the
+// comparison use it, and GET /api/models reports it to the frontend.
+
+const { segmentSentences } = require('./segmenter');
+
+// Least Kannada share (%) of the letters of a text summarized as a whole
+const MIN_KANNADA_PERCENTAGE = Math.min(Math.max(Number(process.env.KANNADA_MIN_PERCENTAGE) || 70, 1), 100);
+
+// In mixed-language mode a sentence belongs to the Kannada portion when most of
+// its letters are Kannada
+const SEGMENT_KANNADA_PERCENTAGE = 50;
+
+// language: the whole text must be Kannada, or only its Kannada sentences are summarized
+const LANGUAGE_MODES = [
+  { name: 'kannada', label: 'Kannada only' },
+  { name: 'mixed', label: 'Mixed language' },
+];
+
+// otherLanguage (mixed mode): what happens to the sentences in other languages
+const OTHER_LANGUAGE_OPTIONS = [
+  { name: 'drop', label: 'Leave out' },
+  { name: 'keep', label: 'Keep after the summary' },
+];
+
+// Links and e-mail addresses are not counted as words of any language
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\S+@\S+\.[a-z]{2,}\b/gi;
+
+// Share of Kannada letters among the letters of a text (whitespace, digits,
+// punctuation and links are not counted), 0-100; null when the text has no letters
+function kannadaShare(text) {
+  const withoutLinks = text.replace(LINK_PATTERN, ' ');
+  const kannadaMatches = withoutLinks.match(/[\u0C80-\u0CFF]/g);
+  const cleanText = withoutLinks.replace(/[\s\d\p{P}]/gu, '');
+  if (cleanText.length === 0) return null;
+  return ((kannadaMatches ? kannadaMatches.length : 0) / cleanText.length) * 100;
+}
+
+function isKannadaText(text) {
+  const kannadaPercentage = kannadaShare(text);
+  
+  if (!kannadaPercentage) {
+    return {
+      isValid: false,
+      percentage: 0,
+      message: 'No Kannada text detected. Please provide text in Kannada script (ಕನ್ನಡ).'
+    };
+  }
+  
+  const threshold = MIN_KANNADA_PERCENTAGE;
+  
+  if (kannadaPercentage < threshold) {
+    return {
+      isValid: false,
+      percentage: kannadaPercentage.toFixed(2),
+      message: `Text contains only ${kannadaPercentage.toFixed(2)}% Kannada characters. Please provide text primarily in Kannada script (minimum ${threshold}% required), or use the mixed-language mode.`
+    };
+  }
+  
+  return {
+    isValid: true,
+    percentage: kannadaPercentage.toFixed(2),
+    message: 'Valid Kannada text detected.'
+  };
+}
+
+// The rule as GET /api/models reports it
+function validationRule() {
+  return {
+    minKannadaPercentage: MIN_KANNADA_PERCENTAGE,
+    segmentKannadaPercentage: SEGMENT_KANNADA_PERCENTAGE,
+    languageModes: LANGUAGE_MODES,
+    otherLanguageOptions: OTHER_LANGUAGE_OPTIONS,
+  };
+}
+
+// Language options of a request (language, otherLanguage).
+// Returns { isValid, message } or { isValid, options }.
+function parseLanguageOptions(body) {
+  const language = body.language || 'kannada';
+  if (!LANGUAGE_MODES.some(mode => mode.name === language)) {
+    return { isValid: false, message: `Unknown language mode "${language}". Available modes: ${LANGUAGE_MODES.map(mode => mode.name).join(', ')}.` };
+  }
+  if (language === 'kannada') {
+    return { isValid: true, options: { language } };
+  }
+
+  const otherLanguage = body.otherLanguage || 'drop';
+  if (!OTHER_LANGUAGE_OPTIONS.some(option => option.name === otherLanguage)) {
+    return { isValid: false, message: `Invalid otherLanguage "${otherLanguage}": expected ${OTHER_LANGUAGE_OPTIONS.map(option => option.name).join(' or ')}.` };
+  }
+  return { isValid: true, options: { language, otherLanguage } };
+}
+
+// Sentences of a text with their Kannada share and whether they are Kannada:
+// [{ text, start, end, kannadaPercentage, kannada }]
+function segmentByScript(text) {
+  return segmentSentences(text).map(sentence => {
+    const share = kannadaShare(text.slice(sentence.start, sentence.end));
+    return {
+      ...sentence,
+      kannadaPercentage: share === null ? 0 : Number(share.toFixed(2)),
+      kannada: share !== null && share >= SEGMENT_KANNADA_PERCENTAGE,
+    };
+  });
+}
+
+// The text without its other-language sentences. Each removed sentence takes
+// the space after it along, except line breaks, so paragraphs stay apart.
+function kannadaPortion(text, segments) {
+  let kept = '';
+  segments.forEach((segment, index) => {
+    const gap = text.slice(segment.end, index + 1 < segments.length ? segments[index + 1].start : text.length);
+    if (segment.kannada) {
+      kept += text.slice(segment.start, segment.end) + gap;
+    } else if (gap.includes('\n')) {
+      kept += gap;
+    }
+  });
+  return kept.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Check the language of a text under the request's language options (see
+// parseLanguageOptions). Returns isKannadaText's result plus the text to
+// summarize; in mixed mode that is the Kannada portion, and language reports the
+// excluded sentences (offsets into the given text).
+function validateLanguage(text, options = {}) {
+  if (options.language !== 'mixed') {
+    return { ...isKannadaText(text), text };
+  }
+
+  const whole = kannadaShare(text);
+  const percentage = whole ? whole.toFixed(2) : 0;
+  const segments = segmentByScript(text);
+  if (!segments.some(segment => segment.kannada)) {
+    return {
+      isValid: false,
+      percentage,
+      message: 'No Kannada sentences detected. Please provide text with at least one sentence in Kannada script (ಕನ್ನಡ).'
+    };
+  }
+
+  return {
+    isValid: true,
+    percentage,
+    message: 'Kannada sentences detected.',
+    text: kannadaPortion(text, segments),
+    language: {
+      mode: 'mixed',
+      otherLanguage: options.otherLanguage,
+      excluded: segments
+        .filter(segment => !segment.kannada)
+        .map(({ text: segmentText, start, end, kannadaPercentage }) => ({ text: segmentText, start, end, kannadaPercentage })),
+    },
+  };
+}
+
+// The summary of validated text. With otherLanguage=keep, the excluded
+// sentences of each document (one language report each) follow it unchanged.
+function withOtherLanguage(summary, ...languages) {
+  const kept = languages
+    .filter(language => language && language.otherLanguage === 'keep')
+    .flatMap(language => language.excluded.map(segment => segment.text));
+  return kept.length > 0 ? `${summary}\n\n${kept.join('\n')}` : summary;
+}
+
+module.exports = {
+  kannadaShare,
+  isKannadaText,
+  validationRule,
+  parseLanguageOptions,
+  validateLanguage,
+  withOtherLanguage,
+};
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+// Score the registered summarizers against a reference corpus with ROUGE-1/2/L
+//
+// Usage:
+//   node scripts/evaluate.js [corpusDir] [--models textrank,hybrid] [--<option> <value>]
+//                            [--fail-under rouge1=0.3] [--json] [--verbose]
+//
+// Any summarizer option can be passed by name, e.g. --ratio 0.3 or --maxSentences 4,
+// and so can the language options (--language mixed). Abstractive models only run
+// when --models names them.
+// --fail-under exits with status 1 when a model's mean F1 for the metric drops below
+// the value, so the script can guard scoring changes in CI.
+
+const path = require('path');
+const { evaluateCorpus } = require('../evaluation');
+const { ROUGE_METRICS } = require('../evaluation/rouge');
+const { listSummarizers, parseSummaryOptions } = require('../summarizers');
+const { parseLanguageOptions } = require('../lib/validation');
+
+const DEFAULT_CORPUS = path.join(__dirname, '..', 'evaluation', 'corpus');
+
+function parseArgs(argv) {
+  const args = { corpus: DEFAULT_CORPUS, options: {}, failUnder: {}, json: false, verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--verbose') {
+      args.verbose = true;
+    } else if (arg === '--models') {
+      args.models = argv[++i].split(',').map(model => model.trim()).filter(Boolean);
+    } else if (arg === '--fail-under') {
+      const [metric, value] = argv[++i].split('=');
+      if (!ROUGE_METRICS.includes(metric) || Number.isNaN(Number(value))) {
+        throw new Error(`Invalid --fail-under "${argv[i]}": expected <${ROUGE_METRICS.join('|')}>=<number>`);
+      }
+      args.failUnder[metric] = Number(value);
+    } else if (arg.startsWith('--')) {
+      args.options[arg.slice(2)] = argv[++i];
+    } else {
+      args.corpus = path.resolve(arg);
+    }
+  }
+
+  return args;
+}
+
+function formatScore(value) {
+  return value.toFixed(4);
+}
+
+function printReport(report, print) {
+  const header = ['Model'.padEnd(12), ...ROUGE_METRICS.map(metric => metric.toUpperCase().padStart(8)), 'Words'.padStart(7)].join(' ');
+
+  report.documents.forEach(document => {
+    print(`\n${document.name}${document.fileType ? ` (${document.fileType})` : ''}${document.sameTextAs ? `, same text as ${document.sameTextAs} (not in the means)` : ''}`);
+    if (document.error) {
+      print(`  error: ${document.error}`);
+      return;
+    }
+    print(`  ${document.originalWords} words, reference ${document.referenceWords} words`);
+    print(`  ${header}`);
+    Object.entries(document.results).forEach(([model, result]) => {
+      if (result.error) {
+        print(`  ${model.padEnd(12)} error: ${result.error}`);
+        return;
+      }
+      const scores = ROUGE_METRICS.map(metric => formatScore(result[metric].f1).padStart(8));
+      print(`  ${[model.padEnd(12), ...scores, String(result.summaryWords).padStart(7)].join(' ')}`);
+    });
+  });
+
+  print('\nMean F1 / precision / recall');
+  Object.entries(report.aggregate).forEach(([model, aggregate]) => {
+    const scores = ROUGE_METRICS.map(metric => {
+      const { f1, precision, recall } = aggregate[metric];
+      return `${metric.toUpperCase()} ${formatScore(f1)} / ${formatScore(precision)} / ${formatScore(recall)}`;
+    });
+    print(`  ${model.padEnd(12)} ${scores.join('   ')}  (${aggregate.documents} documents)`);
+  });
+
+  report.skipped.forEach(({ name, reason }) => {
+    print(`\nSkipped ${name}: ${reason}`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const print = console.log.bind(console);
+
+  // Summarizers log every run; keep the report readable unless asked otherwise
+  if (!args.verbose) console.log = () => {};
+
+  // Abstractive models call a paid API for every document, so they only run when named
+  const models = args.models || listSummarizers().filter(summarizer => summarizer.type !== 'abstractive').map(summarizer => summarizer.id);
+  const runs = models.map(model => {
+    const parsed = parseSummaryOptions(model, args.options);
+    if (!parsed.isValid) throw new Error(parsed.message);
+    return { model, options: parsed.options };
+  });
+
+  const language = parseLanguageOptions(args.options);
+  if (!language.isValid) throw new Error(language.message);
+
+  const report = await evaluateCorpus(args.corpus, { runs, languageOptions: language.options });
+
+  if (args.json) {
+    print(JSON.stringify(report, null, 2));
+  } else {
+    print(`Corpus: ${args.corpus}`);
+    printReport(report, print);
+  }
+
+  const failures = [];
+  Object.entries(args.failUnder).forEach(([metric, threshold]) => {
+    Object.entries(report.aggregate).forEach(([model, aggregate]) => {
+      if (aggregate[metric].f1 < threshold) {
+        failures.push(`${model} ${metric} F1 ${formatScore(aggregate[metric].f1)} is below ${threshold}`);
+      }
+    });
+  });
+
+  if (failures.length > 0) {
+    failures.forEach(failure => console.error(failure));
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Local stand-in for a Hugging Face Inference summarization endpoint
+//
+// Usage:
+//   node scripts/mockAbstractive.js [--port 5100] [--fail 2] [--retry-after 30] [--delay 500]
+//
+// Point the backend at it with ABSTRACTIVE_API_URL=http://127.0.0.1:5100/summarize.
+// Every POST { inputs, parameters } is answered with [{ summary_text }]: the
+// leading sentences of the input, up to parameters.max_length words. --fail
+// answers the first N requests with 503 (to exercise retries and the fallback),
+// with a Retry-After header of --retry-after seconds when given. --delay holds
+// every answer for that many milliseconds (to exercise the timeouts). Tests
+// start it in-process with createMockServer().
+
+const http = require('http');
+const { segmentSentences } = require('../lib/segmenter');
+
+function leadingSentences(text, maxWords) {
+  const summary = [];
+  let words = 0;
+  for (const { text: sentence } of segmentSentences(text)) {
+    const sentenceWords = sentence.split(/\s+/).length;
+    if (summary.length > 0 && words + sentenceWords > maxWords) break;
+    summary.push(sentence);
+    words += sentenceWords;
+  }
+  return summary.join(' ');
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// An http.Server (not listening yet); server.requests counts the requests received
+function createMockServer({ failures = 0, retryAfter = 0, delayMs = 0 } = {}) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      sendJson(res, 404, { error: 'POST a summarization request' });
+      return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      server.requests++;
+      setTimeout(() => {
+        if (server.requests <= failures) {
+          sendJson(res, 503, { error: 'Model is currently loading', estimated_time: 1 }, retryAfter ? { 'Retry-After': String(retryAfter) } : {});
+          return;
+        }
+
+        let request;
+        try {
+          request = JSON.parse(body);
+        } catch {
+          sendJson(res, 400, { error: 'Request body is not JSON' });
+          return;
+        }
+        if (typeof request.inputs !== 'string' || !request.inputs.trim()) {
+          sendJson(res, 400, { error: 'inputs must be a non-empty string' });
+          return;
+        }
+
+        const maxWords = (request.parameters && Number(request.parameters.max_length)) || 60;
+        sendJson(res, 200, [{ summary_text: leadingSentences(request.inputs, maxWords) }]);
+      }, delayMs);
+    });
+  });
+  server.requests = 0;
+  return server;
+}
+
+function optionValue(argv, name, fallback) {
+  const index = argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : Number(argv[index + 1]);
+}
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const port = optionValue(argv, 'port', 5100);
+  const server = createMockServer({
+    failures: optionValue(argv, 'fail', 0),
+    retryAfter: optionValue(argv, 'retry-after', 0),
+    delayMs: optionValue(argv, 'delay', 0),
+  });
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`Mock abstractive provider listening on http://127.0.0.1:${port}/summarize`);
+  });
+}
+
+module.exports = {
+  createMockServer,
+};
@@ -1,15 +1,34 @@
+// Load .env before the modules below read their settings
+require('dotenv').config();
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const multer = require('multer');
-const pdfParse = require('pdf-parse');
-const mammoth = require('mammoth');
-require('dotenv').config();
+const { extractDocument, detectFileType, decodeHtml, FILE_TYPE_LABELS } = require('./lib/extraction');
+const { extractArticle, fetchPage, parsePageUrl } = require('./lib/article');
+const { normalizeLegacyText } = require('./lib/legacyEncoding');
+const { isKannadaText, validationRule, parseLanguageOptions, validateLanguage, withOtherLanguage } = require('./lib/validation');
+const { extractKeywords, KEYWORD_METHODS } = require('./lib/keywords');
+const { getCorpusIdf } = require('./lib/documentFrequency');
+const { loadCorpusStats, recordDocument, rebuildCorpusStats, inspectCorpusStats } = require('./lib/corpusStats');
+const { EXPORT_FORMATS, exportSummary } = require('./lib/export');
+const { validateCredentials, registerUser, loginUser, loginRetryAfter, recordFailedLogin, clearFailedLogins, logoutSession, requireUser, issueEventToken, requireEventToken } = require('./lib/auth');
+const { searchTermsFor, encodeCursor, parseSearchQuery, backfillSearchTerms } = require('./lib/search');
+const { compareSummarizers } = require('./lib/comparison');
+const { summaryStatistics } = require('./lib/statistics');
+const { normalizeInputText, summaryCacheKey, getCachedResult, cacheResult, pruneSummaryCache, clearSummaryCache } = require('./lib/summaryCache');
+const { evaluateCorpus } = require('./evaluation');
+const { getSummarizer, listSummarizers, describeSummarizer, parseSummaryOptions, summarizeWithModel, summarizeDocuments, LENGTH_OPTIONS, SELECTION_OPTIONS, HIERARCHY_OPTIONS } = require('./summarizers');
+const { submitJob, getJob, subscribe, startJobQueue } = require('./jobs');
 
 const app = express();
 
 // Middleware
-app.use(cors());
+// Content-Disposition carries the file name of exports, which the frontend fetches
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -19,601 +38,1170 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/kannada_s
   useUnifiedTopology: true,
 });
 
+mongoose.connection.once('open', () => {
+  loadCorpusStats().catch(error => console.error('Failed to load corpus statistics:', error));
+  startJobQueue({ saveSummary: saveJobSummary }).catch(error => console.error('Failed to start summarization jobs:', error));
+  backfillSearchTerms(Summary).catch(error => console.error('Failed to index summaries for search:', error));
+  pruneSummaryCache().catch(error => console.error('Failed to prune the summary cache:', error));
+});
+
 // Summary Schema
 const summarySchema = new mongoose.Schema({
   originalText: { type: String, required: true },
   summarizedText: { type: String, required: true },
   model: { type: String, required: true },
+  parameters: { type: mongoose.Schema.Types.Mixed, default: {} },
   fileType: { type: String, default: 'text' },
+  keywords: [{ text: String, score: Number, _id: false }],
+  keyphrases: [{ text: String, score: Number, _id: false }],
+  sources: [{ name: String, fileType: String, _id: false }],
+  originalTextTruncated: { type: Boolean, default: false },
+  // Legacy font encoding the original text was converted from (e.g. 'nudi')
+  convertedFrom: String,
+  // Section tree of a long-document (hierarchical) summary
+  tree: mongoose.Schema.Types.Mixed,
+  // Web articles: the page title and the URL it was fetched from
+  title: String,
+  sourceUrl: String,
+  // Counts, compression ratio, reading times and Kannada share (lib/statistics.js),
+  // from the full original text even when the stored copy is truncated
+  statistics: mongoose.Schema.Types.Mixed,
+  // Abstractive requests the fallback algorithm answered: { model, reason }
+  fallback: mongoose.Schema.Types.Mixed,
+  // Mixed-language input: the mode and the other-language sentences that were
+  // left out of the summarized text (lib/validation.js)
+  language: mongoose.Schema.Types.Mixed,
   createdAt: { type: Date, default: Date.now },
+  // Id of the account that created the summary
   userId: String,
+  // Word stems of the title, summary and original text, for history search
+  // (lib/search.js); set on save and left out of query results
+  searchTerms: { type: [String], default: undefined, select: false },
+  // Summary cache key of the request (lib/summaryCache.js); the same request
+  // again updates this summary instead of adding a duplicate
+  cacheKey: String,
+});
+
+// History listing, filters and search are always scoped to one user
+summarySchema.index({ userId: 1, createdAt: -1, _id: -1 });
+summarySchema.index({ userId: 1, model: 1, _id: 1 });
+summarySchema.index({ userId: 1, fileType: 1, createdAt: -1 });
+summarySchema.index({ userId: 1, searchTerms: 1 });
+summarySchema.index({ userId: 1, cacheKey: 1 });
+
+summarySchema.pre('save', function indexForSearch(next) {
+  if (this.isNew || this.isModified('originalText') || this.isModified('summarizedText') || this.isModified('title')) {
+    this.searchTerms = searchTermsFor(this);
+  }
+  next();
 });
 
 const Summary = mongoose.model('Summary', summarySchema);
 
-// Configure Multer for file uploads
+// Reference corpora for POST /api/evaluate live under this directory
+const EVALUATION_CORPUS_DIR = path.resolve(process.env.EVALUATION_CORPUS_DIR || path.join(__dirname, 'evaluation', 'corpus'));
+
+// Configure Multer for file uploads. The client's MIME type is not trusted:
+// routes detect the format from the file content (lib/extraction.js).
 const storage = multer.memoryStorage();
 const upload = multer({
   storage: storage,
   limits: { fileSize: 10 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/msword'];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only PDF and Word documents allowed.'));
-    }
-  },
 });
 
-// Kannada Language Validation Function
-function isKannadaText(text) {
-  const kannadaRegex = /[\u0C80-\u0CFF]/g;
-  const kannadaMatches = text.match(kannadaRegex);
-  const cleanText = text.replace(/[\s\d\p{P}]/gu, '');
-  
-  if (!kannadaMatches || cleanText.length === 0) {
-    return {
-      isValid: false,
-      percentage: 0,
-      message: 'No Kannada text detected. Please provide text in Kannada script (ಕನ್ನಡ).'
-    };
+// Web article HTML may also arrive as a form field rather than a file
+const pageUpload = multer({
+  storage: storage,
+  limits: { fileSize: 10 * 1024 * 1024, fieldSize: 10 * 1024 * 1024 },
+});
+
+// Summarization jobs run in the background, so they accept much larger uploads
+const JOB_MAX_UPLOAD_BYTES = (Number(process.env.JOB_MAX_UPLOAD_MB) || 50) * 1024 * 1024;
+const jobUpload = multer({
+  storage: storage,
+  limits: { fileSize: JOB_MAX_UPLOAD_BYTES, fieldSize: JOB_MAX_UPLOAD_BYTES },
+});
+
+// MongoDB documents are limited to 16MB; Kannada text takes 3 bytes per character
+const MAX_STORED_TEXT = 2000000;
+
+// Most files and text snippets accepted by one multi-document request
+const MAX_MULTI_DOCUMENTS = 10;
+
+// Boolean flag from a JSON body or multipart form field
+function parseFlag(value) {
+  return value === true || value === 'true' || value === '1' || value === 'on';
+}
+
+// Admin routes need the ADMIN_TOKEN in the x-admin-token header, and are
+// disabled while no ADMIN_TOKEN is configured
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(503).json({ error: 'Admin routes are disabled: set ADMIN_TOKEN to enable them' });
   }
-  
-  const kannadaPercentage = (kannadaMatches.length / cleanText.length) * 100;
-  const threshold = 70;
-  
-  if (kannadaPercentage < threshold) {
-    return {
-      isValid: false,
-      percentage: kannadaPercentage.toFixed(2),
-      message: `Text contains only ${kannadaPercentage.toFixed(2)}% Kannada characters. Please provide text primarily in Kannada script (minimum ${threshold}% required).`
-    };
+  // Compared as digests, so the comparison takes as long for any header length
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  if (!crypto.timingSafeEqual(digest(req.get('x-admin-token') || ''), digest(token))) {
+    return res.status(403).json({ error: 'Admin token required' });
   }
-  
+  next();
+}
+
+// The summary named by req.params.id if it belongs to the logged-in user, otherwise null.
+// Other users' summaries are reported as not found rather than forbidden.
+function findOwnSummary(req) {
+  return mongoose.isValidObjectId(req.params.id)
+    ? Summary.findOne({ _id: req.params.id, userId: req.user.id })
+    : null;
+}
+
+// Save a summary for a user. A summary the user already has for the same cache
+// key is updated rather than duplicated, and moves to the top of the history.
+// Returns { summary, repeated } where repeated tells whether the user had it.
+async function storeSummary(userId, cacheKey, fields) {
+  const existing = await Summary.findOne({ userId, cacheKey });
+  const summary = existing || new Summary({ userId, cacheKey });
+  summary.set({ ...fields, createdAt: new Date() });
+  await summary.save();
+  return { summary, repeated: Boolean(existing) };
+}
+
+// Summary fields of a summarization outcome (a job worker result or a cached result)
+function outcomeFields(outcome) {
+  const truncated = outcome.text.length > MAX_STORED_TEXT;
   return {
-    isValid: true,
-    percentage: kannadaPercentage.toFixed(2),
-    message: 'Valid Kannada text detected.'
+    originalText: truncated ? outcome.text.slice(0, MAX_STORED_TEXT) : outcome.text,
+    originalTextTruncated: truncated,
+    summarizedText: outcome.summary.slice(0, MAX_STORED_TEXT),
+    statistics: summaryStatistics(outcome.text, outcome.summary, outcome),
+    ...storedKeywords(outcome.keywords ? outcome : null),
+    ...(outcome.tree && { tree: outcome.tree }),
+    ...(outcome.conversion && { convertedFrom: outcome.conversion.from }),
+    ...(outcome.language && { language: storedLanguage(outcome.language) }),
+    // Set or cleared, since a later request for the same key may reach the provider
+    fallback: outcome.fallback,
   };
 }
 
-// SIMPLE ALGORITHM - Basic frequency-based extraction (shortest summary)
-function simpleSummarization(text) {
-  const cleanText = text.replace(/\s+/g, ' ').trim();
-  const sentences = cleanText.match(/[^।.!?]+[।.!?]+/g) || [cleanText];
-  
-  if (sentences.length <= 2) {
-    return cleanText;
-  }
+// Stored form of a mixed-language report: excluded sentences up to MAX_STORED_TEXT characters
+function storedLanguage(language) {
+  let characters = 0;
+  const excluded = language.excluded.filter(segment => (characters += segment.text.length) <= MAX_STORED_TEXT);
+  return {
+    ...language,
+    excluded,
+    ...(excluded.length < language.excluded.length && { excludedTruncated: true }),
+  };
+}
 
-  // Very simple: just word frequency, prefer shorter sentences
-  const words = cleanText.toLowerCase().split(/\s+/);
-  const wordFreq = {};
-  words.forEach(word => {
-    const cleanWord = word.replace(/[^\w\u0C80-\u0CFF]/g, '');
-    if (cleanWord.length > 2) {
-      wordFreq[cleanWord] = (wordFreq[cleanWord] || 0) + 1;
-    }
+// The outcome of summarizing validated text (see validateLanguage), in the form
+// jobs/worker.js reports it; this is what the summary cache stores
+function summaryOutcome(validation, result, body) {
+  return {
+    text: validation.text,
+    kannadaPercentage: validation.percentage,
+    summary: withOtherLanguage(result.summary, validation.language),
+    sentenceCount: result.sentenceCount,
+    ...(parseFlag(body.explain) && result.sentences && { sentences: result.sentences }),
+    ...(result.tree && { tree: result.tree }),
+    ...(result.abstractive && { abstractive: result.abstractive }),
+    ...(result.fallback && { fallback: result.fallback }),
+    ...(result.query && { query: result.query }),
+    ...(validation.language && { language: validation.language }),
+    ...requestedKeywords(validation.text, body),
+  };
+}
+
+// Cache key of a summarize request (the flags and language options that shape
+// its response are part of it)
+function requestCacheKey(source, inputs, model, summaryOptions, language, body) {
+  return summaryCacheKey({
+    source,
+    inputs,
+    model,
+    options: summaryOptions.options,
+    flags: { explain: parseFlag(body.explain), keywords: parseFlag(body.keywords), ...language.options },
   });
+}
 
-  const scoredSentences = sentences.map((sentence, index) => {
-    let score = 0;
-    const sentenceWords = sentence.toLowerCase().split(/\s+/);
-    
-    // Only word frequency
-    sentenceWords.forEach(word => {
-      const cleanWord = word.replace(/[^\w\u0C80-\u0CFF]/g, '');
-      score += wordFreq[cleanWord] || 0;
-    });
-    
-    // First sentence bonus
-    if (index === 0) score += 3;
-    
-    return { 
-      sentence: sentence.trim(), 
-      score: score / sentenceWords.length,
-      index,
-      length: sentenceWords.length
-    };
+// The cached outcome of a request unless the client asks for a recompute (force)
+function cachedOutcome(cacheKey, body) {
+  return parseFlag(body.force) ? null : getCachedResult(cacheKey);
+}
+
+// Store the outcome of a finished job (see jobs/worker.js) and build the job result
+async function saveJobSummary(job, outcome) {
+  const { summary, repeated } = await storeSummary(job.userId, job.cacheKey, {
+    ...outcomeFields(outcome),
+    model: job.model,
+    parameters: job.parameters,
+    fileType: job.input.fileType,
   });
+  recordDocument(summary.originalText);
+
+  return {
+    id: summary._id,
+    // Only the user's own earlier requests are reported as cached; a result
+    // another user's request left in the shared cache is not
+    cached: Boolean(outcome.cached) && repeated,
+    statistics: summary.statistics,
+    summary: summary.summarizedText,
+    kannadaPercentage: outcome.kannadaPercentage,
+    ...(outcome.conversion && { conversion: outcome.conversion }),
+    sentenceCount: outcome.sentenceCount,
+    ...(outcome.sentences && { sentences: outcome.sentences }),
+    ...(outcome.tree && { mode: 'hierarchical', tree: outcome.tree }),
+    ...(outcome.abstractive && { mode: 'abstractive', abstractive: outcome.abstractive }),
+    ...(outcome.fallback && { fallback: outcome.fallback }),
+    ...(outcome.query && { query: outcome.query }),
+    ...(outcome.language && { language: outcome.language }),
+    ...(outcome.keywords && { keywords: outcome.keywords, keyphrases: outcome.keyphrases }),
+  };
+}
 
-  // Select fewer sentences (25% of original)
-  const summaryLength = Math.max(2, Math.ceil(sentences.length * 0.25));
-  
-  const topSentences = scoredSentences
-    .sort((a, b) => b.score - a.score)
-    .slice(0, summaryLength)
-    .sort((a, b) => a.index - b.index);
+// Keywords for a summarize request, or null unless the `keywords` flag is set
+function requestedKeywords(text, body) {
+  return parseFlag(body.keywords) ? extractKeywords(text, { idf: getCorpusIdf() }) : null;
+}
 
-  return topSentences.map(s => s.sentence).join(' ');
+// Stored form of extracted keywords (the surface forms are only needed for highlighting)
+function storedKeywords(keywords) {
+  return keywords
+    ? {
+      keywords: keywords.keywords.map(({ text, score }) => ({ text, score })),
+      keyphrases: keywords.keyphrases.map(({ text, score }) => ({ text, score })),
+    }
+    : {};
 }
 
-// ADVANCED ALGORITHM - Position, length, keywords (medium summary)
-function advancedSummarization(text) {
-  const cleanText = text.replace(/\s+/g, ' ').trim();
-  const sentences = cleanText.match(/[^।.!?]+[।.!?]+/g) || [cleanText];
-  
-  if (sentences.length <= 3) {
-    return cleanText;
-  }
+// Routes
 
-  const words = cleanText.toLowerCase().split(/\s+/);
-  const wordFreq = {};
-  words.forEach(word => {
-    const cleanWord = word.replace(/[^\w\u0C80-\u0CFF]/g, '');
-    if (cleanWord.length > 2) {
-      wordFreq[cleanWord] = (wordFreq[cleanWord] || 0) + 1;
+// 1. Summarize text input
+app.post('/api/summarize/text', requireUser, async (req, res) => {
+  try {
+    const { model } = req.body;
+
+    if (!req.body.text || !model) {
+      return res.status(400).json({ error: 'Text and model are required' });
     }
-  });
 
-  const scoredSentences = sentences.map((sentence, index) => {
-    let score = 0;
-    const sentenceWords = sentence.toLowerCase().split(/\s+/);
-    
-    // 1. Word frequency score
-    sentenceWords.forEach(word => {
-      const cleanWord = word.replace(/[^\w\u0C80-\u0CFF]/g, '');
-      score += wordFreq[cleanWord] || 0;
+    const summaryOptions = parseSummaryOptions(model, req.body);
+    if (!summaryOptions.isValid) {
+      return res.status(400).json({ error: summaryOptions.message });
+    }
+
+    const language = parseLanguageOptions(req.body);
+    if (!language.isValid) {
+      return res.status(400).json({ error: language.message });
+    }
+
+    const text = normalizeInputText(req.body.text);
+    const cacheKey = requestCacheKey('text', text, model, summaryOptions, language, req.body);
+    let outcome = await cachedOutcome(cacheKey, req.body);
+    const cached = Boolean(outcome);
+
+    if (!outcome) {
+      const validation = validateLanguage(text, language.options);
+      if (!validation.isValid) {
+        return res.status(400).json({ 
+          error: validation.message,
+          kannadaPercentage: validation.percentage
+        });
+      }
+
+      const result = await summarizeWithModel(validation.text, model, summaryOptions.options);
+      outcome = summaryOutcome(validation, result, req.body);
+      await cacheResult(cacheKey, model, outcome);
+    }
+
+    const { summary, repeated } = await storeSummary(req.user.id, cacheKey, {
+      ...outcomeFields(outcome),
+      model,
+      parameters: summaryOptions.options,
+      fileType: 'text',
     });
-    
-    // 2. Enhanced position score
-    if (index === 0) score += 8;
-    if (index === sentences.length - 1) score += 5;
-    if (index < 3) score += 3;
-    
-    // 3. Length score (prefer moderate length)
-    const wordCount = sentenceWords.length;
-    if (wordCount >= 8 && wordCount <= 30) score += 5;
-    else if (wordCount >= 5 && wordCount <= 40) score += 2;
-    
-    // 4. Keyword indicators
-    const keywords = ['ಮುಖ್ಯ', 'ಪ್ರಮುಖ', 'ಮುಖ್ಯವಾಗಿ', 'ಆದರೆ', 'ಹೀಗಾಗಿ', 'important', 'main', 'significant', 'however', 'therefore'];
-    keywords.forEach(keyword => {
-      if (sentence.toLowerCase().includes(keyword)) score += 4;
+    recordDocument(summary.originalText);
+
+    res.json({
+      success: true,
+      cached: cached && repeated,
+      summary: outcome.summary,
+      id: summary._id,
+      statistics: summary.statistics,
+      kannadaPercentage: outcome.kannadaPercentage,
+      ...(outcome.sentences && { sentences: outcome.sentences }),
+      ...(outcome.tree && { mode: 'hierarchical', tree: outcome.tree }),
+      ...(outcome.abstractive && { mode: 'abstractive', abstractive: outcome.abstractive }),
+      ...(outcome.fallback && { fallback: outcome.fallback }),
+      ...(outcome.query && { query: outcome.query }),
+      ...(outcome.language && { language: outcome.language }),
+      ...(outcome.keywords && { keywords: outcome.keywords, keyphrases: outcome.keyphrases }),
     });
-    
-    // 5. Numerical data bonus
-    if (/\d+/.test(sentence)) score += 2;
-    
-    return { 
-      sentence: sentence.trim(), 
-      score: score / sentenceWords.length,
-      index,
-      length: wordCount
-    };
-  });
+  } catch (error) {
+    console.error('Summarization error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  // Select 35% of original sentences
-  const summaryLength = Math.max(3, Math.ceil(sentences.length * 0.35));
-  
-  const topSentences = scoredSentences
-    .sort((a, b) => b.score - a.score)
-    .slice(0, summaryLength)
-    .sort((a, b) => a.index - b.index);
+// 2. Summarize an uploaded file. The format (PDF, Word, OpenDocument, RTF, EPUB,
+// HTML or plain text) is detected from the file's content.
+async function summarizeFile(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
 
-  return topSentences.map(s => s.sentence).join(' ');
-}
+    const { model } = req.body;
 
-// TEXTRANK ALGORITHM - Graph-based (longer, comprehensive summary)
-function textRankSummarization(text) {
-  const cleanText = text.replace(/\s+/g, ' ').trim();
-  const sentences = cleanText.match(/[^।.!?]+[।.!?]+/g) || [cleanText];
-  
-  if (sentences.length <= 3) {
-    return text;
-  }
+    if (!model) {
+      return res.status(400).json({ error: 'Model selection is required' });
+    }
 
-  const n = sentences.length;
-  const similarity = Array(n).fill(0).map(() => Array(n).fill(0));
-  
-  // Build similarity matrix based on word overlap
-  for (let i = 0; i < n; i++) {
-    const words1 = new Set(
-      sentences[i].toLowerCase()
-        .split(/\s+/)
-        .map(w => w.replace(/[^\w\u0C80-\u0CFF]/g, ''))
-        .filter(w => w.length > 2)
-    );
-    
-    for (let j = i + 1; j < n; j++) {
-      const words2 = new Set(
-        sentences[j].toLowerCase()
-          .split(/\s+/)
-          .map(w => w.replace(/[^\w\u0C80-\u0CFF]/g, ''))
-          .filter(w => w.length > 2)
-      );
-      
-      const intersection = new Set([...words1].filter(x => words2.has(x)));
-      const union = new Set([...words1, ...words2]);
-      const sim = intersection.size / (union.size + 0.0001);
-      
-      similarity[i][j] = sim;
-      similarity[j][i] = sim;
+    const summaryOptions = parseSummaryOptions(model, req.body);
+    if (!summaryOptions.isValid) {
+      return res.status(400).json({ error: summaryOptions.message });
     }
-  }
 
-  // PageRank algorithm
-  const dampingFactor = 0.85;
-  const iterations = 50;
-  let scores = Array(n).fill(1.0);
-  
-  for (let iter = 0; iter < iterations; iter++) {
-    const newScores = Array(n).fill(0);
-    for (let i = 0; i < n; i++) {
-      let sum = 0;
-      for (let j = 0; j < n; j++) {
-        if (i !== j) {
-          const sumSim = similarity[j].reduce((a, b) => a + b, 0);
-          if (sumSim > 0) {
-            sum += (similarity[j][i] / sumSim) * scores[j];
-          }
-        }
+    const language = parseLanguageOptions(req.body);
+    if (!language.isValid) {
+      return res.status(400).json({ error: language.message });
+    }
+
+    // Extraction is deterministic, so the upload's bytes identify the document
+    const cacheKey = requestCacheKey('file', req.file.buffer, model, summaryOptions, language, req.body);
+    let outcome = await cachedOutcome(cacheKey, req.body);
+    const cached = Boolean(outcome);
+
+    if (!outcome) {
+      const { text: extractedText, fileType, conversion, pageCount } = await extractDocument(req.file.buffer);
+
+      if (!extractedText || extractedText.trim().length === 0) {
+        return res.status(400).json({ error: `No text found in ${FILE_TYPE_LABELS[fileType]}` });
       }
-      newScores[i] = (1 - dampingFactor) + dampingFactor * sum;
+
+      const validation = validateLanguage(extractedText, language.options);
+      if (!validation.isValid) {
+        return res.status(400).json({ 
+          error: validation.message,
+          kannadaPercentage: validation.percentage,
+          ...(conversion && { conversion }),
+        });
+      }
+
+      const result = await summarizeWithModel(validation.text, model, summaryOptions.options);
+      outcome = {
+        ...summaryOutcome(validation, result, req.body),
+        fileType,
+        conversion,
+        pageCount,
+      };
+      await cacheResult(cacheKey, model, outcome);
     }
-    scores = newScores;
-  }
 
-  // Select 45% of sentences (longest summary)
-  const summaryLength = Math.max(3, Math.ceil(n * 0.45));
-  const ranked = sentences.map((s, i) => ({ 
-    sentence: s.trim(), 
-    score: scores[i], 
-    index: i 
-  }))
-    .sort((a, b) => b.score - a.score)
-    .slice(0, summaryLength)
-    .sort((a, b) => a.index - b.index);
-
-  return ranked.map(r => r.sentence).join(' ');
+    const { summary, repeated } = await storeSummary(req.user.id, cacheKey, {
+      ...outcomeFields(outcome),
+      model,
+      parameters: summaryOptions.options,
+      fileType: outcome.fileType,
+    });
+    recordDocument(summary.originalText);
+
+    res.json({
+      success: true,
+      cached: cached && repeated,
+      summary: outcome.summary,
+      originalText: outcome.text,
+      fileType: outcome.fileType,
+      ...(outcome.conversion && { conversion: outcome.conversion }),
+      id: summary._id,
+      statistics: summary.statistics,
+      kannadaPercentage: outcome.kannadaPercentage,
+      ...(outcome.sentences && { sentences: outcome.sentences }),
+      ...(outcome.tree && { mode: 'hierarchical', tree: outcome.tree }),
+      ...(outcome.abstractive && { mode: 'abstractive', abstractive: outcome.abstractive }),
+      ...(outcome.fallback && { fallback: outcome.fallback }),
+      ...(outcome.query && { query: outcome.query }),
+      ...(outcome.language && { language: outcome.language }),
+      ...(outcome.keywords && { keywords: outcome.keywords, keyphrases: outcome.keyphrases }),
+    });
+  } catch (error) {
+    console.error('File summarization error:', error);
+    res.status(error.code === 'UNSUPPORTED_FORMAT' ? 400 : 500).json({ error: error.message });
+  }
 }
 
-// HYBRID ALGORITHM - Combines TextRank with frequency analysis
-function hybridSummarization(text) {
-  const cleanText = text.replace(/\s+/g, ' ').trim();
-  const sentences = cleanText.match(/[^।.!?]+[।.!?]+/g) || [cleanText];
-  
-  if (sentences.length <= 3) {
-    return text;
+app.post('/api/summarize/file', requireUser, upload.single('file'), summarizeFile);
+
+// 3. Older per-format upload routes, kept as aliases of /api/summarize/file
+app.post('/api/summarize/pdf', requireUser, upload.single('file'), summarizeFile);
+app.post('/api/summarize/word', requireUser, upload.single('file'), summarizeFile);
+
+// 4. Get summary history (the logged-in user's own summaries). Optional query
+// parameters: q (words to search for in the title, summary and original text),
+// model, fileType, from/to (dates), sort (newest, oldest or model), limit and
+// cursor (the nextCursor of the previous page). The list leaves out the
+// original text and section tree; fetch a summary by ID for those.
+app.get('/api/summaries', requireUser, async (req, res) => {
+  try {
+    const search = parseSearchQuery(req.query, req.user.id);
+    if (!search.isValid) {
+      return res.status(400).json({ error: search.message });
+    }
+
+    const { filter, cursorFilter, sort, sortKey, limit } = search;
+    // One extra document tells whether there is a next page
+    const [found, total] = await Promise.all([
+      Summary.find(cursorFilter ? { $and: [filter, cursorFilter] } : filter, { originalText: 0, tree: 0 })
+        .sort(sort)
+        .limit(limit + 1),
+      Summary.countDocuments(filter),
+    ]);
+
+    const summaries = found.slice(0, limit);
+    const nextCursor = found.length > limit ? encodeCursor(sortKey, summaries[summaries.length - 1]) : null;
+
+    res.json({ success: true, summaries, total, nextCursor });
+  } catch (error) {
+    console.error('Error fetching summaries:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  // Get TextRank scores
-  const n = sentences.length;
-  const similarity = Array(n).fill(0).map(() => Array(n).fill(0));
-  
-  for (let i = 0; i < n; i++) {
-    const words1 = new Set(
-      sentences[i].toLowerCase()
-        .split(/\s+/)
-        .map(w => w.replace(/[^\w\u0C80-\u0CFF]/g, ''))
-        .filter(w => w.length > 2)
-    );
+// 5. Get summary by ID
+app.get('/api/summaries/:id', requireUser, async (req, res) => {
+  try {
+    const summary = await findOwnSummary(req);
     
-    for (let j = i + 1; j < n; j++) {
-      const words2 = new Set(
-        sentences[j].toLowerCase()
-          .split(/\s+/)
-          .map(w => w.replace(/[^\w\u0C80-\u0CFF]/g, ''))
-          .filter(w => w.length > 2)
-      );
-      
-      const intersection = new Set([...words1].filter(x => words2.has(x)));
-      const union = new Set([...words1, ...words2]);
-      const sim = intersection.size / (union.size + 0.0001);
-      
-      similarity[i][j] = sim;
-      similarity[j][i] = sim;
+    if (!summary) {
+      return res.status(404).json({ error: 'Summary not found' });
     }
+
+    res.json({ success: true, summary });
+  } catch (error) {
+    console.error('Error fetching summary:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  const dampingFactor = 0.85;
-  const iterations = 30;
-  let textRankScores = Array(n).fill(1.0);
-  
-  for (let iter = 0; iter < iterations; iter++) {
-    const newScores = Array(n).fill(0);
-    for (let i = 0; i < n; i++) {
-      let sum = 0;
-      for (let j = 0; j < n; j++) {
-        if (i !== j) {
-          const sumSim = similarity[j].reduce((a, b) => a + b, 0);
-          if (sumSim > 0) {
-            sum += (similarity[j][i] / sumSim) * textRankScores[j];
-          }
-        }
-      }
-      newScores[i] = (1 - dampingFactor) + dampingFactor * sum;
+// 6. Delete summary
+app.delete('/api/summaries/:id', requireUser, async (req, res) => {
+  try {
+    const summary = mongoose.isValidObjectId(req.params.id)
+      ? await Summary.findOneAndDelete({ _id: req.params.id, userId: req.user.id })
+      : null;
+    
+    if (!summary) {
+      return res.status(404).json({ error: 'Summary not found' });
     }
-    textRankScores = newScores;
+
+    res.json({ success: true, message: 'Summary deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting summary:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  // Get frequency scores
-  const words = cleanText.toLowerCase().split(/\s+/);
-  const wordFreq = {};
-  words.forEach(word => {
-    const cleanWord = word.replace(/[^\w\u0C80-\u0CFF]/g, '');
-    if (cleanWord.length > 2) {
-      wordFreq[cleanWord] = (wordFreq[cleanWord] || 0) + 1;
-    }
+// 7. List available summarization models
+app.get('/api/models', (req, res) => {
+  res.json({
+    success: true,
+    models: listSummarizers().map(describeSummarizer),
+    lengthOptions: LENGTH_OPTIONS,
+    selectionOptions: SELECTION_OPTIONS,
+    hierarchyOptions: HIERARCHY_OPTIONS,
+    validation: validationRule(),
   });
+});
 
-  const scoredSentences = sentences.map((sentence, index) => {
-    let freqScore = 0;
-    const sentenceWords = sentence.toLowerCase().split(/\s+/);
-    
-    sentenceWords.forEach(word => {
-      const cleanWord = word.replace(/[^\w\u0C80-\u0CFF]/g, '');
-      freqScore += wordFreq[cleanWord] || 0;
-    });
-    
-    freqScore = freqScore / sentenceWords.length;
-    
-    // Combine TextRank and frequency scores (weighted average)
-    const combinedScore = (textRankScores[index] * 0.6) + (freqScore * 0.4);
-    
-    // Position bonus
-    let positionBonus = 0;
-    if (index === 0) positionBonus = 0.3;
-    else if (index === n - 1) positionBonus = 0.15;
-    else if (index < 3) positionBonus = 0.1;
-    
-    return { 
-      sentence: sentence.trim(), 
-      score: combinedScore + positionBonus,
-      index
-    };
-  });
+// 8. Evaluate summarizers against a reference corpus (ROUGE-1/2/L). Abstractive
+// models call a paid API for every document, so they only run when models names them.
+app.post('/api/evaluate', requireAdmin, async (req, res) => {
+  try {
+    const { corpus = '.', models } = req.body;
 
-  // Select 40% of sentences
-  const summaryLength = Math.max(3, Math.ceil(n * 0.40));
-  
-  const topSentences = scoredSentences
-    .sort((a, b) => b.score - a.score)
-    .slice(0, summaryLength)
-    .sort((a, b) => a.index - b.index);
+    const corpusDir = path.resolve(EVALUATION_CORPUS_DIR, corpus);
+    if (corpusDir !== EVALUATION_CORPUS_DIR && !corpusDir.startsWith(EVALUATION_CORPUS_DIR + path.sep)) {
+      return res.status(400).json({ error: 'Corpus must be a directory inside the evaluation corpus root' });
+    }
+    if (!fs.existsSync(corpusDir) || !fs.statSync(corpusDir).isDirectory()) {
+      return res.status(404).json({ error: `Corpus "${corpus}" not found` });
+    }
 
-  return topSentences.map(s => s.sentence).join(' ');
-}
+    const modelIds = models
+      ? (Array.isArray(models) ? models : String(models).split(',')).map(model => model.trim())
+      : listSummarizers().filter(summarizer => summarizer.type !== 'abstractive').map(summarizer => summarizer.id);
 
-// Main summarization function
-async function summarizeWithModel(text, model) {
-  console.log(`Using summarization algorithm: ${model}`);
-  
-  try {
-    let summary;
-    
-    switch(model) {
-      case 'textrank':
-        summary = textRankSummarization(text);
-        console.log('TextRank: Comprehensive graph-based summary (45% of original)');
-        break;
-      case 'advanced':
-        summary = advancedSummarization(text);
-        console.log('Advanced: Balanced summary with position & keywords (35% of original)');
-        break;
-      case 'simple':
-        summary = simpleSummarization(text);
-        console.log('Simple: Concise frequency-based summary (25% of original)');
-        break;
-      case 'hybrid':
-        summary = hybridSummarization(text);
-        console.log('Hybrid: Combined TextRank + Frequency (40% of original)');
-        break;
-      default:
-        summary = advancedSummarization(text);
+    const runs = [];
+    for (const model of modelIds) {
+      const summaryOptions = parseSummaryOptions(model, req.body);
+      if (!summaryOptions.isValid) {
+        return res.status(400).json({ error: summaryOptions.message });
+      }
+      runs.push({ model, options: summaryOptions.options });
     }
-    
-    return summary;
+
+    const language = parseLanguageOptions(req.body);
+    if (!language.isValid) {
+      return res.status(400).json({ error: language.message });
+    }
+
+    const report = await evaluateCorpus(corpusDir, { runs, languageOptions: language.options });
+
+    if (report.documents.length === 0) {
+      return res.status(400).json({ error: 'No documents with reference summaries found in corpus', skipped: report.skipped });
+    }
+
+    res.json({ success: true, corpus, ...report });
   } catch (error) {
-    console.error('Summarization error:', error);
-    throw new Error('Summarization failed: ' + error.message);
+    console.error('Evaluation error:', error);
+    res.status(500).json({ error: error.message });
   }
-}
-
-// Routes
+});
 
-// 1. Summarize text input
-app.post('/api/summarize/text', async (req, res) => {
+// 9. Extract keywords and keyphrases
+app.post('/api/keywords', (req, res) => {
   try {
-    const { text, model, userId } = req.body;
+    const { text, limit = 10, method = 'combined' } = req.body;
 
-    if (!text || !model) {
-      return res.status(400).json({ error: 'Text and model are required' });
+    if (!text) {
+      return res.status(400).json({ error: 'Text is required' });
+    }
+
+    const count = Number(limit);
+    if (!Number.isInteger(count) || count < 1 || count > 100) {
+      return res.status(400).json({ error: 'Invalid limit: expected an integer between 1 and 100.' });
+    }
+
+    if (!KEYWORD_METHODS.includes(method)) {
+      return res.status(400).json({ error: `Unknown method "${method}". Available methods: ${KEYWORD_METHODS.join(', ')}.` });
+    }
+
+    const language = parseLanguageOptions(req.body);
+    if (!language.isValid) {
+      return res.status(400).json({ error: language.message });
     }
 
-    const validation = isKannadaText(text);
+    const validation = validateLanguage(text, language.options);
     if (!validation.isValid) {
-      return res.status(400).json({ 
+      return res.status(400).json({
         error: validation.message,
         kannadaPercentage: validation.percentage
       });
     }
 
-    const summarizedText = await summarizeWithModel(text, model);
+    const { keywords, keyphrases } = extractKeywords(validation.text, { limit: count, method, idf: getCorpusIdf() });
+
+    res.json({ success: true, method, keywords, keyphrases, ...(validation.language && { language: validation.language }) });
+  } catch (error) {
+    console.error('Keyword extraction error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const summary = new Summary({
-      originalText: text,
-      summarizedText,
+// 10. Inspect corpus IDF statistics
+app.get('/api/admin/idf', requireAdmin, (req, res) => {
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ error: 'Invalid limit: expected an integer between 1 and 500.' });
+  }
+
+  res.json({ success: true, ...inspectCorpusStats(limit) });
+});
+
+// 11. Rebuild corpus IDF statistics from the stored summaries (clears the summary cache)
+app.post('/api/admin/idf/rebuild', requireAdmin, async (req, res) => {
+  try {
+    if (inspectCorpusStats().rebuilding) {
+      return res.status(409).json({ error: 'A corpus statistics rebuild is already running' });
+    }
+
+    const stats = await rebuildCorpusStats(Summary);
+    // Cached summaries were ranked with the old table
+    await clearSummaryCache();
+    res.json({ success: true, ...stats });
+  } catch (error) {
+    console.error('Corpus statistics rebuild error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 12. Summarize several documents (PDF/Word files and text snippets) together
+app.post('/api/summarize/multi', requireUser, upload.array('files', MAX_MULTI_DOCUMENTS), async (req, res) => {
+  try {
+    const { model } = req.body;
+    const files = req.files || [];
+    const texts = [].concat(req.body.texts || []).filter(snippet => String(snippet).trim());
+
+    if (!model) {
+      return res.status(400).json({ error: 'Model selection is required' });
+    }
+
+    if (files.length + texts.length < 2) {
+      return res.status(400).json({ error: 'At least two documents (files or text snippets) are required' });
+    }
+
+    if (files.length + texts.length > MAX_MULTI_DOCUMENTS) {
+      return res.status(400).json({ error: `At most ${MAX_MULTI_DOCUMENTS} documents can be summarized together` });
+    }
+
+    const summaryOptions = parseSummaryOptions(model, req.body);
+    if (!summaryOptions.isValid) {
+      return res.status(400).json({ error: summaryOptions.message });
+    }
+
+    // Sentences are pooled and attributed to their documents, which needs an extractive algorithm
+    if (getSummarizer(model).type === 'abstractive') {
+      return res.status(400).json({ error: `${getSummarizer(model).name} cannot summarize several documents together; choose an extractive algorithm` });
+    }
+
+    const language = parseLanguageOptions(req.body);
+    if (!language.isValid) {
+      return res.status(400).json({ error: language.message });
+    }
+
+    const sources = [
+      ...files.map(file => ({ name: file.originalname, file })),
+      ...texts.map((snippet, index) => ({ name: `Text ${index + 1}`, fileType: 'text', text: normalizeInputText(snippet) })),
+    ];
+
+    // Document names are part of the response, so they are part of the key
+    const cacheKey = requestCacheKey(
+      'multi',
+      sources.flatMap(source => [source.name, source.file ? source.file.buffer : source.text]),
       model,
-      fileType: 'text',
-      userId: userId || 'anonymous',
-    });
+      summaryOptions,
+      language,
+      req.body
+    );
+    let outcome = await cachedOutcome(cacheKey, req.body);
+    const cached = Boolean(outcome);
+    if (!outcome) {
+      outcome = await summarizeSources(sources, model, summaryOptions, language, req.body);
+      if (outcome.failures) {
+        return res.status(400).json({
+          error: `Could not use ${outcome.failures.map(failure => failure.name).join(', ')}`,
+          documents: outcome.failures,
+        });
+      }
+      await cacheResult(cacheKey, model, outcome);
+    }
 
-    await summary.save();
+    const { summary, repeated } = await storeSummary(req.user.id, cacheKey, {
+      ...outcomeFields(outcome),
+      model,
+      parameters: summaryOptions.options,
+      fileType: 'multi',
+      sources: outcome.documents.map(({ name, fileType }) => ({ name, fileType })),
+    });
+    recordDocument(summary.originalText);
 
     res.json({
       success: true,
-      summary: summarizedText,
+      cached: cached && repeated,
+      summary: outcome.summary,
+      originalText: outcome.text,
       id: summary._id,
-      kannadaPercentage: validation.percentage
+      statistics: summary.statistics,
+      documents: outcome.documents,
+      summarySentences: outcome.summarySentences,
+      ...(outcome.query && { query: outcome.query }),
+      ...(outcome.sentences && { sentences: outcome.sentences }),
+      ...(outcome.keywords && { keywords: outcome.keywords, keyphrases: outcome.keyphrases }),
     });
   } catch (error) {
-    console.error('Summarization error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Multi-document summarization error:', error);
+    res.status(error.code === 'TOO_MANY_SENTENCES' ? 400 : 500).json({ error: error.message });
   }
 });
 
-// 2. Summarize PDF file
-app.post('/api/summarize/pdf', upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+// Extract, validate and summarize the documents of a multi-document request.
+// Returns the outcome that is cached, or { failures } when a document is unusable.
+async function summarizeSources(sources, model, summaryOptions, language, body) {
+  const documents = [];
+  const failures = [];
+  for (const source of sources) {
+    let { text, fileType } = source;
+    let conversion = null;
+    let pageCount;
+    if (source.file) {
+      try {
+        ({ text, fileType, conversion, pageCount } = await extractDocument(source.file.buffer));
+      } catch (error) {
+        failures.push({ name: source.name, error: `Could not read file: ${error.message}` });
+        continue;
+      }
     }
 
-    const { model, userId } = req.body;
+    if (!text || text.trim().length === 0) {
+      failures.push({ name: source.name, error: 'No text found in document' });
+      continue;
+    }
+
+    const validation = validateLanguage(text, language.options);
+    if (!validation.isValid) {
+      failures.push({ name: source.name, error: validation.message, kannadaPercentage: validation.percentage, ...(conversion && { conversion }) });
+      continue;
+    }
+
+    documents.push({
+      name: source.name,
+      fileType,
+      text: validation.text,
+      kannadaPercentage: validation.percentage,
+      conversion,
+      pageCount,
+      language: validation.language,
+    });
+  }
+
+  if (failures.length > 0) {
+    return { failures };
+  }
+
+  const result = await summarizeDocuments(documents, model, summaryOptions.options);
+  const originalText = documents.map(document => document.text).join('\n\n');
+
+  return {
+    text: originalText,
+    summary: withOtherLanguage(result.summary, ...documents.map(document => document.language)),
+    documents: documents.map((document, index) => ({
+      name: document.name,
+      fileType: document.fileType,
+      kannadaPercentage: document.kannadaPercentage,
+      ...(document.pageCount && { pageCount: document.pageCount }),
+      ...(document.conversion && { conversion: document.conversion }),
+      ...(document.language && { language: document.language }),
+      ...result.documents[index],
+    })),
+    summarySentences: result.summarySentences,
+    ...(result.query && { query: result.query }),
+    ...(parseFlag(body.explain) && { sentences: result.sentences }),
+    ...requestedKeywords(originalText, body),
+  };
+}
+
+// 13. Submit a summarization job (file upload or text)
+app.post('/api/jobs', requireUser, jobUpload.single('file'), async (req, res) => {
+  try {
+    const { text, model } = req.body;
 
     if (!model) {
       return res.status(400).json({ error: 'Model selection is required' });
     }
 
-    const pdfData = await pdfParse(req.file.buffer);
-    const extractedText = pdfData.text;
+    if (!req.file && !text) {
+      return res.status(400).json({ error: 'A file or text is required' });
+    }
 
-    if (!extractedText || extractedText.trim().length === 0) {
-      return res.status(400).json({ error: 'No text found in PDF' });
+    const summaryOptions = parseSummaryOptions(model, req.body);
+    if (!summaryOptions.isValid) {
+      return res.status(400).json({ error: summaryOptions.message });
     }
 
-    const validation = isKannadaText(extractedText);
-    if (!validation.isValid) {
-      return res.status(400).json({ 
-        error: validation.message,
-        kannadaPercentage: validation.percentage
-      });
+    const language = parseLanguageOptions(req.body);
+    if (!language.isValid) {
+      return res.status(400).json({ error: language.message });
     }
 
-    const summarizedText = await summarizeWithModel(extractedText, model);
+    const input = req.file
+      ? {
+        buffer: req.file.buffer,
+        fileName: req.file.originalname,
+        fileType: await detectFileType(req.file.buffer),
+      }
+      : { buffer: Buffer.from(normalizeInputText(text), 'utf8'), fileType: 'text' };
 
-    const summary = new Summary({
-      originalText: extractedText,
-      summarizedText,
+    const job = await submitJob({
+      ...input,
       model,
-      fileType: 'pdf',
-      userId: userId || 'anonymous',
+      parameters: summaryOptions.options,
+      explain: parseFlag(req.body.explain),
+      keywords: parseFlag(req.body.keywords),
+      languageOptions: language.options,
+      userId: req.user.id,
+      // The same keys as /api/summarize/file and /api/summarize/text, so the routes share results
+      cacheKey: requestCacheKey(req.file ? 'file' : 'text', input.buffer, model, summaryOptions, language, req.body),
+      force: parseFlag(req.body.force),
     });
 
-    await summary.save();
+    res.status(202).json({ success: true, job, eventsToken: issueEventToken(job.id, req.user.id) });
+  } catch (error) {
+    console.error('Job submission error:', error);
+    res.status(error.code === 'UNSUPPORTED_FORMAT' ? 400 : 500).json({ error: error.message });
+  }
+});
 
-    res.json({
-      success: true,
-      summary: summarizedText,
-      originalText: extractedText,
-      id: summary._id,
-      kannadaPercentage: validation.percentage
-    });
+// 14. Get job status
+app.get('/api/jobs/:id', requireUser, async (req, res) => {
+  try {
+    const job = await getJob(req.params.id, req.user.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ success: true, job, eventsToken: issueEventToken(job.id, req.user.id) });
   } catch (error) {
-    console.error('PDF summarization error:', error);
+    console.error('Error fetching job:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// 3. Summarize Word file
-app.post('/api/summarize/word', upload.single('file'), async (req, res) => {
+// 15. Stream job progress (Server-Sent Events)
+// EventSource cannot send headers: the stream takes the job's eventsToken as ?token=
+app.get('/api/jobs/:id/events', requireEventToken, async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const job = await getJob(req.params.id, req.user.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+
+    const send = (update) => {
+      if (res.writableEnded) return;
+      res.write(`data: ${JSON.stringify(update)}\n\n`);
+      if (update.status === 'completed' || update.status === 'failed') {
+        res.end();
+      }
+    };
+
+    // Keeps proxies from closing an idle stream while a long stage runs
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    const unsubscribe = subscribe(job.id, send);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    // Fetched again after subscribing, so no update in between is missed
+    send(await getJob(req.params.id, req.user.id));
+  } catch (error) {
+    console.error('Error streaming job:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// 16. Convert text in legacy Nudi/Baraha font encoding to Unicode (file upload or text)
+app.post('/api/convert', upload.single('file'), async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    if (!req.file && !text) {
+      return res.status(400).json({ error: 'A file or text is required' });
     }
 
-    const { model, userId } = req.body;
+    const result = req.file
+      ? await extractDocument(req.file.buffer)
+      : normalizeLegacyText(String(text));
+
+    if (!result.text || result.text.trim().length === 0) {
+      return res.status(400).json({ error: 'No text found in document' });
+    }
 
+    res.json({
+      success: true,
+      converted: result.conversion !== null,
+      ...(result.conversion && { conversion: result.conversion }),
+      text: result.text,
+      kannadaPercentage: isKannadaText(result.text).percentage,
+    });
+  } catch (error) {
+    console.error('Conversion error:', error);
+    res.status(error.code === 'UNSUPPORTED_FORMAT' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// 17. Summarize a web article: an uploaded HTML file, HTML in the request body,
+// or a URL to fetch. Menus, ads and other page furniture are dropped first.
+app.post('/api/summarize/article', requireUser, pageUpload.single('file'), async (req, res) => {
+  try {
+    const { html, url, model } = req.body;
+
+    if (!req.file && !html && !url) {
+      return res.status(400).json({ error: 'An HTML file, HTML text or a URL is required' });
+    }
     if (!model) {
       return res.status(400).json({ error: 'Model selection is required' });
     }
 
-    const result = await mammoth.extractRawText({ buffer: req.file.buffer });
-    const extractedText = result.value;
+    const summaryOptions = parseSummaryOptions(model, req.body);
+    if (!summaryOptions.isValid) {
+      return res.status(400).json({ error: summaryOptions.message });
+    }
 
-    if (!extractedText || extractedText.trim().length === 0) {
-      return res.status(400).json({ error: 'No text found in Word document' });
+    const language = parseLanguageOptions(req.body);
+    if (!language.isValid) {
+      return res.status(400).json({ error: language.message });
     }
 
-    const validation = isKannadaText(extractedText);
-    if (!validation.isValid) {
-      return res.status(400).json({ 
-        error: validation.message,
-        kannadaPercentage: validation.percentage
-      });
+    // Given HTML wins; the URL is then only recorded as the source
+    let page;
+    let sourceUrl = url ? parsePageUrl(url).href : undefined;
+    if (req.file) {
+      page = decodeHtml(req.file.buffer);
+    } else if (html) {
+      page = String(html);
+    } else {
+      const fetched = await fetchPage(sourceUrl);
+      page = decodeHtml(fetched.buffer, fetched.charset);
+      sourceUrl = fetched.url;
     }
 
-    const summarizedText = await summarizeWithModel(extractedText, model);
+    // The page is fetched every time (it may have changed); its HTML is the key
+    const cacheKey = requestCacheKey('article', page, model, summaryOptions, language, req.body);
+    let outcome = await cachedOutcome(cacheKey, req.body);
+    const cached = Boolean(outcome);
+
+    if (!outcome) {
+      const article = extractArticle(page);
+      const { text: articleText, conversion } = normalizeLegacyText(article.text);
+
+      if (!articleText || articleText.trim().length === 0) {
+        return res.status(400).json({ error: 'No article text found in the page', title: article.title });
+      }
+
+      const validation = validateLanguage(articleText, language.options);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: validation.message,
+          kannadaPercentage: validation.percentage,
+          title: article.title,
+          ...(conversion && { conversion }),
+        });
+      }
 
-    const summary = new Summary({
-      originalText: extractedText,
-      summarizedText,
+      const result = await summarizeWithModel(validation.text, model, summaryOptions.options);
+      outcome = {
+        ...summaryOutcome(validation, result, req.body),
+        title: article.title,
+        conversion,
+      };
+      await cacheResult(cacheKey, model, outcome);
+    }
+
+    const { summary, repeated } = await storeSummary(req.user.id, cacheKey, {
+      ...outcomeFields(outcome),
       model,
-      fileType: 'word',
-      userId: userId || 'anonymous',
+      parameters: summaryOptions.options,
+      fileType: 'html',
+      ...(outcome.title && { title: outcome.title }),
+      ...(sourceUrl && { sourceUrl }),
     });
-
-    await summary.save();
+    recordDocument(summary.originalText);
 
     res.json({
       success: true,
-      summary: summarizedText,
-      originalText: extractedText,
+      cached: cached && repeated,
+      summary: outcome.summary,
+      originalText: outcome.text,
+      title: outcome.title,
+      ...(sourceUrl && { sourceUrl }),
+      fileType: 'html',
+      ...(outcome.conversion && { conversion: outcome.conversion }),
       id: summary._id,
-      kannadaPercentage: validation.percentage
+      statistics: summary.statistics,
+      kannadaPercentage: outcome.kannadaPercentage,
+      ...(outcome.sentences && { sentences: outcome.sentences }),
+      ...(outcome.tree && { mode: 'hierarchical', tree: outcome.tree }),
+      ...(outcome.abstractive && { mode: 'abstractive', abstractive: outcome.abstractive }),
+      ...(outcome.fallback && { fallback: outcome.fallback }),
+      ...(outcome.query && { query: outcome.query }),
+      ...(outcome.language && { language: outcome.language }),
+      ...(outcome.keywords && { keywords: outcome.keywords, keyphrases: outcome.keyphrases }),
     });
   } catch (error) {
-    console.error('Word summarization error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Article summarization error:', error);
+    const status = error.code === 'INVALID_URL' ? 400 : error.code === 'FETCH_FAILED' ? 502 : 500;
+    res.status(status).json({ error: error.message });
   }
 });
 
-// 4. Get summary history
-app.get('/api/summaries', async (req, res) => {
+// 18. Export a summary as a document (docx, pdf, md, json or txt)
+app.get('/api/summaries/:id/export', requireUser, async (req, res) => {
   try {
-    const { userId, limit = 10 } = req.query;
-    
-    const query = userId && userId !== 'anonymous' ? { userId } : {};
-    const summaries = await Summary.find(query)
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit));
+    const format = String(req.query.format || 'txt').toLowerCase();
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported export format "${format}". Available formats: ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+    }
+    const summary = await findOwnSummary(req);
+
+    if (!summary) {
+      return res.status(404).json({ error: 'Summary not found' });
+    }
+
+    const { content, contentType, extension } = await exportSummary(summary, format);
 
-    res.json({ success: true, summaries });
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="kannada_summary_${summary._id}.${extension}"`,
+    });
+    res.send(content);
   } catch (error) {
-    console.error('Error fetching summaries:', error);
+    console.error('Error exporting summary:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// 5. Get summary by ID
-app.get('/api/summaries/:id', async (req, res) => {
+// 19. Create an account (returns a session token, like logging in)
+app.post('/api/auth/register', async (req, res) => {
   try {
-    const summary = await Summary.findById(req.params.id);
-    
-    if (!summary) {
-      return res.status(404).json({ error: 'Summary not found' });
+    const { username, password } = req.body;
+
+    const validation = validateCredentials(username, password);
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.message });
     }
 
-    res.json({ success: true, summary });
+    const session = await registerUser(username, password);
+    if (session.error) {
+      return res.status(409).json({ error: session.error });
+    }
+
+    res.status(201).json({ success: true, ...session });
   } catch (error) {
-    console.error('Error fetching summary:', error);
+    console.error('Registration error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// 6. Delete summary
-app.delete('/api/summaries/:id', async (req, res) => {
+// 20. Log in (too many failed attempts from an address or for a username answer 429)
+app.post('/api/auth/login', async (req, res) => {
   try {
-    const summary = await Summary.findByIdAndDelete(req.params.id);
-    
-    if (!summary) {
-      return res.status(404).json({ error: 'Summary not found' });
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
     }
 
-    res.json({ success: true, message: 'Summary deleted successfully' });
+    const retryAfter = loginRetryAfter(req.ip, username);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: `Too many failed logins. Try again in ${Math.ceil(retryAfter / 60)} minutes.`,
+      });
+    }
+
+    const session = await loginUser(username, password);
+    if (!session) {
+      recordFailedLogin(req.ip, username);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    clearFailedLogins(req.ip, username);
+
+    res.json({ success: true, ...session });
   } catch (error) {
-    console.error('Error deleting summary:', error);
+    console.error('Login error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 21. Log out (ends the session of the token sent)
+app.post('/api/auth/logout', requireUser, async (req, res) => {
+  try {
+    await logoutSession(req.sessionToken);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// 22. Current user
+app.get('/api/auth/me', requireUser, (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+// 23. Compare several algorithms (models, default all but abstractive) on the same text or
+// uploaded file. The document is extracted once and every algorithm gets its
+// own options from the request; comparisons are not saved to the history.
+app.post('/api/summarize/compare', requireUser, upload.single('file'), async (req, res) => {
+  try {
+    const { text, models } = req.body;
+
+    if (!req.file && !text) {
+      return res.status(400).json({ error: 'A file or text is required' });
+    }
+
+    const modelIds = models
+      ? [...new Set((Array.isArray(models) ? models : String(models).split(',')).map(model => model.trim()).filter(Boolean))]
+      // Abstractive calls a paid API, so it only runs when models names it
+      : listSummarizers().filter(summarizer => summarizer.type !== 'abstractive').map(summarizer => summarizer.id);
+    if (modelIds.length < 2) {
+      return res.status(400).json({ error: 'Select at least two algorithms to compare' });
+    }
+
+    const runs = [];
+    for (const model of modelIds) {
+      const summaryOptions = parseSummaryOptions(model, req.body);
+      if (!summaryOptions.isValid) {
+        return res.status(400).json({ error: summaryOptions.message });
+      }
+      runs.push({ model, options: summaryOptions.options });
+    }
+
+    const language = parseLanguageOptions(req.body);
+    if (!language.isValid) {
+      return res.status(400).json({ error: language.message });
+    }
+
+    const { text: documentText, fileType, conversion, pageCount } = req.file
+      ? await extractDocument(req.file.buffer)
+      : { text: normalizeInputText(text), fileType: 'text', conversion: null };
+
+    if (!documentText || documentText.trim().length === 0) {
+      return res.status(400).json({ error: `No text found in ${FILE_TYPE_LABELS[fileType]}` });
+    }
+
+    const validation = validateLanguage(documentText, language.options);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: validation.message,
+        kannadaPercentage: validation.percentage,
+        ...(conversion && { conversion }),
+      });
+    }
+
+    const comparison = await compareSummarizers(validation.text, runs, { pageCount });
+
+    res.json({
+      success: true,
+      originalText: validation.text,
+      fileType,
+      ...(conversion && { conversion }),
+      kannadaPercentage: validation.percentage,
+      ...(validation.language && { language: validation.language }),
+      ...comparison,
+    });
+  } catch (error) {
+    console.error('Comparison error:', error);
+    res.status(error.code === 'UNSUPPORTED_FORMAT' ? 400 : 500).json({ error: error.message });
+  }
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'Server is running' });
 });
 
+// Upload errors (file too large, too many files) as JSON like every other error
+app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({ error: error.message });
+  }
+  next(error);
+});
+
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
@@ -0,0 +1,107 @@
+// ABSTRACTIVE - summary written by a language model (lib/abstractiveProvider.js)
+//
+// Unlike the other algorithms this one gets the whole text and writes new
+// sentences. Texts longer than the provider accepts are split at sentence
+// boundaries into chunks; every chunk is summarized, and the chunk summaries are
+// summarized once more when together they fit into one request. The length
+// controls then keep the leading sentences of the written summary. When the
+// provider is not configured or fails, summarizeWithModel runs the fallback
+// algorithm instead.
+
+const { segmentSentences } = require('../lib/segmenter');
+const { getAbstractiveProvider } = require('../lib/abstractiveProvider');
+const { selectSentences } = require('./selection');
+
+// More chunks than this would mean hundreds of slow, billed requests per document
+const MAX_CHUNKS = Number(process.env.ABSTRACTIVE_MAX_CHUNKS) || 20;
+// Time for all the requests of one document, retries included; past it the
+// fallback algorithm answers
+const DEADLINE_SECONDS = Number(process.env.ABSTRACTIVE_DEADLINE_SECONDS) || 120;
+
+// Length controls keep a share of the written sentences; by default all of them
+const DEFAULTS = { ratio: 1, minSentences: 1 };
+
+// A sentence longer than a whole chunk, cut at word boundaries
+function splitLongSentence(sentence, maxChars) {
+  const pieces = [];
+  let piece = '';
+  for (const word of sentence.split(' ')) {
+    if (piece && piece.length + 1 + word.length > maxChars) {
+      pieces.push(piece);
+      piece = '';
+    }
+    piece = piece ? `${piece} ${word}` : word;
+  }
+  if (piece) pieces.push(piece);
+  return pieces;
+}
+
+// Consecutive sentences joined into chunks of at most maxChars characters
+function chunkText(text, maxChars) {
+  const chunks = [];
+  let chunk = '';
+  for (const { text: sentence } of segmentSentences(text)) {
+    for (const piece of sentence.length > maxChars ? splitLongSentence(sentence, maxChars) : [sentence]) {
+      if (chunk && chunk.length + 1 + piece.length > maxChars) {
+        chunks.push(chunk);
+        chunk = '';
+      }
+      chunk = chunk ? `${chunk} ${piece}` : piece;
+    }
+  }
+  if (chunk) chunks.push(chunk);
+  return chunks;
+}
+
+// The leading sentences of a written summary that fit the length controls
+function fitLength(summary, lengthOptions) {
+  const sentences = segmentSentences(summary).map((segment, index) => ({ sentence: segment.text, score: -index, index }));
+  return selectSentences(sentences, lengthOptions, DEFAULTS).map(s => s.sentence).join(' ');
+}
+
+async function abstractiveSummarization(text, params, lengthOptions) {
+  const provider = getAbstractiveProvider();
+  const chunks = chunkText(text, provider.maxInputChars);
+  if (chunks.length > MAX_CHUNKS) {
+    throw new Error(`The text needs ${chunks.length} requests to the language model (at most ${MAX_CHUNKS} are made per document)`);
+  }
+
+  const deadline = Date.now() + DEADLINE_SECONDS * 1000;
+  const summarize = input => {
+    if (Date.now() >= deadline) {
+      throw new Error(`The language model did not finish the text within ${DEADLINE_SECONDS} seconds`);
+    }
+    return provider.summarize(input, { maxTokens: params.summaryTokens, deadline });
+  };
+
+  const chunkSummaries = [];
+  for (const chunk of chunks) {
+    chunkSummaries.push(await summarize(chunk));
+  }
+
+  let summary = chunkSummaries.join(' ');
+  if (chunkSummaries.length > 1 && summary.length <= provider.maxInputChars) {
+    summary = await summarize(summary);
+  }
+
+  return {
+    summary: fitLength(summary, lengthOptions),
+    abstractive: { provider: provider.id, model: provider.model, chunks: chunks.length },
+  };
+}
+
+module.exports = {
+  id: 'abstractive',
+  version: 1,
+  type: 'abstractive',
+  name: 'Abstractive',
+  icon: '🤖',
+  description: 'Summary written by a language model',
+  defaults: DEFAULTS,
+  options: [
+    { name: 'summaryTokens', label: 'Summary tokens per chunk', type: 'integer', min: 16, max: 1024, step: 16, default: 128 },
+  ],
+  // Extractive algorithm that answers when the language model cannot
+  fallback: process.env.ABSTRACTIVE_FALLBACK_MODEL || 'textrank',
+  summarize: abstractiveSummarization,
+};
@@ -0,0 +1,70 @@
+// ADVANCED ALGORITHM - Position, length, keywords (medium summary)
+
+const { extractTerms, termFrequencies } = require('../lib/textAnalysis');
+const { queryRelevance } = require('./query');
+
+const KEYWORDS = ['ಮುಖ್ಯ', 'ಪ್ರಮುಖ', 'ಮುಖ್ಯವಾಗಿ', 'ಆದರೆ', 'ಹೀಗಾಗಿ', 'important', 'main', 'significant', 'however', 'therefore'];
+
+function advancedSummarization(sentences, params, { idf, query } = {}) {
+  const wordFreq = termFrequencies(sentences.join(' '), idf);
+
+  return sentences.map((sentence, index) => {
+    const features = { frequency: 0, position: 0, length: 0, keyword: 0, numeric: 0 };
+    const sentenceWords = sentence.toLowerCase().split(/\s+/);
+    
+    // 1. Word frequency score
+    extractTerms(sentence).forEach(term => {
+      features.frequency += wordFreq[term] || 0;
+    });
+    
+    // 2. Enhanced position score
+    if (index === 0) features.position += params.leadBonus;
+    if (index === sentences.length - 1) features.position += 5;
+    if (index < 3) features.position += 3;
+    
+    // 3. Length score (prefer moderate length)
+    const wordCount = sentenceWords.length;
+    if (wordCount >= 8 && wordCount <= 30) features.length += 5;
+    else if (wordCount >= 5 && wordCount <= 40) features.length += 2;
+    
+    // 4. Keyword indicators
+    KEYWORDS.forEach(keyword => {
+      if (sentence.toLowerCase().includes(keyword)) features.keyword += params.keywordBonus;
+    });
+    
+    // 5. Numerical data bonus
+    if (/\d+/.test(sentence)) features.numeric += params.numericBonus;
+    
+    // 6. Query relevance (share of the query words the sentence contains)
+    if (query) features.relevance = params.queryBonus * queryRelevance(sentence, query);
+    
+    // Features are reported per word so they add up to the score
+    Object.keys(features).forEach(name => {
+      features[name] /= wordCount;
+    });
+    
+    return { 
+      sentence, 
+      score: Object.values(features).reduce((a, b) => a + b, 0),
+      index,
+      length: wordCount,
+      features
+    };
+  });
+}
+
+module.exports = {
+  id: 'advanced',
+  version: 1,
+  name: 'Advanced',
+  icon: '⚡',
+  description: 'Balanced summary with position & keywords',
+  defaults: { ratio: 0.35, minSentences: 3 },
+  options: [
+    { name: 'leadBonus', label: 'First sentence bonus', type: 'number', min: 0, max: 20, step: 1, default: 8 },
+    { name: 'keywordBonus', label: 'Keyword bonus', type: 'number', min: 0, max: 10, step: 0.5, default: 4 },
+    { name: 'numericBonus', label: 'Numeric data bonus', type: 'number', min: 0, max: 10, step: 0.5, default: 2 },
+    { name: 'queryBonus', label: 'Query relevance bonus', type: 'number', min: 0, max: 30, step: 1, default: 12 },
+  ],
+  summarize: advancedSummarization,
+};
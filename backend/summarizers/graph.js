@@ -0,0 +1,75 @@
+// Sentence graph shared by the graph-based summarizers (TextRank, Hybrid)
+
+const { extractTerms } = require('../lib/textAnalysis');
+
+// The similarity matrix grows with the square of the sentence count
+const MAX_GRAPH_SENTENCES = Number(process.env.GRAPH_MAX_SENTENCES) || 3000;
+
+// Jaccard similarity of two sentences' term sets, as a function similarity(i, j).
+// With a corpus idf(term), terms count by their IDF instead of 1 (weighted Jaccard).
+function termSimilarity(sentences, idf) {
+  const termSets = sentences.map(sentence => new Set(extractTerms(sentence)));
+  const weight = idf || (() => 1);
+  const setWeight = terms => [...terms].reduce((sum, term) => sum + weight(term), 0);
+
+  return (i, j) => {
+    const words1 = termSets[i];
+    const words2 = termSets[j];
+    const intersection = new Set([...words1].filter(x => words2.has(x)));
+    const union = new Set([...words1, ...words2]);
+    return setWeight(intersection) / (setWeight(union) + 0.0001);
+  };
+}
+
+// Pairwise similarities as an n×n matrix
+function buildSimilarityMatrix(sentences, idf) {
+  const n = sentences.length;
+  if (n > MAX_GRAPH_SENTENCES) {
+    throw new Error(`Document is too long for graph-based summarization (${n} sentences, limit ${MAX_GRAPH_SENTENCES}). Choose the Simple or Advanced algorithm.`);
+  }
+
+  const similarity = Array(n).fill(0).map(() => Array(n).fill(0));
+  const between = termSimilarity(sentences, idf);
+  
+  // Build similarity matrix based on word overlap
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const sim = between(i, j);
+      similarity[i][j] = sim;
+      similarity[j][i] = sim;
+    }
+  }
+
+  return similarity;
+}
+
+// PageRank over the similarity graph. A prior (teleport weight per sentence,
+// summing to n) personalizes it; without one every sentence gets weight 1.
+function pageRank(similarity, { dampingFactor = 0.85, iterations = 50 } = {}, prior = null) {
+  const n = similarity.length;
+  const rowSums = similarity.map(row => row.reduce((a, b) => a + b, 0));
+  let scores = Array(n).fill(1.0);
+  
+  for (let iter = 0; iter < iterations; iter++) {
+    const newScores = Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+      let sum = 0;
+      for (let j = 0; j < n; j++) {
+        if (i !== j && rowSums[j] > 0) {
+          sum += (similarity[j][i] / rowSums[j]) * scores[j];
+        }
+      }
+      newScores[i] = (1 - dampingFactor) * (prior ? prior[i] : 1) + dampingFactor * sum;
+    }
+    scores = newScores;
+  }
+
+  return scores;
+}
+
+module.exports = {
+  MAX_GRAPH_SENTENCES,
+  termSimilarity,
+  buildSimilarityMatrix,
+  pageRank,
+};
@@ -0,0 +1,182 @@
+// Long-document mode: hierarchical summarization
+//
+// The text is split into chunks along its sections (heading lines and page
+// breaks), each chunk is summarized with the selected algorithm, and the chunk
+// summaries are grouped and summarized again, level by level, until they fit
+// into one final summary. Every algorithm stays a flat per-chunk engine, so no
+// similarity matrix grows beyond one chunk.
+
+const { countWords } = require('./selection');
+
+const HIERARCHY_OPTIONS = [
+  { name: 'chunkSentences', label: 'Sentences per chunk', type: 'integer', min: 10, max: 1000, step: 10, default: 100 },
+  { name: 'sectionSentences', label: 'Sentences kept per chunk', type: 'integer', min: 1, max: 20, step: 1, default: 3 },
+];
+
+const HEADING_MAX_WORDS = 8;
+const TERMINAL_PUNCTUATION = /[।॥.!?…:;,"'”’)\]]$/;
+
+function optionValue(options, name) {
+  const spec = HIERARCHY_OPTIONS.find(option => option.name === name);
+  return options[name] !== undefined ? options[name] : spec.default;
+}
+
+// A sentence that is a whole short line without closing punctuation
+function isHeading(text, segment) {
+  const lineStart = segment.start === 0 || text[segment.start - 1] === '\n';
+  const lineEnd = segment.end === text.length || text[segment.end] === '\n' || text[segment.end] === '\r';
+  return lineStart && lineEnd
+    && countWords(segment.text) <= HEADING_MAX_WORDS
+    && !TERMINAL_PUNCTUATION.test(segment.text);
+}
+
+// Sections of the text: [{ title, segments }], split at headings and page breaks (\f)
+function findSections(text, segments) {
+  const sections = [];
+  let current = null;
+
+  segments.forEach((segment, index) => {
+    const previous = segments[index - 1];
+    const pageBreak = previous && text.slice(previous.end, segment.start).includes('\f');
+    const heading = isHeading(text, segment);
+
+    if (!current || heading || pageBreak) {
+      current = { title: heading ? segment.text : null, segments: [] };
+      sections.push(current);
+    }
+    if (!heading) current.segments.push(segment);
+  });
+
+  return sections.filter(section => section.segments.length > 0);
+}
+
+// Chunks of at most chunkSentences sentences. Long sections are split evenly;
+// very short ones are merged into the chunk before them when it has room.
+function buildChunks(sections, chunkSentences, minSentences) {
+  const chunks = [];
+
+  sections.forEach(section => {
+    const parts = Math.ceil(section.segments.length / chunkSentences);
+    const partSize = Math.ceil(section.segments.length / parts);
+
+    for (let part = 0; part < parts; part++) {
+      const segments = section.segments.slice(part * partSize, (part + 1) * partSize);
+      const title = section.title && parts > 1 ? `${section.title} (${part + 1}/${parts})` : section.title;
+      const previous = chunks[chunks.length - 1];
+
+      if (segments.length < minSentences && previous && previous.segments.length + segments.length <= chunkSentences) {
+        previous.segments.push(...segments);
+      } else {
+        chunks.push({ title, segments });
+      }
+    }
+  });
+
+  return chunks;
+}
+
+// Group consecutive nodes so each group's summaries hold at most chunkSentences sentences
+function groupNodes(nodes, chunkSentences) {
+  const groups = [];
+  let group = [];
+  let size = 0;
+
+  nodes.forEach(node => {
+    if (group.length > 0 && size + node.summarySegments.length > chunkSentences) {
+      groups.push(group);
+      group = [];
+      size = 0;
+    }
+    group.push(node);
+    size += node.summarySegments.length;
+  });
+  if (group.length > 0) groups.push(group);
+
+  return groups;
+}
+
+// Public shape of a tree node (summarySegments only matter while building)
+function publicNode({ summarySegments, children, ...node }) {
+  return {
+    ...node,
+    ...(children && { children: children.map(publicNode) }),
+  };
+}
+
+// engine(segments, options) runs one flat summarization and returns the selected sentences.
+// Returns { summary, tree } where tree is the root node:
+//   { level, title, start, end, sentences, summary, children }
+// Leaves (level 0) are the chunks; start/end are offsets into the original text.
+async function summarizeHierarchically(text, segments, engine, options = {}) {
+  const chunkSentences = optionValue(options, 'chunkSentences');
+  // Each group must hold at least two chunk summaries, or the levels would never shrink
+  const sectionSentences = Math.min(optionValue(options, 'sectionSentences'), Math.floor(chunkSentences / 2));
+
+  // Intermediate summaries keep a fixed number of sentences; the user's length
+  // controls only apply to the final summary
+  const { ratio, maxSentences, maxWords, maxChars, ...engineOptions } = options;
+  const sectionOptions = { ...engineOptions, maxSentences: sectionSentences };
+  const finalOptions = { ...engineOptions, ratio, maxSentences, maxWords, maxChars };
+
+  const summarizeNode = async (node, nodeSegments, nodeOptions) => {
+    const selected = await engine(nodeSegments, nodeOptions);
+    node.summarySegments = selected.map(s => ({ text: s.sentence }));
+    node.summary = selected.map(s => s.sentence).join(' ');
+    return node;
+  };
+
+  const sections = findSections(text, segments);
+  const chunks = buildChunks(sections, chunkSentences, Math.max(2 * sectionSentences, 5));
+
+  let nodes = [];
+  for (const chunk of chunks) {
+    const node = {
+      level: 0,
+      title: chunk.title,
+      start: chunk.segments[0].start,
+      end: chunk.segments[chunk.segments.length - 1].end,
+      sentences: chunk.segments.length,
+    };
+    // A document that fits in one chunk is summarized directly
+    nodes.push(await summarizeNode(node, chunk.segments, chunks.length === 1 ? finalOptions : sectionOptions));
+  }
+
+  if (nodes.length === 1) {
+    return { summary: nodes[0].summary, tree: publicNode(nodes[0]) };
+  }
+
+  let level = 0;
+  while (nodes.reduce((sum, node) => sum + node.summarySegments.length, 0) > chunkSentences) {
+    level++;
+    const parents = [];
+    for (const group of groupNodes(nodes, chunkSentences)) {
+      const node = {
+        level,
+        title: null,
+        start: group[0].start,
+        end: group[group.length - 1].end,
+        sentences: group.reduce((sum, child) => sum + child.sentences, 0),
+        children: group,
+      };
+      parents.push(await summarizeNode(node, group.flatMap(child => child.summarySegments), sectionOptions));
+    }
+    nodes = parents;
+  }
+
+  const root = {
+    level: level + 1,
+    title: null,
+    start: nodes[0].start,
+    end: nodes[nodes.length - 1].end,
+    sentences: nodes.reduce((sum, node) => sum + node.sentences, 0),
+    children: nodes,
+  };
+  await summarizeNode(root, nodes.flatMap(node => node.summarySegments), finalOptions);
+
+  return { summary: root.summary, tree: publicNode(root) };
+}
+
+module.exports = {
+  HIERARCHY_OPTIONS,
+  summarizeHierarchically,
+};
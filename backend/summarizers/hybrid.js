@@ -0,0 +1,61 @@
+// HYBRID ALGORITHM - Combines TextRank with frequency analysis
+
+const { extractTerms, termFrequencies } = require('../lib/textAnalysis');
+const { buildSimilarityMatrix, pageRank } = require('./graph');
+const { queryPrior } = require('./query');
+
+function hybridSummarization(sentences, params, context = {}) {
+  const n = sentences.length;
+  const { idf, query } = context;
+
+  // Get TextRank scores, personalized toward the query sentences when there is a query
+  const similarity = buildSimilarityMatrix(sentences, idf);
+  context.similarity = similarity;
+  const textRankScores = pageRank(similarity, params, queryPrior(sentences, query));
+
+  // Get frequency scores
+  const wordFreq = termFrequencies(sentences.join(' '), idf);
+
+  return sentences.map((sentence, index) => {
+    let freqScore = 0;
+    const sentenceWords = sentence.toLowerCase().split(/\s+/);
+    
+    extractTerms(sentence).forEach(term => {
+      freqScore += wordFreq[term] || 0;
+    });
+    
+    freqScore = freqScore / sentenceWords.length;
+    
+    // Combine TextRank and frequency scores (weighted average)
+    const textRank = textRankScores[index] * params.textRankWeight;
+    const frequency = freqScore * (1 - params.textRankWeight);
+    
+    // Position bonus
+    let positionBonus = 0;
+    if (index === 0) positionBonus = 0.3;
+    else if (index === n - 1) positionBonus = 0.15;
+    else if (index < 3) positionBonus = 0.1;
+    
+    return { 
+      sentence, 
+      score: textRank + frequency + positionBonus,
+      index,
+      features: { textRank, frequency, position: positionBonus }
+    };
+  });
+}
+
+module.exports = {
+  id: 'hybrid',
+  version: 1,
+  name: 'Hybrid',
+  icon: '🔄',
+  description: 'Combined TextRank + Frequency',
+  defaults: { ratio: 0.40, minSentences: 3 },
+  options: [
+    { name: 'textRankWeight', label: 'TextRank weight', type: 'number', min: 0, max: 1, step: 0.1, default: 0.6 },
+    { name: 'dampingFactor', label: 'Damping factor', type: 'number', min: 0.5, max: 0.95, step: 0.05, default: 0.85 },
+    { name: 'iterations', label: 'Iterations', type: 'integer', min: 10, max: 100, step: 10, default: 30 },
+  ],
+  summarize: hybridSummarization,
+};
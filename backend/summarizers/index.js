@@ -0,0 +1,357 @@
+// Summarizer registry
+//
+// Each algorithm registers its id, version, display name, description, default
+// summary length and tunable options. Routes, the model discovery endpoint and
+// the frontend all read the algorithm list from here. Bump the version whenever
+// a change alters the summaries an algorithm produces: cached results
+// (lib/summaryCache.js) are keyed on it.
+//
+// summarize(sentences, params, context) receives the sentence texts, the resolved
+// options and a context with idf(term) from the corpus statistics (null until the
+// corpus is large enough) and, for a request with a query, context.query with
+// the query terms (see query.js). Graph-based summarizers leave the sentence
+// similarity matrix they built in context.similarity so selection can reuse it.
+//
+// Abstractive summarizers (type: 'abstractive') write the summary themselves:
+// summarize(text, params, lengthOptions) resolves to { summary, abstractive }.
+// When it fails, the extractive algorithm named by their fallback answers instead.
+// The query does not reach the language model, but the fallback uses it.
+
+const { segmentSentences } = require('../lib/segmenter');
+const { getCorpusIdf } = require('../lib/documentFrequency');
+const { selectSentences, maxSimilarity } = require('./selection');
+const { MAX_GRAPH_SENTENCES, termSimilarity } = require('./graph');
+const { buildSentencePool } = require('./pool');
+const { HIERARCHY_OPTIONS, summarizeHierarchically } = require('./hierarchical');
+const { parseQuery, queryTerms, matchQuery, queryReport } = require('./query');
+
+// Length controls accepted by every algorithm
+const LENGTH_OPTIONS = [
+  { name: 'ratio', label: 'Share of sentences', type: 'number', min: 0.01, max: 1 },
+  { name: 'maxSentences', label: 'Maximum sentences', type: 'integer', min: 1, max: 1000 },
+  { name: 'maxWords', label: 'Maximum words', type: 'integer', min: 1, max: 100000 },
+  { name: 'maxChars', label: 'Maximum characters', type: 'integer', min: 1, max: 1000000 },
+];
+
+// Selection controls accepted by every algorithm
+const SELECTION_OPTIONS = [
+  { name: 'diversity', label: 'Redundancy penalty', type: 'number', min: 0, max: 1, step: 0.1, default: 0.3 },
+];
+
+const registry = new Map();
+
+function registerSummarizer(summarizer) {
+  const required = ['id', 'version', 'name', 'description', 'defaults', 'summarize'];
+  const missing = required.filter(field => !summarizer[field]);
+  if (missing.length > 0) {
+    throw new Error(`Summarizer is missing required fields: ${missing.join(', ')}`);
+  }
+  if (registry.has(summarizer.id)) {
+    throw new Error(`Summarizer "${summarizer.id}" is already registered`);
+  }
+  registry.set(summarizer.id, { options: [], type: 'extractive', ...summarizer });
+}
+
+function getSummarizer(id) {
+  return registry.get(id);
+}
+
+function listSummarizers() {
+  return [...registry.values()];
+}
+
+// Public description of a summarizer (what GET /api/models returns)
+function describeSummarizer(summarizer) {
+  const defaults = { ...summarizer.defaults };
+  summarizer.options.forEach(option => {
+    defaults[option.name] = option.default;
+  });
+
+  return {
+    id: summarizer.id,
+    version: summarizer.version,
+    type: summarizer.type,
+    name: summarizer.name,
+    icon: summarizer.icon,
+    description: summarizer.description,
+    defaults,
+    options: summarizer.options,
+  };
+}
+
+// Validate numeric fields of a JSON body or multipart form against option specs
+function parseNumericFields(body, specs) {
+  const values = {};
+
+  for (const spec of specs) {
+    const raw = body[spec.name];
+    if (raw === undefined || raw === null || raw === '') continue;
+
+    const value = Number(raw);
+    const integer = spec.type === 'integer';
+    if (!Number.isFinite(value) || value < spec.min || value > spec.max || (integer && !Number.isInteger(value))) {
+      return {
+        isValid: false,
+        message: `Invalid ${spec.name}: expected ${integer ? 'an integer' : 'a number'} between ${spec.min} and ${spec.max}.`
+      };
+    }
+    values[spec.name] = value;
+  }
+
+  return { isValid: true, values };
+}
+
+function unknownModelMessage(model) {
+  return `Unknown model "${model}". Available models: ${[...registry.keys()].join(', ')}.`;
+}
+
+// Resolve the requested model and its options from a request body
+function parseSummaryOptions(model, body) {
+  const summarizer = getSummarizer(model);
+  if (!summarizer) {
+    return { isValid: false, message: unknownModelMessage(model) };
+  }
+
+  const parsed = parseNumericFields(body, [...LENGTH_OPTIONS, ...SELECTION_OPTIONS, ...HIERARCHY_OPTIONS, ...summarizer.options]);
+  if (!parsed.isValid) {
+    return parsed;
+  }
+
+  const options = parsed.values;
+  // Long-document mode: true forces it, false turns off the automatic switch for long texts
+  if (body.hierarchical !== undefined && body.hierarchical !== '') {
+    options.hierarchical = [true, 'true', '1', 'on'].includes(body.hierarchical);
+  }
+
+  // Query-focused summarization: the query's keywords
+  const query = parseQuery(body.query);
+  if (!query.isValid) {
+    return query;
+  }
+  if (query.keywords) {
+    options.query = query.keywords;
+  }
+
+  return { isValid: true, options };
+}
+
+// Every sentence with its offsets, score, rank and feature breakdown, plus its
+// redundancy (highest similarity to another selected sentence) when similarity is
+// available and the query keywords it matched when there is a query
+function explainSentences(scoredSentences, selected, segments, similarity, query) {
+  const selectedIndexes = new Set(selected.map(s => s.index));
+  const ranks = new Map(
+    [...scoredSentences]
+      .sort((a, b) => b.score - a.score)
+      .map((s, rank) => [s.index, rank + 1])
+  );
+
+  return scoredSentences.map(s => ({
+    index: s.index,
+    text: s.sentence,
+    ...(segments[s.index].document !== undefined && { document: segments[s.index].document }),
+    start: segments[s.index].start,
+    end: segments[s.index].end,
+    score: s.score,
+    rank: ranks.get(s.index),
+    features: s.features || {},
+    selected: selectedIndexes.has(s.index),
+    ...(similarity && { redundancy: maxSimilarity(similarity, s.index, selected.filter(other => other.index !== s.index)) }),
+    ...(query && { matchedTerms: matchQuery(s.sentence, query) }),
+  }));
+}
+
+// The length controls among the options
+function lengthOptionsOf(options) {
+  const lengthOptions = {};
+  LENGTH_OPTIONS.forEach(({ name }) => {
+    if (options[name] !== undefined) lengthOptions[name] = options[name];
+  });
+  return lengthOptions;
+}
+
+// A summarizer's own options, with defaults for the ones not given
+function summarizerParams(summarizer, options) {
+  const params = {};
+  summarizer.options.forEach(({ name, default: defaultValue }) => {
+    params[name] = options[name] !== undefined ? options[name] : defaultValue;
+  });
+  return params;
+}
+
+// Score segments with a summarizer and select the summary sentences
+async function rankAndSelect(model, segments, options) {
+  const summarizer = getSummarizer(model);
+  if (!summarizer) {
+    throw new Error(unknownModelMessage(model));
+  }
+
+  try {
+    const lengthOptions = lengthOptionsOf(options);
+    const params = summarizerParams(summarizer, options);
+
+    const sentences = segments.map(s => s.text);
+    const query = options.query ? queryTerms(options.query) : null;
+    const context = { idf: getCorpusIdf(), similarity: null, query };
+    const scoredSentences = await summarizer.summarize(sentences, params, context);
+
+    const diversity = options.diversity !== undefined ? options.diversity : SELECTION_OPTIONS[0].default;
+    const matrix = context.similarity;
+    const similarity = matrix
+      ? (i, j) => matrix[i][j]
+      : diversity > 0 ? termSimilarity(sentences, context.idf) : null;
+    const selected = selectSentences(scoredSentences, lengthOptions, summarizer.defaults, { similarity, diversity });
+
+    // Redundancy compares every sentence with the whole summary, so skip it for very long documents
+    const explainSimilarity = sentences.length <= MAX_GRAPH_SENTENCES ? similarity : null;
+
+    return {
+      selected,
+      sentences: explainSentences(scoredSentences, selected, segments, explainSimilarity, query),
+    };
+  } catch (error) {
+    console.error('Summarization error:', error);
+    throw new Error('Summarization failed: ' + error.message);
+  }
+}
+
+function logRun(model, options) {
+  const summarizer = getSummarizer(model);
+  if (!summarizer) {
+    throw new Error(unknownModelMessage(model));
+  }
+
+  console.log(`Using summarization algorithm: ${model}`);
+  console.log(`${summarizer.name}: ${summarizer.description}`);
+
+  const lengthOptions = LENGTH_OPTIONS.filter(({ name }) => options[name] !== undefined);
+  if (lengthOptions.length > 0) {
+    console.log('Length controls:', Object.fromEntries(lengthOptions.map(({ name }) => [name, options[name]])));
+  }
+  if (options.query) {
+    console.log('Query:', options.query.join(', '));
+  }
+}
+
+// Run an abstractive summarizer, or its fallback algorithm when it fails
+async function summarizeAbstractively(text, summarizer, options) {
+  try {
+    return await summarizer.summarize(text, summarizerParams(summarizer, options), lengthOptionsOf(options));
+  } catch (error) {
+    console.error(`${summarizer.name} summarization failed, using ${summarizer.fallback} instead:`, error.message);
+    const result = await summarizeText(text, summarizer.fallback, options);
+    return { ...result, fallback: { model: summarizer.fallback, reason: error.message } };
+  }
+}
+
+// Summary sentences of a summarizeText result ([{ index, text }] or, when only
+// the summary text is known, [{ text }]), in summary order
+function summarySentencesOf(result) {
+  if (result.sentences) {
+    return result.sentences.filter(s => s.selected).map(s => ({ index: s.index, text: s.text }));
+  }
+  return segmentSentences(result.summary).map(s => ({ text: s.text }));
+}
+
+async function summarizeText(text, model, options) {
+  logRun(model, options);
+  const segments = segmentSentences(text);
+
+  const summarizer = getSummarizer(model);
+  if (summarizer.type === 'abstractive') {
+    return { sentenceCount: segments.length, ...(await summarizeAbstractively(text, summarizer, options)) };
+  }
+
+  const hierarchical = options.hierarchical !== undefined ? options.hierarchical : segments.length > MAX_GRAPH_SENTENCES;
+  if (hierarchical) {
+    console.log(`Long-document mode: ${segments.length} sentences`);
+    const { hierarchical: _, ...chunkOptions } = options;
+    const engine = async (chunkSegments, engineOptions) => (await rankAndSelect(model, chunkSegments, engineOptions)).selected;
+    const result = await summarizeHierarchically(text, segments, engine, chunkOptions);
+    return { ...result, sentenceCount: result.tree.sentences };
+  }
+
+  const { selected, sentences } = await rankAndSelect(model, segments, options);
+
+  return {
+    summary: selected.map(s => s.sentence).join(' '),
+    sentences,
+    sentenceCount: sentences.length,
+  };
+}
+
+// Main summarization function
+// Returns { summary, sentences, sentenceCount } where sentences explains how each
+// one scored. Texts longer than MAX_GRAPH_SENTENCES sentences (or any text with
+// options.hierarchical) are summarized in long-document mode, which returns
+// { summary, tree } with the per-section summaries instead. Abstractive
+// summarizers return { summary, abstractive }, or the result of their fallback
+// algorithm with fallback: { model, reason }. With options.query the result also
+// has query: { terms, sentences } naming the query keywords each summary sentence matched.
+async function summarizeWithModel(text, model, options = {}) {
+  const result = await summarizeText(text, model, options);
+  return options.query ? { ...result, query: queryReport(options.query, summarySentencesOf(result)) } : result;
+}
+
+// Summarize several documents together: [{ name, text }] in, one summary out.
+// Returns { summary, summarySentences, sentences, documents } where each summary
+// sentence names the document it came from and documents reports, per input,
+// how many sentences it contributed and how many were dropped as duplicates.
+// With options.query each summary sentence lists the query keywords it matched
+// (matchedTerms) and query: { terms } is added. A pool of more than
+// MAX_GRAPH_SENTENCES sentences is refused with a TOO_MANY_SENTENCES error:
+// long-document mode splits one text at its headings and has no pooled form.
+async function summarizeDocuments(documents, model, options = {}) {
+  logRun(model, options);
+  const { pool, duplicates } = buildSentencePool(documents);
+  if (pool.length > MAX_GRAPH_SENTENCES) {
+    const error = new Error(`The documents have ${pool.length} sentences together; at most ${MAX_GRAPH_SENTENCES} can be summarized together. Send fewer or shorter documents.`);
+    error.code = 'TOO_MANY_SENTENCES';
+    throw error;
+  }
+  const { selected, sentences } = await rankAndSelect(model, pool, options);
+
+  const pooled = selected.map(s => ({
+    text: s.sentence,
+    document: pool[s.index].document,
+    start: pool[s.index].start,
+    end: pool[s.index].end,
+  }));
+  const report = options.query ? queryReport(options.query, pooled) : null;
+  const summarySentences = report ? report.sentences : pooled;
+
+  return {
+    summary: summarySentences.map(s => s.text).join(' '),
+    summarySentences,
+    sentences,
+    documents: documents.map((document, index) => ({
+      name: document.name,
+      sentences: pool.filter(s => s.document === index).length,
+      duplicates: duplicates.filter(d => d.document === index).length,
+      selected: summarySentences.filter(s => s.document === index).length,
+    })),
+    ...(report && { query: { terms: report.terms } }),
+  };
+}
+
+[
+  require('./textrank'),
+  require('./advanced'),
+  require('./hybrid'),
+  require('./simple'),
+  require('./abstractive'),
+].forEach(registerSummarizer);
+
+module.exports = {
+  LENGTH_OPTIONS,
+  SELECTION_OPTIONS,
+  HIERARCHY_OPTIONS,
+  registerSummarizer,
+  getSummarizer,
+  listSummarizers,
+  describeSummarizer,
+  parseSummaryOptions,
+  summarizeWithModel,
+  summarySentencesOf,
+  summarizeDocuments,
+};
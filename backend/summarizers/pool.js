@@ -0,0 +1,54 @@
+// Merged sentence pool for multi-document summarization
+//
+// Sentences from every document go into one list that remembers where each came
+// from. A sentence that repeats one from an earlier document (the same fact
+// reported by several sources) is dropped so it cannot fill the summary twice.
+
+const { segmentSentences } = require('../lib/segmenter');
+const { extractTerms } = require('../lib/textAnalysis');
+
+// Jaccard similarity of content terms at or above which two sentences count as the same
+const DUPLICATE_THRESHOLD = 0.8;
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  a.forEach(term => {
+    if (b.has(term)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// documents: [{ text }] → { pool: [{ text, start, end, document }], duplicates: [{ text, document, duplicateOf }] }
+// duplicateOf is the pool index of the kept sentence.
+function buildSentencePool(documents, { duplicateThreshold = DUPLICATE_THRESHOLD } = {}) {
+  const pool = [];
+  const poolTerms = [];
+  const duplicates = [];
+
+  documents.forEach((document, documentIndex) => {
+    const firstOfDocument = pool.length;
+
+    segmentSentences(document.text).forEach(segment => {
+      const terms = new Set(extractTerms(segment.text));
+
+      // Only sentences from earlier documents count; repetition within a document is the summarizer's business
+      for (let i = 0; i < firstOfDocument; i++) {
+        if (jaccard(terms, poolTerms[i]) >= duplicateThreshold) {
+          duplicates.push({ text: segment.text, document: documentIndex, duplicateOf: i });
+          return;
+        }
+      }
+
+      pool.push({ ...segment, document: documentIndex });
+      poolTerms.push(terms);
+    });
+  });
+
+  return { pool, duplicates };
+}
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  buildSentencePool,
+};
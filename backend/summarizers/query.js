@@ -0,0 +1,91 @@
+// Query-focused summarization
+//
+// A request's query (free text or a list of keywords) makes the extractive
+// algorithms prefer the sentences about it: TextRank and Hybrid start their
+// random walk from matching sentences (personalized PageRank) and Advanced adds
+// a relevance feature. Query words match sentence words by stem, so the query
+// ಮಳೆ matches ಮಳೆಯಿಂದ in a sentence.
+
+const { tokenize, extractTerms } = require('../lib/textAnalysis');
+
+const MAX_QUERY_CHARS = 500;
+const MAX_QUERY_WORDS = 20;
+
+// The query of a request body. Returns { isValid, message } or { isValid, keywords }
+// where keywords is null without a query, otherwise its distinct content words
+// (one per stem) in query order.
+function parseQuery(value) {
+  const parts = [].concat(value === undefined || value === null ? [] : value);
+  if (parts.some(part => typeof part !== 'string')) {
+    return { isValid: false, message: 'Invalid query: expected text or a list of keywords.' };
+  }
+
+  const text = parts.join(' ');
+  if (!text.trim()) {
+    return { isValid: true, keywords: null };
+  }
+  if (text.length > MAX_QUERY_CHARS) {
+    return { isValid: false, message: `Invalid query: at most ${MAX_QUERY_CHARS} characters are allowed.` };
+  }
+
+  const stems = new Set();
+  const keywords = tokenize(text).filter(word => {
+    const [term] = extractTerms(word);
+    if (!term || stems.has(term)) return false;
+    stems.add(term);
+    return true;
+  });
+
+  if (keywords.length === 0) {
+    return { isValid: false, message: 'Invalid query: it has no words to look for (only stopwords or punctuation).' };
+  }
+  if (keywords.length > MAX_QUERY_WORDS) {
+    return { isValid: false, message: `Invalid query: at most ${MAX_QUERY_WORDS} different words are allowed.` };
+  }
+  return { isValid: true, keywords };
+}
+
+// Query keywords with their stems: [{ keyword, term }]
+function queryTerms(keywords) {
+  return keywords.map(keyword => ({ keyword, term: extractTerms(keyword)[0] }));
+}
+
+// The query keywords a sentence contains
+function matchQuery(sentence, terms) {
+  const sentenceTerms = new Set(extractTerms(sentence));
+  return terms.filter(({ term }) => sentenceTerms.has(term)).map(({ keyword }) => keyword);
+}
+
+// Share of the query keywords a sentence contains, 0-1
+function queryRelevance(sentence, terms) {
+  return matchQuery(sentence, terms).length / terms.length;
+}
+
+// Teleport weights of personalized PageRank: proportional to each sentence's
+// relevance and summing to n like the uniform weights. Null (uniform) without a
+// query or when no sentence matches it.
+function queryPrior(sentences, terms) {
+  if (!terms) return null;
+  const relevance = sentences.map(sentence => queryRelevance(sentence, terms));
+  const total = relevance.reduce((a, b) => a + b, 0);
+  return total > 0 ? relevance.map(r => (r * sentences.length) / total) : null;
+}
+
+// The query keywords and, for each summary sentence ([{ text }] in summary
+// order), the keywords it matched
+function queryReport(keywords, sentences) {
+  const terms = queryTerms(keywords);
+  return {
+    terms: keywords,
+    sentences: sentences.map(sentence => ({ ...sentence, matchedTerms: matchQuery(sentence.text, terms) })),
+  };
+}
+
+module.exports = {
+  parseQuery,
+  queryTerms,
+  matchQuery,
+  queryRelevance,
+  queryPrior,
+  queryReport,
+};
@@ -0,0 +1,111 @@
+// Summary length: choosing which scored sentences make it into the summary
+
+function countWords(sentence) {
+  return sentence.split(/\s+/).filter(Boolean).length;
+}
+
+// Cut a sentence down to the given word/character budget at a word boundary
+function truncateSentence(sentence, maxWords, maxChars) {
+  let words = sentence.split(/\s+/).filter(Boolean);
+  if (maxWords) words = words.slice(0, maxWords);
+  let truncated = words.join(' ');
+  if (maxChars && truncated.length > maxChars) {
+    truncated = truncated.slice(0, maxChars);
+    const lastSpace = truncated.lastIndexOf(' ');
+    if (lastSpace > 0) truncated = truncated.slice(0, lastSpace);
+  }
+  return truncated === sentence ? sentence : truncated + '…';
+}
+
+// Only the best-ranked sentences are re-ranked for diversity; the rest follow in score order
+const MMR_CANDIDATES = 1000;
+
+// Most similar already-selected sentence, as a similarity in [0, 1]
+function maxSimilarity(similarity, index, selected) {
+  return selected.reduce((max, s) => Math.max(max, similarity(index, s.index)), 0);
+}
+
+// Pick the top-scored sentences that fit the requested length, in original order.
+//
+// With a similarity(i, j) function and diversity > 0 this is Maximal Marginal Relevance:
+// each pick maximizes (1 - diversity) * relevance - diversity * (similarity to the
+// sentences already picked), so near-duplicates of a chosen sentence fall behind.
+// Relevance is the score scaled to [0, 1]. With diversity 0 it is plain ranking.
+function selectSentences(scoredSentences, lengthOptions, defaults, { similarity, diversity = 0 } = {}) {
+  const n = scoredSentences.length;
+  let count;
+  if (lengthOptions.maxSentences) {
+    count = Math.min(n, lengthOptions.maxSentences);
+  } else if (lengthOptions.ratio) {
+    count = Math.max(1, Math.ceil(n * lengthOptions.ratio));
+  } else if (lengthOptions.maxWords || lengthOptions.maxChars) {
+    count = n;
+  } else {
+    count = Math.max(defaults.minSentences, Math.ceil(n * defaults.ratio));
+  }
+
+  const ranked = [...scoredSentences].sort((a, b) => b.score - a.score);
+  const { maxWords, maxChars } = lengthOptions;
+  const selected = [];
+  let words = 0;
+  let chars = 0;
+
+  // A sentence that does not fit the word/character budget now never will
+  const fits = candidate => {
+    const sentenceChars = candidate.sentence.length + (selected.length > 0 ? 1 : 0);
+    return !(maxWords && words + countWords(candidate.sentence) > maxWords)
+      && !(maxChars && chars + sentenceChars > maxChars);
+  };
+  const take = candidate => {
+    chars += candidate.sentence.length + (selected.length > 0 ? 1 : 0);
+    words += countWords(candidate.sentence);
+    selected.push(candidate);
+  };
+
+  if (similarity && diversity > 0) {
+    const maxScore = ranked.length > 0 ? Math.max(0, ranked[0].score) : 0;
+    // Candidate → similarity to the closest sentence picked so far
+    const overlaps = new Map(ranked.slice(0, MMR_CANDIDATES).map(candidate => [candidate, 0]));
+
+    while (selected.length < count) {
+      let best = null;
+      let bestValue = -Infinity;
+      overlaps.forEach((overlap, candidate) => {
+        if (!fits(candidate)) return;
+        const relevance = maxScore > 0 ? candidate.score / maxScore : 0;
+        const value = (1 - diversity) * relevance - diversity * overlap;
+        if (value > bestValue) {
+          bestValue = value;
+          best = candidate;
+        }
+      });
+      if (!best) break;
+
+      take(best);
+      overlaps.delete(best);
+      overlaps.forEach((overlap, candidate) => {
+        overlaps.set(candidate, Math.max(overlap, similarity(candidate.index, best.index)));
+      });
+    }
+  }
+
+  const chosen = new Set(selected);
+  for (const candidate of ranked) {
+    if (selected.length >= count) break;
+    if (chosen.has(candidate) || !fits(candidate)) continue;
+    take(candidate);
+  }
+
+  // Budget smaller than any single sentence: shorten the best one instead of returning nothing
+  if (selected.length === 0 && ranked.length > 0) {
+    selected.push({ ...ranked[0], sentence: truncateSentence(ranked[0].sentence, maxWords, maxChars) });
+  }
+
+  return selected.sort((a, b) => a.index - b.index);
+}
+
+module.exports = {
+  countWords,
+  maxSimilarity,
+  selectSentences,
+};
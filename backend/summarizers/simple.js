@@ -0,0 +1,47 @@
+// SIMPLE ALGORITHM - Basic frequency-based extraction (shortest summary)
+
+const { extractTerms, termFrequencies } = require('../lib/textAnalysis');
+
+function simpleSummarization(sentences, params, { idf } = {}) {
+  // Very simple: just word frequency, prefer shorter sentences
+  const wordFreq = termFrequencies(sentences.join(' '), idf);
+
+  return sentences.map((sentence, index) => {
+    let frequency = 0;
+    const sentenceWords = sentence.toLowerCase().split(/\s+/);
+    
+    // Only word frequency
+    extractTerms(sentence).forEach(term => {
+      frequency += wordFreq[term] || 0;
+    });
+    
+    // First sentence bonus
+    const position = index === 0 ? params.leadBonus : 0;
+    
+    // Features are reported per word so they add up to the score
+    const wordCount = sentenceWords.length;
+    return { 
+      sentence, 
+      score: (frequency + position) / wordCount,
+      index,
+      length: wordCount,
+      features: {
+        frequency: frequency / wordCount,
+        position: position / wordCount,
+      }
+    };
+  });
+}
+
+module.exports = {
+  id: 'simple',
+  version: 1,
+  name: 'Simple',
+  icon: '✨',
+  description: 'Concise frequency-based summary',
+  defaults: { ratio: 0.25, minSentences: 2 },
+  options: [
+    { name: 'leadBonus', label: 'First sentence bonus', type: 'number', min: 0, max: 10, step: 0.5, default: 3 },
+  ],
+  summarize: simpleSummarization,
+};
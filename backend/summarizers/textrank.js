@@ -0,0 +1,31 @@
+// TEXTRANK ALGORITHM - Graph-based (longer, comprehensive summary)
+
+const { buildSimilarityMatrix, pageRank } = require('./graph');
+const { queryPrior } = require('./query');
+
+function textRankSummarization(sentences, params, context = {}) {
+  const similarity = buildSimilarityMatrix(sentences, context.idf);
+  context.similarity = similarity;
+  const scores = pageRank(similarity, params, queryPrior(sentences, context.query));
+
+  return sentences.map((sentence, index) => ({ 
+    sentence, 
+    score: scores[index], 
+    index,
+    features: { centrality: scores[index] }
+  }));
+}
+
+module.exports = {
+  id: 'textrank',
+  version: 1,
+  name: 'TextRank',
+  icon: '🎯',
+  description: 'Comprehensive graph-based summary',
+  defaults: { ratio: 0.45, minSentences: 3 },
+  options: [
+    { name: 'dampingFactor', label: 'Damping factor', type: 'number', min: 0.5, max: 0.95, step: 0.05, default: 0.85 },
+    { name: 'iterations', label: 'Iterations', type: 'integer', min: 10, max: 100, step: 10, default: 50 },
+  ],
+  summarize: textRankSummarization,
+};
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read when the provider is first used and when the summarizer loads
+process.env.ABSTRACTIVE_MAX_INPUT_CHARS = '200';
+process.env.ABSTRACTIVE_TIMEOUT_SECONDS = '1';
+process.env.ABSTRACTIVE_RETRIES = '2';
+process.env.ABSTRACTIVE_DEADLINE_SECONDS = '2';
+
+const { createMockServer } = require('../scripts/mockAbstractive');
+const { summarizeWithModel } = require('../summarizers');
+
+// Seven sentences, about 280 characters: two chunks of at most 200
+const TEXT = 'ಬೆಂಗಳೂರು ಕರ್ನಾಟಕದ ರಾಜಧಾನಿ ನಗರವಾಗಿದೆ. ಇದು ಉದ್ಯಾನ ನಗರ ಎಂದು ಪ್ರಸಿದ್ಧವಾಗಿದೆ. ಬೆಂಗಳೂರಿನಲ್ಲಿ ಅನೇಕ ಉದ್ಯಾನಗಳಿವೆ. '
+  + 'ಲಾಲ್‌ಬಾಗ್ ಅತ್ಯಂತ ಹಳೆಯದು. ಕಬ್ಬನ್ ಪಾರ್ಕ್ ನಗರದ ಮಧ್ಯದಲ್ಲಿದೆ. ಮೈಸೂರು ಅರಮನೆ ಪ್ರಸಿದ್ಧ. ಹಂಪಿ ವಿಶ್ವ ಪರಂಪರೆಯ ತಾಣ.';
+
+// The provider is created once with ABSTRACTIVE_API_URL, so every test's mock
+// listens on the port the first one got
+let port = 0;
+
+async function startMock(t, options) {
+  const server = createMockServer(options);
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  port = server.address().port;
+  process.env.ABSTRACTIVE_API_URL = `http://127.0.0.1:${port}/summarize`;
+  // Kept-alive connections are closed, and the client has to see that before
+  // the next test, or its first request goes to a dead socket
+  t.after(async () => {
+    const closed = new Promise(resolve => server.close(resolve));
+    server.closeAllConnections();
+    await closed;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  });
+  return server;
+}
+
+async function summarize(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const started = Date.now();
+  const result = await summarizeWithModel(TEXT, 'abstractive', { summaryTokens: 16 });
+  return { result, elapsedMs: Date.now() - started };
+}
+
+test('summarizes long texts chunk by chunk, then the chunk summaries', async (t) => {
+  const server = await startMock(t);
+  const { result } = await summarize(t);
+
+  assert.equal(result.fallback, undefined);
+  assert.deepEqual(result.abstractive, { provider: 'huggingface', model: process.env.ABSTRACTIVE_API_URL, chunks: 2 });
+  assert.equal(server.requests, 3);
+  assert.ok(result.summary.startsWith('ಬೆಂಗಳೂರು ಕರ್ನಾಟಕದ ರಾಜಧಾನಿ ನಗರವಾಗಿದೆ.'));
+});
+
+test('retries a failed request', async (t) => {
+  const server = await startMock(t, { failures: 1 });
+  const { result } = await summarize(t);
+
+  assert.equal(result.fallback, undefined);
+  assert.equal(server.requests, 4);
+});
+
+test('does not wait when the provider asks for a long Retry-After', async (t) => {
+  const server = await startMock(t, { failures: 1, retryAfter: 60 });
+  const { result, elapsedMs } = await summarize(t);
+
+  assert.equal(server.requests, 1);
+  assert.ok(elapsedMs < 1000, `took ${elapsedMs} ms`);
+  assert.equal(result.fallback.model, 'textrank');
+  assert.match(result.fallback.reason, /asked to wait 60 seconds/);
+});
+
+test('falls back once the deadline for the whole text has passed', async (t) => {
+  // Each request answers in time, but the three of them do not fit in 2 seconds
+  await startMock(t, { delayMs: 700 });
+  const { result, elapsedMs } = await summarize(t);
+
+  assert.ok(elapsedMs < 2500, `took ${elapsedMs} ms`);
+  assert.equal(result.fallback.model, 'textrank');
+  assert.match(result.fallback.reason, /time for the whole text ran out/);
+});
+
+test('the fallback algorithm answers when the provider keeps failing', async (t) => {
+  const server = await startMock(t, { failures: 10 });
+  const { result } = await summarize(t);
+
+  // The second retry would wait 2 seconds, past the deadline
+  assert.equal(server.requests, 2);
+  assert.equal(result.abstractive, undefined);
+  assert.equal(result.fallback.model, 'textrank');
+  assert.match(result.fallback.reason, /failed after 2 attempts: the provider answered with status 503/);
+  assert.ok(result.summary.length > 0);
+  assert.ok(result.sentences.some(sentence => sentence.selected));
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+const { extractArticle, fetchPage, parsePageUrl } = require('../lib/article');
+
+const STORY = 'ಬೆಂಗಳೂರಿನಲ್ಲಿ ಭಾನುವಾರ ಸಂಜೆ ಭಾರಿ ಮಳೆಯಾಗಿದೆ, ಹಲವು ರಸ್ತೆಗಳು ಜಲಾವೃತವಾಗಿವೆ.';
+
+test('keeps the article and drops the page furniture', () => {
+  const html = `<html><head><title>ಮಳೆ ಸುದ್ದಿ ಬೆಂಗಳೂರಿನಲ್ಲಿ | ಪತ್ರಿಕೆ</title></head><body>
+    <nav><a href="/">ಮುಖಪುಟ</a></nav>
+    <div class="story-content"><p>${STORY}</p><p>${STORY.replace('ಭಾನುವಾರ', 'ಸೋಮವಾರ')}</p><p>${STORY.replace('ಸಂಜೆ', 'ಬೆಳಿಗ್ಗೆ')}</p></div>
+    <div class="share-widget"><p>ಈ ಸುದ್ದಿಯನ್ನು ಹಂಚಿಕೊಳ್ಳಿ, ಫೇಸ್‌ಬುಕ್, ಟ್ವಿಟರ್, ವಾಟ್ಸಾಪ್ ಮೂಲಕ ಕಳುಹಿಸಿ.</p></div>
+    <footer>© ಪತ್ರಿಕೆ</footer></body></html>`;
+
+  const article = extractArticle(html);
+  assert.equal(article.title, 'ಮಳೆ ಸುದ್ದಿ ಬೆಂಗಳೂರಿನಲ್ಲಿ');
+  assert.equal(article.paragraphs.length, 3);
+  assert.equal(article.paragraphs[0], STORY);
+  assert.ok(!article.text.includes('ಹಂಚಿಕೊಳ್ಳಿ'));
+});
+
+test('accepts only http and https URLs', () => {
+  assert.equal(parsePageUrl(' https://example.com/a ').href, 'https://example.com/a');
+  assert.throws(() => parsePageUrl('file:///etc/passwd'), { code: 'INVALID_URL' });
+  assert.throws(() => parsePageUrl('not a url'), { code: 'INVALID_URL' });
+});
+
+test('refuses local hosts and private addresses', async () => {
+  const urls = [
+    'http://localhost/', 'http://127.0.0.1:8080/', 'http://[::1]/', 'http://169.254.169.254/latest',
+    // IPv4 inside IPv6: mapped (URL turns it into ::ffff:7f00:1), compatible, NAT64 and 6to4
+    'http://[::ffff:127.0.0.1]/', 'http://[::ffff:7f00:1]/', 'http://[::127.0.0.1]/', 'http://[::a00:1]/',
+    'http://[64:ff9b::10.0.0.1]/', 'http://[2002:7f00:1::1]/',
+    // Site-local, unique local, link-local and multicast
+    'http://[fec0::1]/', 'http://[fd00::1]/', 'http://[fe80::1]/', 'http://[ff02::1]/',
+  ];
+  for (const url of urls) {
+    await assert.rejects(fetchPage(url), { code: 'INVALID_URL' }, url);
+  }
+});
+
+test('checks the address it connects to, not only the first answer', async (t) => {
+  // A server on loopback that must never be reached
+  let reached = false;
+  const server = http.createServer((req, res) => {
+    reached = true;
+    res.end('<p>internal</p>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  // The first answer is public, the one at connect time points at loopback
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+  const { port } = server.address();
+  await assert.rejects(fetchPage(`http://rebind.example:${port}/`), { code: 'INVALID_URL' });
+  assert.equal(reached, false);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hashPassword, verifyPassword, hashToken, loginRetryAfter, recordFailedLogin, clearFailedLogins, issueEventToken, verifyEventToken } = require('../lib/auth');
+
+const JOB = '65f1a2b3c4d5e6f708192a3b';
+const USER = '65f1a2b3c4d5e6f708192a3c';
+
+test('an event token names its user for its job', () => {
+  assert.equal(verifyEventToken(issueEventToken(JOB, USER), JOB), USER);
+});
+
+test('an event token does not open another job', () => {
+  assert.equal(verifyEventToken(issueEventToken(JOB, USER), '65f1a2b3c4d5e6f708192a3d'), null);
+});
+
+test('an event token expires', () => {
+  const token = issueEventToken(JOB, USER, Date.now() - 60 * 60 * 1000);
+  assert.equal(verifyEventToken(token, JOB), null);
+});
+
+test('a changed event token is rejected', () => {
+  const [, signature] = issueEventToken(JOB, USER).split('.');
+  const forged = `${Buffer.from(`${JOB}.65f1a2b3c4d5e6f708192a3d.${Date.now() + 60000}`).toString('base64url')}.${signature}`;
+  assert.equal(verifyEventToken(forged, JOB), null);
+  assert.equal(verifyEventToken('garbage', JOB), null);
+  assert.equal(verifyEventToken(undefined, JOB), null);
+});
+
+test('a password verifies against its own hash only', async () => {
+  const stored = await hashPassword('ಕನ್ನಡ-password');
+  assert.match(stored, /^[0-9a-f]{32}:[0-9a-f]{128}$/);
+  assert.equal(await verifyPassword('ಕನ್ನಡ-password', stored), true);
+  assert.equal(await verifyPassword('ಕನ್ನಡ-Password', stored), false);
+  assert.notEqual(await hashPassword('ಕನ್ನಡ-password'), stored);
+});
+
+test('session tokens are stored as stable SHA-256 hashes', () => {
+  assert.equal(hashToken('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  assert.equal(hashToken('token'), hashToken('token'));
+  assert.notEqual(hashToken('token'), hashToken('token2'));
+});
+
+test('failed logins for a username block it from that address until the window ends', () => {
+  const now = Date.now();
+  for (let attempt = 0; attempt < 10; attempt++) {
+    assert.equal(loginRetryAfter('10.0.0.1', 'Ravi', now), 0);
+    recordFailedLogin('10.0.0.1', 'ravi', now);
+  }
+  assert.equal(loginRetryAfter('10.0.0.1', ' RAVI ', now), 15 * 60);
+  assert.equal(loginRetryAfter('10.0.0.1', 'ravi', now + 15 * 60 * 1000), 0);
+  assert.equal(loginRetryAfter('10.0.0.1', 'latha', now), 0);
+});
+
+test('wrong passwords from other addresses do not lock an account', () => {
+  const now = Date.now();
+  for (let attempt = 0; attempt < 100; attempt++) {
+    recordFailedLogin(`10.0.4.${attempt}`, 'anand', now);
+  }
+  assert.equal(loginRetryAfter('10.0.5.1', 'anand', now), 0);
+});
+
+test('failed logins from an address block it for every username', () => {
+  const now = Date.now();
+  for (let attempt = 0; attempt < 50; attempt++) {
+    recordFailedLogin('10.0.2.1', `user${attempt}`, now);
+  }
+  assert.ok(loginRetryAfter('10.0.2.1', 'someone', now) > 0);
+  assert.equal(loginRetryAfter('10.0.2.2', 'someone', now), 0);
+});
+
+test('a successful login clears the username count but not the address count', () => {
+  const now = Date.now();
+  for (let attempt = 0; attempt < 10; attempt++) {
+    recordFailedLogin('10.0.3.1', 'meera', now);
+  }
+  assert.ok(loginRetryAfter('10.0.3.1', 'meera', now) > 0);
+
+  clearFailedLogins('10.0.3.1', 'meera');
+  assert.equal(loginRetryAfter('10.0.3.1', 'meera', now), 0);
+
+  // The address still has its 10 failures: 40 more reach its limit of 50
+  for (let attempt = 0; attempt < 40; attempt++) {
+    recordFailedLogin('10.0.3.1', `user${attempt}`, now);
+  }
+  assert.ok(loginRetryAfter('10.0.3.1', 'meera', now) > 0);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { recordDocument, rebuildCorpusStats } = require('../lib/corpusStats');
+const { documentHash, exportTable, resetTable } = require('../lib/documentFrequency');
+
+const STORED = ['ಬೆಂಗಳೂರಿನಲ್ಲಿ ಭಾರಿ ಮಳೆಯಾಗಿದೆ.', 'ಶಾಲೆಗಳಿಗೆ ರಜೆ ಘೋಷಿಸಲಾಗಿದೆ.'];
+const SAVED_DURING_REBUILD = 'ನಗರ ಪಾಲಿಕೆ ಸಿಬ್ಬಂದಿ ಕೆಲಸ ಮಾಡುತ್ತಿದ್ದಾರೆ.';
+
+// The database writes of the corpus models, answered without a database
+function mockCorpusModels(t) {
+  const writes = { documents: [], terms: [] };
+  const CorpusDocument = mongoose.model('CorpusDocument');
+  const CorpusTerm = mongoose.model('CorpusTerm');
+  t.mock.method(CorpusDocument, 'deleteMany', async () => ({}));
+  t.mock.method(CorpusTerm, 'deleteMany', async () => ({}));
+  t.mock.method(CorpusDocument, 'insertMany', async documents => writes.documents.push(...documents.map(d => d._id)));
+  t.mock.method(CorpusTerm, 'insertMany', async () => {});
+  t.mock.method(CorpusDocument, 'updateOne', async ({ _id }) => {
+    writes.documents.push(_id);
+    return { upsertedCount: 1 };
+  });
+  t.mock.method(CorpusTerm, 'bulkWrite', async operations => writes.terms.push(...operations));
+  return writes;
+}
+
+// A Summary model whose cursor yields the stored texts, calling onRead after each
+function summaryModel(texts, onRead = () => {}) {
+  return {
+    find: () => ({
+      lean: () => ({
+        async *cursor() {
+          for (const originalText of texts) {
+            yield { originalText };
+            onRead(originalText);
+          }
+        },
+      }),
+    }),
+  };
+}
+
+test('a rebuild counts every stored text once', async (t) => {
+  mockCorpusModels(t);
+  resetTable([], []);
+  const stats = await rebuildCorpusStats(summaryModel([...STORED, STORED[0]]));
+  assert.equal(stats.documents, 2);
+  assert.equal(stats.rebuilding, false);
+});
+
+test('a document stored during a rebuild is counted after it', async (t) => {
+  const writes = mockCorpusModels(t);
+  resetTable([], []);
+
+  // Saved after the cursor has passed the place it would have been read from
+  let saved = false;
+  const stats = await rebuildCorpusStats(summaryModel(STORED, () => {
+    if (!saved) recordDocument(SAVED_DURING_REBUILD);
+    saved = true;
+  }));
+
+  assert.equal(stats.documents, 3);
+  assert.ok(exportTable().documents.includes(documentHash(SAVED_DURING_REBUILD)));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.ok(writes.documents.includes(documentHash(SAVED_DURING_REBUILD)));
+});
+
+test('a document the rebuild already read is not counted twice', async (t) => {
+  mockCorpusModels(t);
+  resetTable([], []);
+  await rebuildCorpusStats(summaryModel(STORED, text => recordDocument(text)));
+  assert.equal(exportTable().documents.length, 2);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectLegacyEncoding, convertLegacyText, normalizeLegacyText } = require('../lib/legacyEncoding');
+const { isKannadaText } = require('../lib/validation');
+
+// A line of a Nudi-typeset government notice and its Unicode text
+const NUDI = 'PÀ£ÁðlPÀ ¸ÀPÁðgÀzÀ ²PÀët E¯ÁSÉAiÀÄ ªÀiÁ»w ¥ÀæPÁgÀ, gÁdåzÀ J®è f¯ÉèUÀ¼À°è ±Á¯ÉUÀ¼À ¸ÀASÉå ºÉZÀÄÑvÀÛzÉ. ªÀÄÄRåªÀÄAwæ ºÉÆ¸À AiÉÆÃd£ÉAiÀÄ£ÀÄß WÉÆÃ¶¹zÀgÀÄ.';
+const UNICODE = 'ಕರ್ನಾಟಕ ಸರ್ಕಾರದ ಶಿಕ್ಷಣ ಇಲಾಖೆಯ ಮಾಹಿತಿ ಪ್ರಕಾರ, ರಾಜ್ಯದ ಎಲ್ಲ ಜಿಲ್ಲೆಗಳಲ್ಲಿ ಶಾಲೆಗಳ ಸಂಖ್ಯೆ ಹೆಚ್ಚುತ್ತದೆ. ಮುಖ್ಯಮಂತ್ರಿ ಹೊಸ ಯೋಜನೆಯನ್ನು ಘೋಷಿಸಿದರು.';
+
+test('converts Nudi/Baraha glyph codes to Unicode Kannada', () => {
+  assert.equal(convertLegacyText('PÀ£ÀßqÀ'), 'ಕನ್ನಡ');
+  assert.equal(convertLegacyText(NUDI), UNICODE);
+});
+
+test('detects legacy-encoded text but not European text or Unicode Kannada', () => {
+  assert.equal(detectLegacyEncoding(NUDI), 'nudi');
+  assert.equal(detectLegacyEncoding('Café au lait, naïve façade.'), null);
+  assert.equal(detectLegacyEncoding(UNICODE), null);
+});
+
+test('a converted document passes the Kannada validation', () => {
+  const { text, conversion } = normalizeLegacyText(`${NUDI}\n${NUDI}`);
+  assert.deepEqual(conversion, { from: 'nudi', lines: 2 });
+  assert.equal(text, `${UNICODE}\n${UNICODE}`);
+  assert.ok(isKannadaText(text).isValid);
+});
+
+test('leaves Unicode and English lines of a legacy document unchanged', () => {
+  const { text, conversion } = normalizeLegacyText(`${NUDI}\nSource: Department of Education\nಕನ್ನಡ`);
+  assert.equal(conversion.lines, 1);
+  assert.equal(text, `${UNICODE}\nSource: Department of Education\nಕನ್ನಡ`);
+});
+
+test('returns Unicode text as it is', () => {
+  assert.deepEqual(normalizeLegacyText(UNICODE), { text: UNICODE, conversion: null });
+});
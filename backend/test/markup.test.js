@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeEntities, htmlToText, odfToText } = require('../lib/markup');
+
+const odf = body => `<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"><office:body><office:text>${body}</office:text></office:body></office:document-content>`;
+
+test('reads OpenDocument paragraphs, spaces and line breaks', () => {
+  const xml = odf('<text:h>ಶೀರ್ಷಿಕೆ</text:h><text:p>ಮೊದಲ<text:s text:c="3"/>ಸಾಲು<text:line-break/>ಎರಡನೇ ಸಾಲು</text:p>');
+  assert.equal(odfToText(xml), 'ಶೀರ್ಷಿಕೆ\n\nಮೊದಲ ಸಾಲು\nಎರಡನೇ ಸಾಲು');
+});
+
+test('caps the repeat count of OpenDocument spaces', () => {
+  const xml = odf('<text:p>ಒಂದು<text:s text:c="1000000000"/>ಎರಡು<text:s text:c="-4"/>ಮೂರು<text:s text:c="Infinity"/>ನಾಲ್ಕು</text:p>');
+  assert.equal(odfToText(xml), 'ಒಂದು ಎರಡು ಮೂರು ನಾಲ್ಕು');
+});
+
+test('leaves out OpenDocument notes and annotations', () => {
+  const xml = odf('<text:p>ಪಠ್ಯ<text:note><text:p>ಟಿಪ್ಪಣಿ</text:p></text:note></text:p>');
+  assert.equal(odfToText(xml), 'ಪಠ್ಯ');
+});
+
+test('turns HTML into paragraphs without scripts', () => {
+  const html = '<html><head><title>x</title></head><body><h1>ಸುದ್ದಿ</h1><script>alert(1)</script><p>ಮಳೆ&nbsp;ಬಂದಿತು &amp; ನಿಂತಿತು</p></body></html>';
+  assert.equal(htmlToText(html), 'ಸುದ್ದಿ\n\nಮಳೆ ಬಂದಿತು & ನಿಂತಿತು');
+});
+
+test('decodes numeric and named entities', () => {
+  assert.equal(decodeEntities('&#3221;&#x0CA8;&zwj;&unknown;'), 'ಕನ‍&unknown;');
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// A small pool limit, read when the summarizers load
+process.env.GRAPH_MAX_SENTENCES = '4';
+
+const { buildSentencePool } = require('../summarizers/pool');
+const { summarizeDocuments } = require('../summarizers');
+
+test('pools sentences and remembers their document', () => {
+  const { pool } = buildSentencePool([
+    { text: 'ಬೆಂಗಳೂರಿನಲ್ಲಿ ಮಳೆ ಬಂದಿತು. ರಸ್ತೆಗಳು ಜಲಾವೃತವಾದವು.' },
+    { text: 'ಮೈಸೂರಿನಲ್ಲಿ ದಸರಾ ಆರಂಭವಾಯಿತು.' },
+  ]);
+  assert.deepEqual(pool.map(s => s.document), [0, 0, 1]);
+  assert.equal(pool[2].start, 0);
+});
+
+test('drops a sentence that repeats one from an earlier document', () => {
+  const { pool, duplicates } = buildSentencePool([
+    { text: 'ಬೆಂಗಳೂರಿನಲ್ಲಿ ಭಾರಿ ಮಳೆ ಬಂದಿತು.' },
+    { text: 'ಬೆಂಗಳೂರಿನಲ್ಲಿ ಭಾರಿ ಮಳೆ ಬಂದಿತು! ಹಂಪಿಯಲ್ಲಿ ಉತ್ಸವ ನಡೆಯಿತು.' },
+  ]);
+  assert.equal(pool.length, 2);
+  assert.deepEqual(duplicates.map(d => ({ document: d.document, duplicateOf: d.duplicateOf })), [{ document: 1, duplicateOf: 0 }]);
+});
+
+test('keeps repetition within one document', () => {
+  const { pool, duplicates } = buildSentencePool([{ text: 'ಮಳೆ ಬಂದಿತು. ಮಳೆ ಬಂದಿತು.' }]);
+  assert.equal(pool.length, 2);
+  assert.equal(duplicates.length, 0);
+});
+
+test('summarizes a pool within the sentence limit', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const result = await summarizeDocuments([
+    { name: 'a', text: 'ಬೆಂಗಳೂರಿನಲ್ಲಿ ಮಳೆ ಬಂದಿತು. ರಸ್ತೆಗಳು ಜಲಾವೃತವಾದವು.' },
+    { name: 'b', text: 'ಮೈಸೂರಿನಲ್ಲಿ ದಸರಾ ಆರಂಭವಾಯಿತು. ಅರಮನೆ ದೀಪಗಳಿಂದ ಬೆಳಗಿತು.' },
+  ], 'textrank', { maxSentences: 2 });
+  assert.equal(result.summarySentences.length, 2);
+});
+
+test('refuses a pool over the sentence limit', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  await assert.rejects(summarizeDocuments([
+    { name: 'a', text: 'ಬೆಂಗಳೂರಿನಲ್ಲಿ ಮಳೆ ಬಂದಿತು. ರಸ್ತೆಗಳು ಜಲಾವೃತವಾದವು. ಶಾಲೆಗಳಿಗೆ ರಜೆ ನೀಡಲಾಯಿತು.' },
+    { name: 'b', text: 'ಮೈಸೂರಿನಲ್ಲಿ ದಸರಾ ಆರಂಭವಾಯಿತು. ಅರಮನೆ ದೀಪಗಳಿಂದ ಬೆಳಗಿತು.' },
+  ], 'textrank', {}), { code: 'TOO_MANY_SENTENCES', message: /5 sentences together; at most 4/ });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { segmentSentences } = require('../lib/segmenter');
+
+const texts = input => segmentSentences(input).map(sentence => sentence.text);
+
+test('splits at full stops, question marks and dandas', () => {
+  assert.deepEqual(texts('ಬೆಂಗಳೂರು ಕರ್ನಾಟಕದ ರಾಜಧಾನಿ. ನೀವು ಬರುತ್ತೀರಾ? ಇದು ಪದ್ಯ।'), [
+    'ಬೆಂಗಳೂರು ಕರ್ನಾಟಕದ ರಾಜಧಾನಿ.',
+    'ನೀವು ಬರುತ್ತೀರಾ?',
+    'ಇದು ಪದ್ಯ।',
+  ]);
+});
+
+test('reports offsets into the original text', () => {
+  const input = '  ಮೊದಲ ವಾಕ್ಯ.   ಎರಡನೇ ವಾಕ್ಯ.';
+  segmentSentences(input).forEach(sentence => {
+    assert.equal(input.slice(sentence.start, sentence.end), sentence.text);
+  });
+});
+
+test('keeps abbreviations, initials and decimals inside the sentence', () => {
+  assert.deepEqual(texts('ಡಾ. ರಾಜ್‌ಕುಮಾರ್ ಅವರು ಎಚ್.ಡಿ. ದೇವೇಗೌಡರನ್ನು ಭೇಟಿಯಾದರು. ಬೆಲೆ ರೂ.2.50 ಆಗಿದೆ.'), [
+    'ಡಾ. ರಾಜ್‌ಕುಮಾರ್ ಅವರು ಎಚ್.ಡಿ. ದೇವೇಗೌಡರನ್ನು ಭೇಟಿಯಾದರು.',
+    'ಬೆಲೆ ರೂ.2.50 ಆಗಿದೆ.',
+  ]);
+});
+
+test('keeps quoted speech followed by ಎಂದು in one sentence', () => {
+  assert.deepEqual(texts('"ನಾಳೆ ಬರುತ್ತೇನೆ." ಎಂದು ಅವರು ಹೇಳಿದರು. ಎಲ್ಲರೂ ಕಾದರು.'), [
+    '"ನಾಳೆ ಬರುತ್ತೇನೆ." ಎಂದು ಅವರು ಹೇಳಿದರು.',
+    'ಎಲ್ಲರೂ ಕಾದರು.',
+  ]);
+});
+
+test('joins a sentence wrapped into short lines of a narrow column', () => {
+  const input = 'ಕರ್ನಾಟಕ ರಾಜ್ಯದ ರಾಜಧಾನಿ\nಬೆಂಗಳೂರು ನಗರದಲ್ಲಿ ಇಂದು\nಭಾರಿ ಮಳೆಯಾಯಿತು.';
+  assert.deepEqual(texts(input), ['ಕರ್ನಾಟಕ ರಾಜ್ಯದ ರಾಜಧಾನಿ ಬೆಂಗಳೂರು ನಗರದಲ್ಲಿ ಇಂದು ಭಾರಿ ಮಳೆಯಾಯಿತು.']);
+});
+
+test('joins a two-line wrapped sentence', () => {
+  assert.deepEqual(texts('ಬೆಂಗಳೂರಿನಲ್ಲಿ ಇಂದು\nಮಳೆಯಾಯಿತು.'), ['ಬೆಂಗಳೂರಿನಲ್ಲಿ ಇಂದು ಮಳೆಯಾಯಿತು.']);
+});
+
+test('joins a sentence that starts after another one on a wrapped line', () => {
+  assert.deepEqual(texts('ಇಂದು ಭಾರಿ ಮಳೆಯಾಯಿತು. ಜನರು\nಮನೆಯಲ್ಲೇ ಉಳಿದರು.'), [
+    'ಇಂದು ಭಾರಿ ಮಳೆಯಾಯಿತು.',
+    'ಜನರು ಮನೆಯಲ್ಲೇ ಉಳಿದರು.',
+  ]);
+});
+
+test('splits a heading above a wider line of body text', () => {
+  const input = 'ಮಳೆ ವರದಿ\nಬೆಂಗಳೂರಿನಲ್ಲಿ ಇಂದು ಭಾರಿ ಮಳೆಯಾಯಿತು ಎಂದು ಹವಾಮಾನ ಇಲಾಖೆ\nತಿಳಿಸಿದೆ.';
+  assert.deepEqual(texts(input), [
+    'ಮಳೆ ವರದಿ',
+    'ಬೆಂಗಳೂರಿನಲ್ಲಿ ಇಂದು ಭಾರಿ ಮಳೆಯಾಯಿತು ಎಂದು ಹವಾಮಾನ ಇಲಾಖೆ ತಿಳಿಸಿದೆ.',
+  ]);
+});
+
+test('splits a heading followed by a blank line', () => {
+  assert.deepEqual(texts('ಪೀಠಿಕೆ\n\nಇದು ಮೊದಲ ವಾಕ್ಯ.'), ['ಪೀಠಿಕೆ', 'ಇದು ಮೊದಲ ವಾಕ್ಯ.']);
+});
+
+test('splits list items without terminators', () => {
+  assert.deepEqual(texts('ಮುಖ್ಯ ಅಂಶಗಳು:\n• ಮಳೆ ಹೆಚ್ಚಾಗಿದೆ\n• ಬೆಳೆ ಚೆನ್ನಾಗಿದೆ'), [
+    'ಮುಖ್ಯ ಅಂಶಗಳು:',
+    '• ಮಳೆ ಹೆಚ್ಚಾಗಿದೆ',
+    '• ಬೆಳೆ ಚೆನ್ನಾಗಿದೆ',
+  ]);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { selectSentences, maxSimilarity, countWords } = require('../summarizers/selection');
+
+const scored = (...scores) => scores.map((score, index) => ({ sentence: `ವಾಕ್ಯ ಸಂಖ್ಯೆ ${index}`, score, index }));
+const DEFAULTS = { ratio: 0.5, minSentences: 1 };
+
+test('picks the best-scored sentences and returns them in document order', () => {
+  const selected = selectSentences(scored(0.1, 0.9, 0.5, 0.7), { maxSentences: 2 }, DEFAULTS);
+  assert.deepEqual(selected.map(s => s.index), [1, 3]);
+});
+
+test('uses the algorithm defaults without length options', () => {
+  assert.equal(selectSentences(scored(1, 2, 3, 4), {}, DEFAULTS).length, 2);
+});
+
+test('keeps the summary within a word budget', () => {
+  const selected = selectSentences(scored(0.9, 0.8, 0.7), { maxWords: 6 }, DEFAULTS);
+  assert.ok(selected.reduce((sum, s) => sum + countWords(s.sentence), 0) <= 6);
+  assert.equal(selected.length, 2);
+});
+
+test('shortens the best sentence when no sentence fits the budget', () => {
+  const [only] = selectSentences([{ sentence: 'ಒಂದು ಎರಡು ಮೂರು ನಾಲ್ಕು', score: 1, index: 0 }], { maxWords: 2 }, DEFAULTS);
+  assert.equal(only.sentence, 'ಒಂದು ಎರಡು…');
+});
+
+test('MMR passes over a near-duplicate of a selected sentence', () => {
+  // Sentences 0 and 1 say the same thing; 2 scores a little lower but is new
+  const similarity = (i, j) => ((i === 0 && j === 1) || (i === 1 && j === 0) ? 0.95 : 0);
+  const sentences = scored(1, 0.95, 0.8);
+
+  const plain = selectSentences(sentences, { maxSentences: 2 }, DEFAULTS, { similarity, diversity: 0 });
+  assert.deepEqual(plain.map(s => s.index), [0, 1]);
+
+  const diverse = selectSentences(sentences, { maxSentences: 2 }, DEFAULTS, { similarity, diversity: 0.3 });
+  assert.deepEqual(diverse.map(s => s.index), [0, 2]);
+});
+
+test('reports the highest similarity to the selected sentences', () => {
+  const similarity = (i, j) => [[1, 0.2, 0.6], [0.2, 1, 0.1], [0.6, 0.1, 1]][i][j];
+  assert.equal(maxSimilarity(similarity, 0, [{ index: 1 }, { index: 2 }]), 0.6);
+  assert.equal(maxSimilarity(similarity, 0, []), 0);
+});
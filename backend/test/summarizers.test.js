@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pageRank, buildSimilarityMatrix } = require('../summarizers/graph');
+const { listSummarizers, getSummarizer, describeSummarizer, parseSummaryOptions, registerSummarizer, summarizeWithModel } = require('../summarizers');
+
+const TEXT = 'ಬೆಂಗಳೂರು ಕರ್ನಾಟಕದ ರಾಜಧಾನಿ. ಬೆಂಗಳೂರಿನಲ್ಲಿ ಅನೇಕ ಉದ್ಯಾನಗಳಿವೆ. ಮೈಸೂರು ಅರಮನೆ ಪ್ರಸಿದ್ಧ. ಮೈಸೂರಿನಲ್ಲಿ ದಸರಾ ನಡೆಯುತ್ತದೆ. ಹಂಪಿ ವಿಶ್ವ ಪರಂಪರೆಯ ತಾಣ.';
+
+test('PageRank gives every sentence of a symmetric graph the same score', () => {
+  const similarity = [[0, 1, 1], [1, 0, 1], [1, 1, 0]];
+  pageRank(similarity).forEach(score => assert.ok(Math.abs(score - 1) < 1e-9));
+});
+
+test('PageRank ranks the best-connected sentence first', () => {
+  const similarity = [[0, 0.5, 0.5], [0.5, 0, 0], [0.5, 0, 0]];
+  const [hub, leaf1, leaf2] = pageRank(similarity);
+  assert.ok(hub > leaf1);
+  assert.ok(Math.abs(leaf1 - leaf2) < 1e-9);
+});
+
+test('a prior moves PageRank toward the preferred sentences', () => {
+  const similarity = [[0, 1, 1], [1, 0, 1], [1, 1, 0]];
+  const scores = pageRank(similarity, {}, [3, 0, 0]);
+  assert.ok(scores[0] > scores[1]);
+});
+
+test('similarity matrix is symmetric with an empty diagonal', () => {
+  const matrix = buildSimilarityMatrix(['ಬೆಂಗಳೂರು ನಗರ', 'ಬೆಂಗಳೂರಿನಲ್ಲಿ ಮಳೆ', 'ಹಂಪಿ ದೇವಾಲಯ']);
+  assert.equal(matrix[0][0], 0);
+  assert.equal(matrix[0][1], matrix[1][0]);
+  assert.ok(matrix[0][1] > 0);
+  assert.equal(matrix[0][2], 0);
+});
+
+test('every registered summarizer describes its defaults and options', () => {
+  const ids = listSummarizers().map(summarizer => summarizer.id);
+  assert.deepEqual(ids, ['textrank', 'advanced', 'hybrid', 'simple', 'abstractive']);
+  const textrank = describeSummarizer(getSummarizer('textrank'));
+  assert.equal(textrank.type, 'extractive');
+  assert.equal(textrank.defaults.dampingFactor, 0.85);
+});
+
+test('rejects incomplete and duplicate registrations', () => {
+  assert.throws(() => registerSummarizer({ id: 'broken' }), /missing required fields/);
+  assert.throws(() => registerSummarizer({ ...getSummarizer('simple') }), /already registered/);
+});
+
+test('validates request options against the summarizer', () => {
+  assert.deepEqual(parseSummaryOptions('textrank', { maxSentences: '2', dampingFactor: '0.7' }).options, { maxSentences: 2, dampingFactor: 0.7 });
+  assert.match(parseSummaryOptions('textrank', { dampingFactor: '2' }).message, /Invalid dampingFactor/);
+  assert.match(parseSummaryOptions('nope', {}).message, /Unknown model "nope"/);
+});
+
+test('every extractive summarizer returns the requested number of sentences', async t => {
+  t.mock.method(console, 'log', () => {});
+  for (const summarizer of listSummarizers().filter(s => s.type === 'extractive')) {
+    const result = await summarizeWithModel(TEXT, summarizer.id, { maxSentences: 2 });
+    assert.equal(result.sentences.filter(s => s.selected).length, 2, summarizer.id);
+    assert.equal(result.sentenceCount, 5);
+  }
+});
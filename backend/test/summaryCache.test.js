@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeInputText, summaryCacheKey } = require('../lib/summaryCache');
+const { resetTable, documentHash } = require('../lib/documentFrequency');
+const { parseSummaryOptions } = require('../summarizers');
+
+const TEXT = 'ಬೆಂಗಳೂರಿನಲ್ಲಿ ಭಾರಿ ಮಳೆಯಾಗಿದೆ. ಹಲವು ರಸ್ತೆಗಳು ಜಲಾವೃತವಾಗಿವೆ.';
+
+// Summary options as the routes parse them from a request body
+const optionsOf = (body, model = 'textrank') => parseSummaryOptions(model, body).options;
+
+const request = overrides => ({
+  source: 'text',
+  inputs: TEXT,
+  model: 'textrank',
+  options: optionsOf({ maxSentences: 3, diversity: 0.5 }),
+  flags: { explain: false, keywords: false },
+  ...overrides,
+});
+
+test('the same request has the same key', () => {
+  assert.equal(summaryCacheKey(request()), summaryCacheKey(request()));
+  assert.match(summaryCacheKey(request()), /^[0-9a-f]{64}$/);
+});
+
+test('option and flag order does not change the key', () => {
+  assert.equal(
+    summaryCacheKey(request({ options: optionsOf({ diversity: '0.5', maxSentences: '3' }), flags: { keywords: false, explain: false } })),
+    summaryCacheKey(request())
+  );
+});
+
+test('the input, model, options, flags and source are all part of the key', () => {
+  const key = summaryCacheKey(request());
+  [
+    request({ inputs: `${TEXT} ಶಾಲೆಗಳಿಗೆ ರಜೆ.` }),
+    request({ model: 'hybrid' }),
+    request({ options: optionsOf({ maxSentences: 4, diversity: 0.5 }) }),
+    request({ options: optionsOf({ maxSentences: 3, diversity: 0 }) }),
+    request({ options: optionsOf({ maxSentences: 3 }) }),
+    request({ flags: { explain: true, keywords: false } }),
+    request({ flags: { explain: false, keywords: false, mode: 'filter' } }),
+    request({ source: 'article' }),
+  ].forEach(other => assert.notEqual(summaryCacheKey(other), key));
+});
+
+test('a text and its bytes share a key, and input boundaries count', () => {
+  assert.equal(summaryCacheKey(request({ inputs: Buffer.from(TEXT) })), summaryCacheKey(request()));
+  assert.notEqual(
+    summaryCacheKey(request({ source: 'multi', inputs: ['ab', 'c'] })),
+    summaryCacheKey(request({ source: 'multi', inputs: ['a', 'bc'] }))
+  );
+});
+
+test('texts that differ only in normalization form, line endings or trailing spaces normalize alike', () => {
+  const decomposed = 'ಕೈ'.normalize('NFD');
+  assert.equal(normalizeInputText(`  ${decomposed} ಮಳೆ  \r\nಬೆಳೆ\t\r\n`), 'ಕೈ ಮಳೆ\nಬೆಳೆ');
+});
+
+test('the key changes when the corpus IDF table comes into use', (t) => {
+  t.after(() => resetTable([], []));
+  resetTable([], []);
+  const before = summaryCacheKey(request());
+
+  const hashes = Array.from({ length: 50 }, (_, index) => documentHash(`ದಾಖಲೆ ${index}`));
+  resetTable(hashes, [['ಮಳೆ', 10]]);
+  assert.notEqual(summaryCacheKey(request()), before);
+});
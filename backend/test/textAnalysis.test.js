@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stem, isStopword, tokenize, extractTerms, termFrequencies } = require('../lib/textAnalysis');
+
+test('stems inflected forms of a noun to the same term', () => {
+  assert.equal(stem('ಬೆಂಗಳೂರಿನಲ್ಲಿ'), stem('ಬೆಂಗಳೂರಿಗೆ'));
+  assert.equal(stem('ರೈತರು'), stem('ರೈತರಿಗೆ'));
+  assert.equal(stem('ರೈತರನ್ನು'), 'ರೈತರ');
+});
+
+test('leaves Latin words unstemmed', () => {
+  assert.equal(stem('summaries'), 'summaries');
+});
+
+test('recognizes Kannada and English stopwords', () => {
+  assert.ok(isStopword('ಮತ್ತು'));
+  assert.ok(isStopword('ಈ'));
+  assert.ok(isStopword('the'));
+  assert.ok(!isStopword('ಮಳೆ'));
+});
+
+test('tokenizes without punctuation and keeps conjunct joiners', () => {
+  assert.deepEqual(tokenize('“ಲಾಲ್‌ಬಾಗ್”, Garden!'), ['ಲಾಲ್‌ಬಾಗ್', 'garden']);
+});
+
+test('extracts content terms without stopwords', () => {
+  assert.deepEqual(extractTerms('ಈ ಮಳೆ ಮತ್ತು ಬೆಳೆ'), [stem('ಮಳೆ'), stem('ಬೆಳೆ')]);
+});
+
+test('counts terms and scales them by idf', () => {
+  const freq = termFrequencies('ಮಳೆ ಬಂದಿತು. ಮಳೆ ನಿಂತಿತು.');
+  assert.equal(freq[stem('ಮಳೆ')], 2);
+
+  const weighted = termFrequencies('ಮಳೆ ಮಳೆ', () => 0.5);
+  assert.equal(weighted[stem('ಮಳೆ')], 1);
+});
+
+test('counts terms that are Object.prototype keys', () => {
+  const freq = termFrequencies('constructor constructor __proto__ toString hasOwnProperty');
+  assert.equal(freq.constructor, 2);
+  assert.equal(freq.__proto__, 1);
+  assert.equal(freq.tostring, 1);
+  assert.equal(freq.hasownproperty, 1);
+  assert.deepEqual(Object.keys(freq).sort(), ['__proto__', 'constructor', 'hasownproperty', 'tostring']);
+});
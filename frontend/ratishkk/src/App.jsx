@@ -1,37 +1,568 @@
-import React, { useState } from 'react';
-import { FileText, Upload, Download, Loader2, Sparkles, AlertCircle } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { FileText, Upload, Download, Loader2, Sparkles, AlertCircle, Files, X, Globe, ChevronDown, LogIn, LogOut, User, RotateCcw, Trash2, FolderOpen, Search, Columns3 } from 'lucide-react';
 import './App.css';
 
 const API_BASE_URL = 'http://localhost:5000/api';
 
+// The login session ({ token, user }) is kept across page reloads
+const SESSION_STORAGE_KEY = 'kannadaSummarizerSession';
+
+const loadStoredSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const legacyEncodingNames = { nudi: 'Nudi/Baraha' };
+
+const fileTypeNames = {
+  text: 'Text',
+  pdf: 'PDF',
+  word: 'Word',
+  odt: 'OpenDocument',
+  rtf: 'RTF',
+  epub: 'EPUB',
+  html: 'Web page',
+  multi: 'Multiple documents',
+};
+
+const HISTORY_PAGE_SIZE = 8;
+
+// Filters of the history panel, as GET /api/summaries query parameters
+const emptyHistoryFilters = { q: '', model: '', fileType: '', from: '', to: '', sort: 'newest' };
+
+const historySorts = [
+  { id: 'newest', label: 'Newest first' },
+  { id: 'oldest', label: 'Oldest first' },
+  { id: 'model', label: 'By algorithm' },
+];
+
+// Formats offered by GET /api/summaries/:id/export
+const exportFormats = [
+  { id: 'docx', label: 'Word (.docx)' },
+  { id: 'pdf', label: 'PDF' },
+  { id: 'md', label: 'Markdown' },
+  { id: 'json', label: 'JSON' },
+  { id: 'txt', label: 'Plain text' },
+];
+
+// The server detects the real format from the file content; this only filters the file picker
+const documentExtensions = '.pdf,.docx,.odt,.rtf,.epub,.html,.htm,.txt';
+
 export default function KannadaSummarizer() {
+  const [session, setSession] = useState(loadStoredSession);
+  const [authMode, setAuthMode] = useState('login');
+  const [authUsername, setAuthUsername] = useState('');
+  const [authPassword, setAuthPassword] = useState('');
+  const [authError, setAuthError] = useState('');
+  const [authLoading, setAuthLoading] = useState(false);
   const [activeTab, setActiveTab] = useState('text');
   const [text, setText] = useState('');
   const [file, setFile] = useState(null);
+  const [multiFiles, setMultiFiles] = useState([]);
+  const [multiText, setMultiText] = useState('');
+  const [articleUrl, setArticleUrl] = useState('');
+  const [articleHtml, setArticleHtml] = useState('');
+  const [article, setArticle] = useState(null);
   const [model, setModel] = useState('textrank');
   const [loading, setLoading] = useState(false);
+  const [jobProgress, setJobProgress] = useState(null);
   const [summary, setSummary] = useState('');
+  const [summaryId, setSummaryId] = useState(null);
+  // Whether the server answered from its summary cache
+  const [cachedResult, setCachedResult] = useState(false);
+  // The last summarize request ({ kind, formData, sourceText }), sent again to recompute
+  const [lastRequest, setLastRequest] = useState(null);
+  const [downloadMenuOpen, setDownloadMenuOpen] = useState(false);
   const [originalText, setOriginalText] = useState('');
+  const [explanation, setExplanation] = useState(null);
+  const [keywords, setKeywords] = useState(null);
+  const [sourceDocuments, setSourceDocuments] = useState(null);
+  const [summarySentences, setSummarySentences] = useState(null);
+  const [activeTerm, setActiveTerm] = useState(null);
   const [error, setError] = useState('');
   const [kannadaPercentage, setKannadaPercentage] = useState(null);
+  const [conversion, setConversion] = useState(null);
+  const [lengthMode, setLengthMode] = useState('auto');
+  const [lengthValue, setLengthValue] = useState(30);
+  const [algorithms, setAlgorithms] = useState([]);
+  const [modelOptions, setModelOptions] = useState({});
+  const [selectionOptions, setSelectionOptions] = useState([]);
+  const [selectionValues, setSelectionValues] = useState({});
+  const [hierarchyMode, setHierarchyMode] = useState('auto');
+  const [hierarchyOptions, setHierarchyOptions] = useState([]);
+  const [hierarchyValues, setHierarchyValues] = useState({});
+  const [summaryTree, setSummaryTree] = useState(null);
+  const [statistics, setStatistics] = useState(null);
+  // Set when the abstractive model failed and an extractive algorithm answered: { model, reason }
+  const [fallback, setFallback] = useState(null);
+  // Input language rule (from /api/models), the chosen mode and the sentences it excluded
+  const [validationRule, setValidationRule] = useState(null);
+  const [languageMode, setLanguageMode] = useState('kannada');
+  const [otherLanguage, setOtherLanguage] = useState('drop');
+  const [languageReport, setLanguageReport] = useState(null);
+  // Query-focused summaries: the query text and the query words each summary sentence matched
+  const [query, setQuery] = useState('');
+  const [queryReport, setQueryReport] = useState(null);
+  // Side-by-side comparison (text and file inputs): the algorithms to run and the result
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareModels, setCompareModels] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [history, setHistory] = useState([]);
+  // Cursor of each page up to the current one (null for the first page)
+  const [historyCursors, setHistoryCursors] = useState([null]);
+  const [historyNextCursor, setHistoryNextCursor] = useState(null);
+  const [historyTotal, setHistoryTotal] = useState(0);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [historyError, setHistoryError] = useState('');
+  const [historySearch, setHistorySearch] = useState('');
+  const [historyFilters, setHistoryFilters] = useState(emptyHistoryFilters);
+  const [rerunModels, setRerunModels] = useState({});
+  // Bumped to reload the current history page after a summary is added or deleted
+  const [historyVersion, setHistoryVersion] = useState(0);
 
-  const validateKannadaText = (inputText) => {
-    const kannadaRegex = /[\u0C80-\u0CFF]/g;
-    const kannadaMatches = inputText.match(kannadaRegex);
-    const cleanText = inputText.replace(/[\s\d\p{P}]/gu, '');
-    
-    if (!kannadaMatches || cleanText.length === 0) {
-      return {
-        isValid: false,
-        percentage: 0
-      };
+  const saveSession = (newSession) => {
+    if (newSession) {
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(newSession));
+    } else {
+      localStorage.removeItem(SESSION_STORAGE_KEY);
     }
-    
-    const percentage = (kannadaMatches.length / cleanText.length) * 100;
-    return {
-      isValid: percentage >= 70,
-      percentage: percentage.toFixed(2)
+    setSession(newSession);
+  };
+
+  const expireSession = () => {
+    saveSession(null);
+    setAuthError('Your session has expired. Please log in again.');
+  };
+
+  // fetch() for API routes that need the logged-in user
+  const apiFetch = async (path, options = {}) => {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${session?.token}` },
+    });
+    if (response.status === 401) expireSession();
+    return response;
+  };
+
+  // Check a stored session once on load (it may have expired since)
+  useEffect(() => {
+    const stored = loadStoredSession();
+    if (!stored) return;
+
+    fetch(`${API_BASE_URL}/auth/me`, { headers: { Authorization: `Bearer ${stored.token}` } })
+      .then((response) => {
+        if (response.status === 401) {
+          localStorage.removeItem(SESSION_STORAGE_KEY);
+          setSession(null);
+        }
+      })
+      .catch((err) => console.error('Error:', err));
+  }, []);
+
+  const handleAuthSubmit = async (e) => {
+    e.preventDefault();
+    setAuthLoading(true);
+    setAuthError('');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/${authMode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: authUsername, password: authPassword }),
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        saveSession({ token: data.token, user: data.user });
+        setAuthPassword('');
+      } else {
+        setAuthError(data.error || 'Login failed');
+      }
+    } catch (err) {
+      setAuthError('Network error. Please check if the server is running.');
+      console.error('Error:', err);
+    } finally {
+      setAuthLoading(false);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await apiFetch('/auth/logout', { method: 'POST' });
+    } catch (err) {
+      console.error('Error:', err);
+    }
+    saveSession(null);
+    resetResults();
+    setHistory([]);
+    setHistoryCursors([null]);
+    setHistorySearch('');
+    setHistoryFilters(emptyHistoryFilters);
+  };
+
+  useEffect(() => {
+    const loadModels = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/models`);
+        const data = await response.json();
+
+        if (data.success) {
+          setAlgorithms(data.models);
+          setCompareModels(data.models.map((algo) => algo.id));
+          setSelectionOptions(data.selectionOptions || []);
+          setHierarchyOptions(data.hierarchyOptions || []);
+          setValidationRule(data.validation || null);
+          setModel((current) => (
+            data.models.some((algo) => algo.id === current) ? current : data.models[0]?.id
+          ));
+        } else {
+          setError(data.error || 'Could not load summarization algorithms');
+        }
+      } catch (err) {
+        setError('Network error. Please check if the server is running.');
+        console.error('Error:', err);
+      }
     };
+
+    loadModels();
+  }, []);
+
+  useEffect(() => {
+    if (!session) return;
+
+    const loadHistory = async () => {
+      setHistoryLoading(true);
+      const params = new URLSearchParams({ limit: HISTORY_PAGE_SIZE });
+      Object.entries(historyFilters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+      const cursor = historyCursors[historyCursors.length - 1];
+      if (cursor) params.append('cursor', cursor);
+
+      try {
+        const response = await fetch(`${API_BASE_URL}/summaries?${params}`, {
+          headers: { Authorization: `Bearer ${session.token}` },
+        });
+        const data = await response.json();
+
+        if (data.success) {
+          // Deleting the last summary on a page moves back a page
+          if (data.summaries.length === 0 && historyCursors.length > 1) {
+            setHistoryCursors(historyCursors.slice(0, -1));
+            return;
+          }
+          setHistory(data.summaries);
+          setHistoryNextCursor(data.nextCursor);
+          setHistoryTotal(data.total);
+          setHistoryError('');
+        } else {
+          setHistory([]);
+          setHistoryTotal(0);
+          setHistoryNextCursor(null);
+          setHistoryError(data.error || 'Could not load your summaries');
+        }
+      } catch (err) {
+        console.error('Error:', err);
+      } finally {
+        setHistoryLoading(false);
+      }
+    };
+
+    loadHistory();
+  }, [session, historyCursors, historyFilters, historyVersion]);
+
+  const selectedAlgorithm = algorithms.find((algo) => algo.id === model);
+  const comparing = compareMode && (activeTab === 'text' || activeTab === 'file');
+
+  const toggleCompareModel = (modelId) => {
+    setCompareModels(compareModels.includes(modelId)
+      ? compareModels.filter((id) => id !== modelId)
+      : algorithms.map((algo) => algo.id).filter((id) => id === modelId || compareModels.includes(id)));
+  };
+
+  const algorithmName = (modelId) => algorithms.find((algo) => algo.id === modelId)?.name || modelId;
+
+  const handleModelChange = (modelId) => {
+    setModel(modelId);
+    setModelOptions({});
+  };
+
+  const lengthModes = [
+    { id: 'auto', name: 'Auto', param: null, min: 0, max: 0, step: 1, initial: 0, unit: '' },
+    { id: 'ratio', name: 'Percentage', param: 'ratio', min: 5, max: 80, step: 5, initial: 30, unit: '%' },
+    { id: 'sentences', name: 'Sentences', param: 'maxSentences', min: 1, max: 20, step: 1, initial: 3, unit: ' sentences' },
+    { id: 'words', name: 'Words', param: 'maxWords', min: 20, max: 500, step: 10, initial: 100, unit: ' words' },
+    { id: 'chars', name: 'Characters', param: 'maxChars', min: 100, max: 3000, step: 50, initial: 600, unit: ' characters' }
+  ];
+
+  const currentLengthMode = lengthModes.find((mode) => mode.id === lengthMode);
+
+  // Long-document mode: Auto lets the server switch to it for very long texts
+  const hierarchyModes = [
+    { id: 'auto', name: 'Auto', value: null },
+    { id: 'on', name: 'By Section', value: 'true' },
+    { id: 'off', name: 'Off', value: 'false' }
+  ];
+
+  const handleLengthModeChange = (modeId) => {
+    const mode = lengthModes.find((m) => m.id === modeId);
+    setLengthMode(modeId);
+    setLengthValue(mode.initial);
+  };
+
+  const getLengthParams = () => {
+    if (!currentLengthMode.param) return {};
+    const value = currentLengthMode.param === 'ratio' ? lengthValue / 100 : lengthValue;
+    return { [currentLengthMode.param]: value };
+  };
+
+  const jobStageLabels = {
+    upload: 'Uploading',
+    queued: 'Waiting in queue',
+    extraction: 'Extracting text',
+    validation: 'Checking Kannada content',
+    summarization: 'Summarizing',
+    save: 'Saving',
+    done: 'Done'
+  };
+
+  // Submits a summarization job and follows its progress until it finishes.
+  // The upload is reported as the first 10% of the progress bar.
+  const runSummarizationJob = (formData) => new Promise((resolve, reject) => {
+    const fail = (message, details = {}) => reject(Object.assign(new Error(message), details));
+
+    const request = new XMLHttpRequest();
+    request.open('POST', `${API_BASE_URL}/jobs`);
+    request.setRequestHeader('Authorization', `Bearer ${session.token}`);
+    request.upload.onprogress = (e) => {
+      if (e.lengthComputable) {
+        setJobProgress({ stage: 'upload', progress: Math.round((e.loaded / e.total) * 10) });
+      }
+    };
+    request.onerror = () => fail('Network error. Please check if the server is running.');
+    request.onload = () => {
+      let data;
+      try {
+        data = JSON.parse(request.responseText);
+      } catch {
+        fail(`Server error (${request.status})`);
+        return;
+      }
+
+      if (request.status === 401) expireSession();
+      if (!data.success) {
+        fail(data.error || 'Summarization failed', { kannadaPercentage: data.kannadaPercentage });
+        return;
+      }
+
+      // Cached results complete at submission
+      if (data.job.status === 'completed') {
+        resolve(data.job.result);
+        return;
+      }
+
+      // EventSource cannot send an Authorization header; the job's events token opens its stream only
+      const events = new EventSource(`${API_BASE_URL}/jobs/${data.job.id}/events?token=${encodeURIComponent(data.eventsToken)}`);
+      events.onmessage = (event) => {
+        const job = JSON.parse(event.data);
+        setJobProgress({ stage: job.stage, progress: job.progress });
+        if (job.status === 'completed') {
+          events.close();
+          resolve(job.result);
+        } else if (job.status === 'failed') {
+          events.close();
+          fail(job.error || 'Summarization failed', { kannadaPercentage: job.kannadaPercentage, conversion: job.conversion });
+        }
+      };
+      // EventSource reconnects by itself; CLOSED means it gave up
+      events.onerror = () => {
+        if (events.readyState === EventSource.CLOSED) {
+          fail('Lost connection to the server while the summary was being prepared.');
+        }
+      };
+    };
+    request.send(formData);
+  });
+
+  const resetResults = () => {
+    setError('');
+    setSummary('');
+    setSummaryId(null);
+    setCachedResult(false);
+    setDownloadMenuOpen(false);
+    setExplanation(null);
+    setKeywords(null);
+    setActiveTerm(null);
+    setSourceDocuments(null);
+    setSummarySentences(null);
+    setSummaryTree(null);
+    setStatistics(null);
+    setFallback(null);
+    setLanguageReport(null);
+    setQueryReport(null);
+    setComparison(null);
+    setArticle(null);
+    setKannadaPercentage(null);
+    setConversion(null);
+  };
+
+  // Request fields for the current settings. Another model than the selected one
+  // (re-running a history entry) gets its default options.
+  const summaryFormData = (modelId = model) => {
+    const formData = new FormData();
+    formData.append('model', modelId);
+    const options = modelId === model ? modelOptions : {};
+    Object.entries({ ...getLengthParams(), ...options, ...selectionValues }).forEach(([key, value]) => formData.append(key, value));
+    const hierarchy = hierarchyModes.find((mode) => mode.id === hierarchyMode);
+    if (hierarchy.value) formData.append('hierarchical', hierarchy.value);
+    if (hierarchyMode !== 'off') {
+      Object.entries(hierarchyValues).forEach(([key, value]) => formData.append(key, value));
+    }
+    formData.append('language', languageMode);
+    if (languageMode === 'mixed') formData.append('otherLanguage', otherLanguage);
+    if (query.trim()) formData.append('query', query.trim());
+    formData.append('explain', 'true');
+    formData.append('keywords', 'true');
+    return formData;
+  };
+
+  const showNewestHistory = () => {
+    setHistoryCursors([null]);
+    setHistoryVersion((version) => version + 1);
+  };
+
+  // Changing a filter starts again from the first page
+  const updateHistoryFilters = (changes) => {
+    setHistoryFilters({ ...historyFilters, ...changes });
+    setHistoryCursors([null]);
+  };
+
+  const handleHistorySearch = (e) => {
+    e.preventDefault();
+    updateHistoryFilters({ q: historySearch.trim() });
+  };
+
+  const clearHistoryFilters = () => {
+    setHistorySearch('');
+    updateHistoryFilters(emptyHistoryFilters);
+  };
+
+  const historyFiltered = Object.entries(historyFilters)
+    .some(([key, value]) => key !== 'sort' && value !== emptyHistoryFilters[key]);
+
+  const fetchStoredSummary = async (id) => {
+    const response = await apiFetch(`/summaries/${id}`);
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error || 'Could not load the summary');
+    return data.summary;
+  };
+
+  // Show a stored summary in the result view
+  const openHistoryItem = async (id) => {
+    resetResults();
+    setLoading(true);
+
+    try {
+      const stored = await fetchStoredSummary(id);
+      setSummary(stored.summarizedText);
+      setSummaryId(stored._id);
+      setStatistics(stored.statistics || null);
+      setFallback(stored.fallback || null);
+      setLanguageReport(stored.language || null);
+      setOriginalText(stored.originalText);
+      setSummaryTree(stored.tree || null);
+      setArticle(stored.title || stored.sourceUrl ? { title: stored.title, sourceUrl: stored.sourceUrl } : null);
+      setConversion(stored.convertedFrom ? { from: stored.convertedFrom } : null);
+      // Stored keywords keep only their text and score
+      const withForms = (terms) => terms.map((term) => ({ ...term, forms: [term.text] }));
+      setKeywords(stored.keywords && stored.keywords.length > 0
+        ? { keywords: withForms(stored.keywords), keyphrases: withForms(stored.keyphrases || []) }
+        : null);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    } catch (err) {
+      setError(err.message);
+      console.error('Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Summarize the original text of a stored summary again with another algorithm
+  const rerunHistoryItem = async (item) => {
+    const rerunModel = rerunModels[item._id] || model;
+
+    let stored;
+    try {
+      stored = await fetchStoredSummary(item._id);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    if (rerunModel !== model) handleModelChange(rerunModel);
+    setActiveTab('text');
+    setText(stored.originalText);
+
+    const formData = summaryFormData(rerunModel);
+    formData.append('text', stored.originalText);
+    await runJob(formData, stored.originalText);
+  };
+
+  const deleteHistoryItem = async (item) => {
+    if (!window.confirm('Delete this summary from your history?')) return;
+
+    try {
+      const response = await apiFetch(`/summaries/${item._id}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!data.success) {
+        setError(data.error || 'Could not delete the summary');
+        return;
+      }
+      if (item._id === summaryId) resetResults();
+      setHistoryVersion((version) => version + 1);
+    } catch (err) {
+      setError('Network error. Please check if the server is running.');
+      console.error('Error:', err);
+    }
+  };
+
+  const runJob = async (formData, sourceText) => {
+    setLoading(true);
+    setJobProgress({ stage: 'upload', progress: 0 });
+    resetResults();
+    setLastRequest({ kind: 'job', formData, sourceText });
+
+    try {
+      const result = await runSummarizationJob(formData);
+      // Very long documents come back without their original text and explanation
+      const original = result.originalText ?? sourceText ?? '';
+      setSummary(result.summary);
+      setSummaryId(result.id);
+      setCachedResult(Boolean(result.cached));
+      setStatistics(result.statistics || null);
+      setFallback(result.fallback || null);
+      setLanguageReport(result.language || null);
+      setQueryReport(result.query || null);
+      setOriginalText(original);
+      setExplanation(original ? result.sentences || null : null);
+      setSummaryTree(result.tree || null);
+      setKeywords(result.keywords ? { keywords: result.keywords, keyphrases: result.keyphrases } : null);
+      setKannadaPercentage(result.kannadaPercentage);
+      setConversion(result.conversion || null);
+      showNewestHistory();
+    } catch (err) {
+      setError(err.message);
+      setKannadaPercentage(err.kannadaPercentage ?? null);
+      setConversion(err.conversion ?? null);
+      console.error('Error:', err);
+    } finally {
+      setLoading(false);
+      setJobProgress(null);
+    }
   };
 
   const handleTextSummarize = async () => {
@@ -40,39 +571,75 @@ export default function KannadaSummarizer() {
       return;
     }
 
-    const validation = validateKannadaText(text);
-    if (!validation.isValid) {
-      setError(`Please enter text in Kannada script (ಕನ್ನಡ). Current Kannada content: ${validation.percentage}% (minimum 70% required)`);
+    const formData = summaryFormData();
+    formData.append('text', text);
+    await runJob(formData, text);
+  };
+
+  const handleFileUpload = async () => {
+    if (!file) {
+      setError('Please select a file');
+      return;
+    }
+
+    const formData = summaryFormData();
+    formData.append('file', file);
+    await runJob(formData);
+  };
+
+  const handleMultiSummarize = async () => {
+    const documentCount = multiFiles.length + (multiText.trim() ? 1 : 0);
+    if (documentCount < 2) {
+      setError('Please add at least two documents (files or a text snippet) to summarize together');
       return;
     }
 
+    const formData = summaryFormData();
+    formData.delete('explain');
+    multiFiles.forEach((multiFile) => formData.append('files', multiFile));
+    if (multiText.trim()) formData.append('texts', multiText);
+    await submitMulti(formData);
+  };
+
+  // One mixed-language report for all documents, each excluded sentence naming its document
+  const multiLanguageReport = (documents) => {
+    const reports = documents.filter((doc) => doc.language);
+    if (reports.length === 0) return null;
+    return {
+      otherLanguage: reports[0].language.otherLanguage,
+      excluded: reports.flatMap((doc) => doc.language.excluded.map((segment) => ({ ...segment, document: doc.name })))
+    };
+  };
+
+  const submitMulti = async (formData) => {
     setLoading(true);
-    setError('');
-    setSummary('');
-    setKannadaPercentage(null);
+    resetResults();
+    setLastRequest({ kind: 'multi', formData });
 
     try {
-      const response = await fetch(`${API_BASE_URL}/summarize/text`, {
+      const response = await apiFetch('/summarize/multi', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          text,
-          model,
-          userId: 'user_' + Date.now(),
-        }),
+        body: formData,
       });
 
       const data = await response.json();
 
       if (data.success) {
         setSummary(data.summary);
-        setOriginalText(text);
-        setKannadaPercentage(data.kannadaPercentage);
+        setSummaryId(data.id);
+        setCachedResult(Boolean(data.cached));
+        setStatistics(data.statistics || null);
+        setOriginalText(data.originalText);
+        setSourceDocuments(data.documents);
+        setLanguageReport(multiLanguageReport(data.documents));
+        setSummarySentences(data.summarySentences);
+        setQueryReport(data.query ? { terms: data.query.terms, sentences: data.summarySentences } : null);
+        setKeywords(data.keywords ? { keywords: data.keywords, keyphrases: data.keyphrases } : null);
+        showNewestHistory();
+      } else if (data.documents) {
+        setError(`${data.error}: ${data.documents.map((doc) => `${doc.name} (${doc.error})`).join('; ')}`);
       } else {
         setError(data.error || 'Summarization failed');
-        setKannadaPercentage(data.kannadaPercentage);
       }
     } catch (err) {
       setError('Network error. Please check if the server is running.');
@@ -82,26 +649,25 @@ export default function KannadaSummarizer() {
     }
   };
 
-  const handleFileUpload = async () => {
-    if (!file) {
-      setError('Please select a file');
+  const handleArticleSummarize = async () => {
+    if (!articleUrl.trim() && !articleHtml.trim()) {
+      setError('Please enter a URL or paste the page HTML');
       return;
     }
 
-    setLoading(true);
-    setError('');
-    setSummary('');
-    setKannadaPercentage(null);
-
-    const formData = new FormData();
-    formData.append('file', file);
-    formData.append('model', model);
-    formData.append('userId', 'user_' + Date.now());
+    const formData = summaryFormData();
+    if (articleUrl.trim()) formData.append('url', articleUrl.trim());
+    if (articleHtml.trim()) formData.append('html', articleHtml);
+    await submitArticle(formData);
+  };
 
-    const endpoint = activeTab === 'pdf' ? 'pdf' : 'word';
+  const submitArticle = async (formData) => {
+    setLoading(true);
+    resetResults();
+    setLastRequest({ kind: 'article', formData });
 
     try {
-      const response = await fetch(`${API_BASE_URL}/summarize/${endpoint}`, {
+      const response = await apiFetch('/summarize/article', {
         method: 'POST',
         body: formData,
       });
@@ -110,11 +676,71 @@ export default function KannadaSummarizer() {
 
       if (data.success) {
         setSummary(data.summary);
+        setSummaryId(data.id);
+        setCachedResult(Boolean(data.cached));
+        setStatistics(data.statistics || null);
         setOriginalText(data.originalText);
+        setArticle({ title: data.title, sourceUrl: data.sourceUrl });
+        setFallback(data.fallback || null);
+        setLanguageReport(data.language || null);
+        setQueryReport(data.query || null);
+        setExplanation(data.sentences || null);
+        setSummaryTree(data.tree || null);
+        setKeywords(data.keywords ? { keywords: data.keywords, keyphrases: data.keyphrases } : null);
         setKannadaPercentage(data.kannadaPercentage);
+        setConversion(data.conversion || null);
+        showNewestHistory();
       } else {
         setError(data.error || 'Summarization failed');
+        setKannadaPercentage(data.kannadaPercentage ?? null);
+        setConversion(data.conversion ?? null);
+      }
+    } catch (err) {
+      setError('Network error. Please check if the server is running.');
+      console.error('Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run the selected algorithms on the current text or file in one request.
+  // Each algorithm uses its default options; length and selection settings are shared.
+  const handleCompare = async () => {
+    if (activeTab === 'text' ? !text.trim() : !file) {
+      setError(activeTab === 'text' ? 'Please enter some text to summarize' : 'Please select a file');
+      return;
+    }
+
+    setLoading(true);
+    resetResults();
+
+    const formData = summaryFormData();
+    ['model', 'explain', 'keywords', ...(selectedAlgorithm ? selectedAlgorithm.options.map((option) => option.name) : [])]
+      .forEach((key) => formData.delete(key));
+    formData.append('models', compareModels.join(','));
+    if (activeTab === 'text') {
+      formData.append('text', text);
+    } else {
+      formData.append('file', file);
+    }
+
+    try {
+      const response = await apiFetch('/summarize/compare', {
+        method: 'POST',
+        body: formData,
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setComparison(data);
+        setLanguageReport(data.language || null);
         setKannadaPercentage(data.kannadaPercentage);
+        setConversion(data.conversion || null);
+      } else {
+        setError(data.error || 'Comparison failed');
+        setKannadaPercentage(data.kannadaPercentage ?? null);
+        setConversion(data.conversion ?? null);
       }
     } catch (err) {
       setError('Network error. Please check if the server is running.');
@@ -124,51 +750,178 @@ export default function KannadaSummarizer() {
     }
   };
 
+  // Send the last request again, asking the server to skip its cache
+  const recomputeSummary = async () => {
+    const formData = new FormData();
+    for (const [key, value] of lastRequest.formData) formData.append(key, value);
+    formData.set('force', 'true');
+
+    if (lastRequest.kind === 'multi') {
+      await submitMulti(formData);
+    } else if (lastRequest.kind === 'article') {
+      await submitArticle(formData);
+    } else {
+      await runJob(formData, lastRequest.sourceText);
+    }
+  };
+
+  const handleMultiFileChange = (e) => {
+    const selectedFiles = Array.from(e.target.files);
+    setMultiFiles([...multiFiles, ...selectedFiles].slice(0, 10));
+    setError('');
+    e.target.value = '';
+  };
+
+  const removeMultiFile = (index) => {
+    setMultiFiles(multiFiles.filter((_, i) => i !== index));
+  };
+
   const handleFileChange = (e) => {
     const selectedFile = e.target.files[0];
     if (selectedFile) {
       setFile(selectedFile);
       setError('');
       setSummary('');
+      setExplanation(null);
+      setKeywords(null);
+      setActiveTerm(null);
+      setSourceDocuments(null);
+      setSummarySentences(null);
       setKannadaPercentage(null);
     }
   };
 
-  const downloadSummary = () => {
-    const content = `ಮೂಲ ಪಠ್ಯ (Original Text):
+  const featureLabels = {
+    frequency: 'Word frequency',
+    position: 'Position',
+    length: 'Length',
+    keyword: 'Keywords',
+    numeric: 'Numbers',
+    textRank: 'TextRank',
+    centrality: 'Centrality',
+    relevance: 'Query relevance'
+  };
 
-${originalText}
+  // Marks every occurrence of the selected keyword (any of its inflected forms)
+  const markActiveTerm = (content, keyPrefix) => {
+    if (!activeTerm) return content;
 
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    const escaped = [...activeTerm.forms]
+      .sort((a, b) => b.length - a.length)
+      .map((form) => form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'));
+    const pattern = new RegExp(`(?<![\\p{L}\\p{M}\\u200C\\u200D])(?:${escaped.join('|')})(?![\\p{L}\\p{M}\\u200C\\u200D])`, 'giu');
 
-ಸಾರಾಂಶ (Summary):
+    const pieces = [];
+    let cursor = 0;
+    for (const match of content.matchAll(pattern)) {
+      if (match.index > cursor) pieces.push(content.slice(cursor, match.index));
+      pieces.push(
+        <mark key={`${keyPrefix}-${match.index}`} className="keyword-mark">{match[0]}</mark>
+      );
+      cursor = match.index + match[0].length;
+    }
+    if (cursor < content.length) pieces.push(content.slice(cursor));
+    return pieces;
+  };
 
-${summary}
+  const toggleTerm = (term) => {
+    setActiveTerm(activeTerm && activeTerm.text === term.text ? null : term);
+  };
 
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // Per-section summaries of a long document, nested as the server summarized them
+  const renderTreeNodes = (nodes, keyPrefix) => nodes.map((node, index) => (
+    <details key={`${keyPrefix}-${index}`} className="tree-node">
+      <summary className="tree-node-header">
+        <span className="tree-node-title kannada-text">
+          {node.title || (node.children ? `Part ${index + 1}` : `Section ${index + 1}`)}
+        </span>
+        <span className="tree-node-meta">
+          {node.children ? `${node.children.length} parts · ` : ''}{node.sentences} sentences
+        </span>
+      </summary>
+      <p className="tree-node-summary kannada-text">{node.summary}</p>
+      {node.children && (
+        <div className="tree-children">{renderTreeNodes(node.children, `${keyPrefix}-${index}`)}</div>
+      )}
+    </details>
+  ));
 
-Algorithm Used: ${model.toUpperCase()}
-Generated: ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}
-`;
+  const renderHighlightedText = () => {
+    const pieces = [];
+    let cursor = 0;
 
-    const BOM = '\uFEFF';
-    const blob = new Blob([BOM + content], { type: 'text/plain;charset=utf-8' });
-    
-    const element = document.createElement('a');
-    element.href = URL.createObjectURL(blob);
-    element.download = `kannada_summary_${Date.now()}.txt`;
-    document.body.appendChild(element);
-    element.click();
-    document.body.removeChild(element);
-    URL.revokeObjectURL(element.href);
+    explanation.forEach((sentence) => {
+      if (sentence.start > cursor) {
+        pieces.push(originalText.slice(cursor, sentence.start));
+      }
+
+      const features = Object.entries(sentence.features);
+      pieces.push(
+        <span
+          key={sentence.index}
+          className={`explain-sentence ${sentence.selected ? 'explain-sentence-selected' : ''}`}
+        >
+          {markActiveTerm(originalText.slice(sentence.start, sentence.end), sentence.index)}
+          <span className="explain-tooltip">
+            <strong>
+              {sentence.selected ? 'Selected' : 'Not selected'} · Rank {sentence.rank} of {explanation.length}
+            </strong>
+            <span className="explain-tooltip-row">Score: {sentence.score.toFixed(3)}</span>
+            {sentence.redundancy !== undefined && (
+              <span className="explain-tooltip-row">
+                Overlap with {sentence.selected ? 'other selected sentences' : 'the summary'}: {Math.round(sentence.redundancy * 100)}%
+              </span>
+            )}
+            {sentence.matchedTerms && (
+              <span className="explain-tooltip-row">
+                Query words: {sentence.matchedTerms.length > 0 ? sentence.matchedTerms.join(', ') : 'none'}
+              </span>
+            )}
+            {features.map(([name, value]) => (
+              <span key={name} className="explain-tooltip-row">
+                {featureLabels[name] || name}: {value.toFixed(3)}
+                {sentence.score > 0 && features.length > 1 && ` (${Math.round((value / sentence.score) * 100)}%)`}
+              </span>
+            ))}
+          </span>
+        </span>
+      );
+      cursor = sentence.end;
+    });
+
+    if (cursor < originalText.length) {
+      pieces.push(originalText.slice(cursor));
+    }
+
+    return pieces;
   };
 
-  const algorithms = [
-    { id: 'textrank', name: 'TextRank', icon: '🎯' },
-    { id: 'advanced', name: 'Advanced', icon: '⚡' },
-    { id: 'hybrid', name: 'Hybrid', icon: '🔄' },
-    { id: 'simple', name: 'Simple', icon: '✨' }
-  ];
+  // Exports need the Authorization header, so they are fetched rather than linked
+  const downloadExport = async (format) => {
+    setDownloadMenuOpen(false);
+
+    try {
+      const response = await apiFetch(`/summaries/${summaryId}/export?format=${format}`);
+      if (!response.ok) {
+        const data = await response.json();
+        setError(data.error || 'Export failed');
+        return;
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const fileName = /filename="([^"]+)"/.exec(disposition)?.[1] || `kannada_summary.${format}`;
+      const element = document.createElement('a');
+      element.href = URL.createObjectURL(await response.blob());
+      element.download = fileName;
+      document.body.appendChild(element);
+      element.click();
+      document.body.removeChild(element);
+      URL.revokeObjectURL(element.href);
+    } catch (err) {
+      setError('Network error. Please check if the server is running.');
+      console.error('Error:', err);
+    }
+  };
 
   return (
     <div className="app-container">
@@ -194,152 +947,939 @@ Generated: ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}
                 <Sparkles className="header-icon header-icon-right float-animation" size={40} />
               </div>
               <p className="subtitle">Kannada Text Summarization using NLP</p>
+              {session && (
+                <div className="user-bar">
+                  <span className="user-name">
+                    <User size={18} />
+                    {session.user.username}
+                  </span>
+                  <button onClick={handleLogout} className="logout-btn">
+                    <LogOut size={18} />
+                    Log Out
+                  </button>
+                </div>
+              )}
             </div>
           </div>
 
-          {/* Algorithm Selection */}
-          <div className="section-card glass-card">
-            <h2 className="section-title">Select Algorithm</h2>
-            <div className="algorithm-grid">
-              {algorithms.map((algo) => (
+          {!session ? (
+            <div className="section-card glass-card auth-card">
+              <h2 className="section-title">{authMode === 'login' ? 'Log In' : 'Create Account'}</h2>
+              <form onSubmit={handleAuthSubmit} className="auth-form">
+                <input
+                  type="text"
+                  value={authUsername}
+                  onChange={(e) => setAuthUsername(e.target.value)}
+                  placeholder="Username"
+                  autoComplete="username"
+                  className="text-input auth-input"
+                />
+                <input
+                  type="password"
+                  value={authPassword}
+                  onChange={(e) => setAuthPassword(e.target.value)}
+                  placeholder="Password"
+                  autoComplete={authMode === 'login' ? 'current-password' : 'new-password'}
+                  className="text-input auth-input"
+                />
+                {authError && <p className="auth-error">{authError}</p>}
+                <button type="submit" disabled={authLoading || !authUsername.trim() || !authPassword} className="generate-button">
+                  {authLoading ? <Loader2 className="spinner" size={28} /> : <LogIn size={28} />}
+                  {authMode === 'login' ? 'Log In' : 'Create Account'}
+                </button>
+              </form>
+              <p className="auth-switch">
+                {authMode === 'login' ? 'No account yet?' : 'Already have an account?'}{' '}
                 <button
-                  key={algo.id}
-                  onClick={() => setModel(algo.id)}
-                  className={`algorithm-card ${model === algo.id ? 'algorithm-card-active' : ''}`}
+                  type="button"
+                  onClick={() => {
+                    setAuthMode(authMode === 'login' ? 'register' : 'login');
+                    setAuthError('');
+                  }}
+                  className="auth-switch-button"
                 >
-                  <div className="algorithm-content">
-                    <div className="algorithm-icon">{algo.icon}</div>
-                    <div className="algorithm-name">{algo.name}</div>
-                  </div>
+                  {authMode === 'login' ? 'Create one' : 'Log in'}
                 </button>
-              ))}
+              </p>
             </div>
-          </div>
+          ) : (
+            <>
+              {/* Algorithm Selection */}
+              <div className="section-card glass-card">
+                <h2 className="section-title">{comparing ? 'Select Algorithms to Compare' : 'Select Algorithm'}</h2>
+                {(activeTab === 'text' || activeTab === 'file') && (
+                  <label className="compare-toggle">
+                    <input
+                      type="checkbox"
+                      checked={compareMode}
+                      onChange={(e) => setCompareMode(e.target.checked)}
+                    />
+                    Compare algorithms side by side
+                  </label>
+                )}
+                <div className="algorithm-grid">
+                  {algorithms.map((algo) => (
+                    <button
+                      key={algo.id}
+                      onClick={() => (comparing ? toggleCompareModel(algo.id) : handleModelChange(algo.id))}
+                      title={algo.description}
+                      aria-pressed={comparing ? compareModels.includes(algo.id) : model === algo.id}
+                      className={`algorithm-card ${(comparing ? compareModels.includes(algo.id) : model === algo.id) ? 'algorithm-card-active' : ''}`}
+                    >
+                      <div className="algorithm-content">
+                        <div className="algorithm-icon">{algo.icon}</div>
+                        <div className="algorithm-name">{algo.name}</div>
+                      </div>
+                    </button>
+                  ))}
+                </div>
+                {algorithms.length === 0 && (
+                  <p className="length-help-text">Loading algorithms...</p>
+                )}
 
-          {/* Input Selection */}
-          <div className="section-card glass-card">
-            <h2 className="section-title">Input Method</h2>
-            <div className="tab-grid">
-              <button
-                onClick={() => setActiveTab('text')}
-                className={`tab-button ${activeTab === 'text' ? 'tab-button-active' : ''}`}
-              >
-                <FileText className="tab-icon" size={36} />
-                Text Input
-              </button>
-              <button
-                onClick={() => setActiveTab('pdf')}
-                className={`tab-button ${activeTab === 'pdf' ? 'tab-button-active' : ''}`}
-              >
-                <Upload className="tab-icon" size={36} />
-                PDF File
-              </button>
+                {comparing && (
+                  <p className="length-help-text">
+                    Every algorithm runs with its default options; the summary length settings below apply to all of them.
+                  </p>
+                )}
+
+                {/* Algorithm Options */}
+                {!comparing && selectedAlgorithm && selectedAlgorithm.options.length > 0 && (
+                  <div className="length-control">
+                    <p className="algorithm-description">{selectedAlgorithm.description}</p>
+                    {selectedAlgorithm.options.map((option) => (
+                      <div key={option.name} className="option-row">
+                        <label htmlFor={`option-${option.name}`} className="option-label">
+                          {option.label}
+                        </label>
+                        <input
+                          id={`option-${option.name}`}
+                          type="range"
+                          min={option.min}
+                          max={option.max}
+                          step={option.step}
+                          value={modelOptions[option.name] ?? option.default}
+                          onChange={(e) => setModelOptions({ ...modelOptions, [option.name]: Number(e.target.value) })}
+                          className="length-slider"
+                        />
+                        <span className="length-value">
+                          {modelOptions[option.name] ?? option.default}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {/* Summary Length */}
+                <div className="length-control">
+                  <div className="length-mode-grid">
+                    {lengthModes.map((mode) => (
+                      <button
+                        key={mode.id}
+                        onClick={() => handleLengthModeChange(mode.id)}
+                        className={`length-mode-button ${lengthMode === mode.id ? 'length-mode-button-active' : ''}`}
+                      >
+                        {mode.name}
+                      </button>
+                    ))}
+                  </div>
+                  {currentLengthMode.param ? (
+                    <div className="length-slider-row">
+                      <input
+                        type="range"
+                        min={currentLengthMode.min}
+                        max={currentLengthMode.max}
+                        step={currentLengthMode.step}
+                        value={lengthValue}
+                        onChange={(e) => setLengthValue(Number(e.target.value))}
+                        className="length-slider"
+                      />
+                      <span className="length-value">
+                        {lengthValue}{currentLengthMode.unit}
+                      </span>
+                    </div>
+                  ) : (
+                    <p className="length-help-text">Summary length is chosen by the selected algorithm</p>
+                  )}
+                  {selectionOptions.map((option) => (
+                    <div key={option.name} className="option-row">
+                      <label htmlFor={`selection-${option.name}`} className="option-label">
+                        {option.label}
+                      </label>
+                      <input
+                        id={`selection-${option.name}`}
+                        type="range"
+                        min={option.min}
+                        max={option.max}
+                        step={option.step}
+                        value={selectionValues[option.name] ?? option.default}
+                        onChange={(e) => setSelectionValues({ ...selectionValues, [option.name]: Number(e.target.value) })}
+                        className="length-slider"
+                      />
+                      <span className="length-value">
+                        {selectionValues[option.name] ?? option.default}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+
+                {/* Long Documents */}
+                <div className="length-control">
+                  <p className="algorithm-description">Long documents</p>
+                  <div className="length-mode-grid">
+                    {hierarchyModes.map((mode) => (
+                      <button
+                        key={mode.id}
+                        onClick={() => setHierarchyMode(mode.id)}
+                        className={`length-mode-button ${hierarchyMode === mode.id ? 'length-mode-button-active' : ''}`}
+                      >
+                        {mode.name}
+                      </button>
+                    ))}
+                  </div>
+                  {hierarchyMode === 'off' ? (
+                    <p className="length-help-text">Every document is summarized in one pass</p>
+                  ) : (
+                    hierarchyOptions.map((option) => (
+                      <div key={option.name} className="option-row">
+                        <label htmlFor={`hierarchy-${option.name}`} className="option-label">
+                          {option.label}
+                        </label>
+                        <input
+                          id={`hierarchy-${option.name}`}
+                          type="range"
+                          min={option.min}
+                          max={option.max}
+                          step={option.step}
+                          value={hierarchyValues[option.name] ?? option.default}
+                          onChange={(e) => setHierarchyValues({ ...hierarchyValues, [option.name]: Number(e.target.value) })}
+                          className="length-slider"
+                        />
+                        <span className="length-value">
+                          {hierarchyValues[option.name] ?? option.default}
+                        </span>
+                      </div>
+                    ))
+                  )}
+                </div>
+
+                {/* Query Focus */}
+                <div className="length-control">
+                  <p className="algorithm-description">
+                    <label htmlFor="summary-query">Focus on (optional)</label>
+                  </p>
+                  <input
+                    id="summary-query"
+                    type="text"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    placeholder="ಪ್ರಶ್ನೆ ಅಥವಾ ಪದಗಳು (query or keywords)"
+                    maxLength={500}
+                    className="text-input query-input kannada-text"
+                  />
+                  <p className="length-help-text">
+                    {query.trim()
+                      ? 'Sentences containing these words are preferred (TextRank, Hybrid and Advanced)'
+                      : 'Leave empty for a general summary'}
+                  </p>
+                </div>
+
+                {/* Input Language */}
+                {validationRule && (
+                  <div className="length-control">
+                    <p className="algorithm-description">Input language</p>
+                    <div className="length-mode-grid">
+                      {validationRule.languageModes.map((mode) => (
+                        <button
+                          key={mode.name}
+                          onClick={() => setLanguageMode(mode.name)}
+                          className={`length-mode-button ${languageMode === mode.name ? 'length-mode-button-active' : ''}`}
+                        >
+                          {mode.label}
+                        </button>
+                      ))}
+                    </div>
+                    {languageMode === 'mixed' ? (
+                      <>
+                        <p className="length-help-text">
+                          Only sentences that are at least {validationRule.segmentKannadaPercentage}% Kannada script are summarized. Sentences in other languages:
+                        </p>
+                        <div className="length-mode-grid">
+                          {validationRule.otherLanguageOptions.map((option) => (
+                            <button
+                              key={option.name}
+                              onClick={() => setOtherLanguage(option.name)}
+                              className={`length-mode-button ${otherLanguage === option.name ? 'length-mode-button-active' : ''}`}
+                            >
+                              {option.label}
+                            </button>
+                          ))}
+                        </div>
+                      </>
+                    ) : (
+                      <p className="length-help-text">
+                        The text must be at least {validationRule.minKannadaPercentage}% Kannada script
+                      </p>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {/* Input Selection */}
+              <div className="section-card glass-card">
+                <h2 className="section-title">Input Method</h2>
+                <div className="tab-grid">
+                  <button
+                    onClick={() => setActiveTab('text')}
+                    className={`tab-button ${activeTab === 'text' ? 'tab-button-active' : ''}`}
+                  >
+                    <FileText className="tab-icon" size={36} />
+                    Text Input
+                  </button>
+                  <button
+                    onClick={() => setActiveTab('file')}
+                    className={`tab-button ${activeTab === 'file' ? 'tab-button-active' : ''}`}
+                  >
+                    <Upload className="tab-icon" size={36} />
+                    Upload File
+                  </button>
+                  <button
+                    onClick={() => setActiveTab('multi')}
+                    className={`tab-button ${activeTab === 'multi' ? 'tab-button-active' : ''}`}
+                  >
+                    <Files className="tab-icon" size={36} />
+                    Multiple Files
+                  </button>
+                  <button
+                    onClick={() => setActiveTab('article')}
+                    className={`tab-button ${activeTab === 'article' ? 'tab-button-active' : ''}`}
+                  >
+                    <Globe className="tab-icon" size={36} />
+                    Web Article
+                  </button>
+                </div>
+
+                {/* Input Area */}
+                <div className="input-section">
+                  {activeTab === 'text' && (
+                    <textarea
+                      value={text}
+                      onChange={(e) => setText(e.target.value)}
+                      placeholder="ಇಲ್ಲಿ ಕನ್ನಡ ಪಠ್ಯವನ್ನು ನಮೂದಿಸಿ... (Enter Kannada text here...)"
+                      className="text-input kannada-text"
+                    />
+                  )}
+
+                  {activeTab === 'file' && (
+                    <div className="file-upload-zone">
+                      <Upload className="upload-icon" size={64} />
+                      <input
+                        type="file"
+                        accept={documentExtensions}
+                        onChange={handleFileChange}
+                        className="file-input"
+                        id="file-upload"
+                      />
+                      <label htmlFor="file-upload" className="file-label">
+                        Click to upload a document
+                      </label>
+                      <p className="file-help-text">PDF, Word (.docx), OpenDocument, RTF, EPUB, HTML or text · Maximum file size: 50MB</p>
+                      {file && (
+                        <div className="file-info">
+                          <p className="file-name">📄 {file.name}</p>
+                          <p className="file-size">{(file.size / 1024).toFixed(2)} KB</p>
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {activeTab === 'multi' && (
+                    <div className="file-upload-zone">
+                      <Files className="upload-icon" size={64} />
+                      <input
+                        type="file"
+                        accept={documentExtensions}
+                        multiple
+                        onChange={handleMultiFileChange}
+                        className="file-input"
+                        id="multi-file-upload"
+                      />
+                      <label htmlFor="multi-file-upload" className="file-label">
+                        Click to add documents
+                      </label>
+                      <p className="file-help-text">Up to 10 documents about the same topic, 10MB each</p>
+                      {multiFiles.length > 0 && (
+                        <ul className="multi-file-list">
+                          {multiFiles.map((multiFile, index) => (
+                            <li key={`${multiFile.name}-${index}`} className="multi-file-item">
+                              <span className="file-name">📄 {multiFile.name}</span>
+                              <span className="file-size">{(multiFile.size / 1024).toFixed(2)} KB</span>
+                              <button onClick={() => removeMultiFile(index)} className="multi-file-remove" title="Remove file">
+                                <X size={18} />
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      <textarea
+                        value={multiText}
+                        onChange={(e) => setMultiText(e.target.value)}
+                        placeholder="ಹೆಚ್ಚುವರಿ ಪಠ್ಯ (optional: paste another report here)"
+                        className="text-input multi-text-input kannada-text"
+                      />
+                    </div>
+                  )}
+
+                  {activeTab === 'article' && (
+                    <div>
+                      <input
+                        type="url"
+                        value={articleUrl}
+                        onChange={(e) => setArticleUrl(e.target.value)}
+                        placeholder="https://... (news article or blog post in Kannada)"
+                        className="text-input article-url-input"
+                      />
+                      <textarea
+                        value={articleHtml}
+                        onChange={(e) => setArticleHtml(e.target.value)}
+                        placeholder="Optional: paste the page HTML instead (for pages the server cannot reach). The URL is then only recorded as the source."
+                        className="text-input multi-text-input"
+                      />
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {/* Generate Summary Button */}
               <button
-                onClick={() => setActiveTab('word')}
-                className={`tab-button ${activeTab === 'word' ? 'tab-button-active' : ''}`}
+                onClick={comparing
+                  ? handleCompare
+                  : { text: handleTextSummarize, multi: handleMultiSummarize, article: handleArticleSummarize }[activeTab] || handleFileUpload}
+                disabled={loading || {
+                  text: !text.trim(),
+                  multi: multiFiles.length + (multiText.trim() ? 1 : 0) < 2,
+                  article: !articleUrl.trim() && !articleHtml.trim(),
+                }[activeTab] || (activeTab === 'file' && !file) || (comparing && compareModels.length < 2)}
+                className="generate-button"
               >
-                <Upload className="tab-icon" size={36} />
-                Word File
+                {loading && jobProgress ? (
+                  <>
+                    {jobStageLabels[jobProgress.stage] || 'Processing'}… {jobProgress.progress}%
+                  </>
+                ) : loading ? (
+                  <>
+                    <Loader2 className="spinner" size={32} />
+                    Processing...
+                  </>
+                ) : comparing ? (
+                  <>
+                    <Columns3 size={32} />
+                    Compare {compareModels.length} Algorithms
+                  </>
+                ) : (
+                  <>
+                    <Sparkles size={32} />
+                    Generate Summary
+                  </>
+                )}
               </button>
-            </div>
 
-            {/* Input Area */}
-            <div className="input-section">
-              {activeTab === 'text' && (
-                <textarea
-                  value={text}
-                  onChange={(e) => setText(e.target.value)}
-                  placeholder="ಇಲ್ಲಿ ಕನ್ನಡ ಪಠ್ಯವನ್ನು ನಮೂದಿಸಿ... (Enter Kannada text here...)"
-                  className="text-input kannada-text"
-                />
+              {jobProgress && (
+                <div
+                  className="job-progress"
+                  role="progressbar"
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  aria-valuenow={jobProgress.progress}
+                >
+                  <div className="job-progress-fill" style={{ width: `${jobProgress.progress}%` }} />
+                </div>
               )}
 
-              {(activeTab === 'pdf' || activeTab === 'word') && (
-                <div className="file-upload-zone">
-                  <Upload className="upload-icon" size={64} />
-                  <input
-                    type="file"
-                    accept={activeTab === 'pdf' ? '.pdf' : '.doc,.docx'}
-                    onChange={handleFileChange}
-                    className="file-input"
-                    id="file-upload"
-                  />
-                  <label htmlFor="file-upload" className="file-label">
-                    Click to upload {activeTab === 'pdf' ? 'PDF' : 'Word'} file
-                  </label>
-                  <p className="file-help-text">Maximum file size: 10MB</p>
-                  {file && (
-                    <div className="file-info">
-                      <p className="file-name">📄 {file.name}</p>
-                      <p className="file-size">{(file.size / 1024).toFixed(2)} KB</p>
+              {/* Error Message */}
+              {error && (
+                <div className="alert-error">
+                  <div className="alert-content">
+                    <AlertCircle className="alert-icon" size={32} />
+                    <div>
+                      <h3 className="alert-title">Error</h3>
+                      <p className="alert-message">{error}</p>
+                      {kannadaPercentage !== null && (
+                        <p className="alert-info">
+                          Detected Kannada content: {kannadaPercentage}%
+                        </p>
+                      )}
+                      {conversion && (
+                        <p className="alert-info">
+                          Converted {conversion.lines} lines from the legacy {legacyEncodingNames[conversion.from] || conversion.from} font encoding
+                        </p>
+                      )}
                     </div>
-                  )}
+                  </div>
                 </div>
               )}
-            </div>
-          </div>
 
-          {/* Generate Summary Button */}
-          <button
-            onClick={activeTab === 'text' ? handleTextSummarize : handleFileUpload}
-            disabled={loading || (activeTab === 'text' ? !text.trim() : !file)}
-            className="generate-button"
-          >
-            {loading ? (
-              <>
-                <Loader2 className="spinner" size={32} />
-                Processing...
-              </>
-            ) : (
-              <>
-                <Sparkles size={32} />
-                Generate Summary
-              </>
-            )}
-          </button>
-
-          {/* Error Message */}
-          {error && (
-            <div className="alert-error">
-              <div className="alert-content">
-                <AlertCircle className="alert-icon" size={32} />
-                <div>
-                  <h3 className="alert-title">Error</h3>
-                  <p className="alert-message">{error}</p>
-                  {kannadaPercentage !== null && (
-                    <p className="alert-info">
-                      Detected Kannada content: {kannadaPercentage}%
+              {/* Algorithm Comparison */}
+              {comparison && (
+                <div className="section-card glass-card">
+                  <h2 className="section-title">Algorithm Comparison</h2>
+                  {languageReport && languageReport.excluded.length > 0 && (
+                    <p className="length-help-text">
+                      {languageReport.excluded.length} sentence{languageReport.excluded.length === 1 ? '' : 's'} in other languages left out of the comparison
                     </p>
                   )}
+                  <div className="compare-legend">
+                    <span className="compare-sentence compare-all">Chosen by all</span>
+                    <span className="compare-sentence compare-some">Chosen by some</span>
+                    <span className="compare-sentence compare-one">Chosen by only one</span>
+                  </div>
+                  <div className="compare-columns">
+                    {comparison.results.map((result) => (
+                      <div key={result.model} className="compare-column">
+                        <h3 className="compare-name">
+                          {algorithms.find((algo) => algo.id === result.model)?.icon} {result.name}
+                        </h3>
+                        {result.fallback && (
+                          <p className="compare-fallback" title={result.fallback.reason}>
+                            Language model unavailable: {algorithmName(result.fallback.model)} answered instead
+                          </p>
+                        )}
+                        <dl className="compare-stats">
+                          <dt>Words</dt>
+                          <dd>{result.statistics.summaryWords}</dd>
+                          <dt>Sentences</dt>
+                          <dd>{result.statistics.summarySentences}</dd>
+                          <dt>Compression</dt>
+                          <dd>{Math.round(result.statistics.compressionRatio * 100)}%</dd>
+                          <dt>Runtime</dt>
+                          <dd>{result.runtimeMs} ms</dd>
+                        </dl>
+                        <div className="kannada-text">
+                          {result.sentences.map((sentence, index) => (
+                            <p
+                              key={index}
+                              className={`compare-sentence compare-${sentence.agreement}`}
+                              title={`Chosen by ${sentence.chosenBy
+                                .map((id) => algorithms.find((algo) => algo.id === id)?.name || id)
+                                .join(', ')}`}
+                            >
+                              {sentence.text}
+                              {sentence.matchedTerms && sentence.matchedTerms.length > 0 && (
+                                <span className="query-matches">{sentence.matchedTerms.join(', ')}</span>
+                              )}
+                            </p>
+                          ))}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+
+                  <h3 className="compare-subtitle">Shared sentences</h3>
+                  <table className="compare-overlap">
+                    <thead>
+                      <tr>
+                        <th />
+                        {comparison.results.map((result) => <th key={result.model}>{result.name}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comparison.results.map((row) => (
+                        <tr key={row.model}>
+                          <th>{row.name}</th>
+                          {comparison.results.map((column) => {
+                            if (column.model === row.model) return <td key={column.model}>—</td>;
+                            const pair = comparison.overlap.find((entry) => entry.models.includes(row.model) && entry.models.includes(column.model));
+                            return (
+                              <td key={column.model} title="Shared sentences (Jaccard overlap)">
+                                {pair.shared} ({Math.round(pair.jaccard * 100)}%)
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
                 </div>
-              </div>
-            </div>
-          )}
+              )}
 
-          {/* Summary Result */}
-          {summary && (
-            <div className="summary-box">
-              <div className="summary-header">
-                <div>
-                  <h3 className="summary-title">
-                    <span className="summary-emoji">✨</span>
-                    Summarized Text
-                  </h3>
-                  {kannadaPercentage && (
-                    <p className="summary-percentage">
-                      Kannada content: {kannadaPercentage}%
-                    </p>
+              {/* Summary Result */}
+              {summary && (
+                <div className="summary-box">
+                  <div className="summary-header">
+                    <div>
+                      <h3 className="summary-title">
+                        <span className="summary-emoji">✨</span>
+                        Summarized Text
+                      </h3>
+                      {article && article.title && (
+                        <p className="article-title kannada-text">{article.title}</p>
+                      )}
+                      {article && article.sourceUrl && (
+                        <a href={article.sourceUrl} target="_blank" rel="noopener noreferrer" className="article-source">
+                          {article.sourceUrl}
+                        </a>
+                      )}
+                      {kannadaPercentage && (
+                        <p className="summary-percentage">
+                          Kannada content: {kannadaPercentage}%
+                        </p>
+                      )}
+                      {conversion && (
+                        <p className="summary-percentage">
+                          Converted from {legacyEncodingNames[conversion.from] || conversion.from} font encoding to Unicode
+                        </p>
+                      )}
+                      {fallback && (
+                        <p className="summary-percentage summary-fallback">
+                          The language model could not be reached, so {algorithmName(fallback.model)} summarized the text instead ({fallback.reason})
+                        </p>
+                      )}
+                      {cachedResult && (
+                        <p className="summary-percentage summary-cached">
+                          Loaded from cache: this document was summarized with the same settings before.
+                          {lastRequest && (
+                            <button onClick={recomputeSummary} disabled={loading} className="recompute-btn">
+                              <RotateCcw size={16} />
+                              Recompute
+                            </button>
+                          )}
+                        </p>
+                      )}
+                    </div>
+                    <div className="download-menu">
+                      <button
+                        onClick={() => setDownloadMenuOpen(!downloadMenuOpen)}
+                        className="download-btn"
+                        disabled={!summaryId}
+                        aria-haspopup="menu"
+                        aria-expanded={downloadMenuOpen}
+                      >
+                        <Download size={24} />
+                        Download
+                        <ChevronDown size={20} />
+                      </button>
+                      {downloadMenuOpen && (
+                        <ul className="download-options" role="menu">
+                          {exportFormats.map((format) => (
+                            <li key={format.id} role="none">
+                              <button
+                                role="menuitem"
+                                onClick={() => downloadExport(format.id)}
+                                className="download-option"
+                              >
+                                {format.label}
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  </div>
+                  <div className="summary-content">
+                    {summarySentences && sourceDocuments ? (
+                      <div className="summary-text kannada-text">
+                        {summarySentences.map((sentence, index) => (
+                          <p key={index} className="source-sentence">
+                            <span className="source-badge" title={sourceDocuments[sentence.document].name}>
+                              {sourceDocuments[sentence.document].name}
+                            </span>
+                            {markActiveTerm(sentence.text, `source-${index}`)}
+                          </p>
+                        ))}
+                      </div>
+                    ) : (
+                      <p className="summary-text kannada-text">{markActiveTerm(summary, 'summary')}</p>
+                    )}
+                  </div>
+                  {sourceDocuments && (
+                    <div className="source-list">
+                      {sourceDocuments.map((doc) => (
+                        <span key={doc.name} className="source-stat">
+                          {doc.name}: {doc.selected} of {doc.sentences} sentences used
+                          {doc.duplicates > 0 && `, ${doc.duplicates} duplicate${doc.duplicates === 1 ? '' : 's'} removed`}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  {queryReport && (
+                    <details className="excluded-panel" open>
+                      <summary className="excluded-title">
+                        Query words ({queryReport.terms.join(', ')}) in {queryReport.sentences.filter((sentence) => sentence.matchedTerms.length > 0).length} of {queryReport.sentences.length} summary sentences
+                      </summary>
+                      <ul className="excluded-list kannada-text">
+                        {queryReport.sentences.map((sentence, index) => (
+                          <li key={index}>
+                            {sentence.text}
+                            {sentence.matchedTerms.length > 0
+                              ? <span className="query-matches">{sentence.matchedTerms.join(', ')}</span>
+                              : <span className="query-matches query-matches-none">no query words</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    </details>
+                  )}
+                  {languageReport && languageReport.excluded.length > 0 && (
+                    <details className="excluded-panel">
+                      <summary className="excluded-title">
+                        {languageReport.excluded.length} sentence{languageReport.excluded.length === 1 ? '' : 's'} in other languages
+                        {languageReport.otherLanguage === 'keep' ? ' kept unchanged after the summary' : ' left out of the summary'}
+                      </summary>
+                      <ul className="excluded-list">
+                        {languageReport.excluded.map((segment, index) => (
+                          <li key={index}>
+                            {segment.document && <span className="source-badge">{segment.document}</span>}
+                            {segment.text}
+                          </li>
+                        ))}
+                      </ul>
+                      {languageReport.excludedTruncated && (
+                        <p className="length-help-text">Only the first excluded sentences were stored</p>
+                      )}
+                    </details>
+                  )}
+                  {keywords && (keywords.keywords.length > 0 || keywords.keyphrases.length > 0) && (
+                    <div className="keyword-panel">
+                      {[['Keywords', keywords.keywords], ['Keyphrases', keywords.keyphrases]].map(([label, terms]) => (
+                        terms.length > 0 && (
+                          <div key={label} className="keyword-group">
+                            <span className="keyword-group-label">{label}</span>
+                            <div className="keyword-chips">
+                              {terms.map((term) => (
+                                <button
+                                  key={term.text}
+                                  onClick={() => toggleTerm(term)}
+                                  className={`keyword-chip kannada-text ${activeTerm && activeTerm.text === term.text ? 'keyword-chip-active' : ''}`}
+                                  title={term.count === undefined
+                                    ? `Score ${term.score.toFixed(2)}`
+                                    : `Score ${term.score.toFixed(2)} · ${term.count} occurrence${term.count === 1 ? '' : 's'}`}
+                                >
+                                  {term.text}
+                                </button>
+                              ))}
+                            </div>
+                          </div>
+                        )
+                      ))}
+                    </div>
                   )}
                 </div>
-                <button onClick={downloadSummary} className="download-btn">
-                  <Download size={24} />
-                  Download
-                </button>
-              </div>
-              <div className="summary-content">
-                <p className="summary-text kannada-text">{summary}</p>
+              )}
+
+              {/* Statistics */}
+              {summary && statistics && (
+                <div className="section-card glass-card">
+                  <h2 className="section-title">Statistics</h2>
+                  <div className="stats-grid">
+                    <div className="stats-tile">
+                      <span className="stats-value">{Math.round(statistics.compressionRatio * 100)}%</span>
+                      <span className="stats-label">of the original words kept</span>
+                    </div>
+                    <div className="stats-tile">
+                      <span className="stats-value">{statistics.readingMinutesSaved} min</span>
+                      <span className="stats-label">
+                        reading time saved ({statistics.originalReadingMinutes} → {statistics.summaryReadingMinutes} min)
+                      </span>
+                    </div>
+                    <div className="stats-tile">
+                      <span className="stats-value">{statistics.summaryKannadaPercentage}%</span>
+                      <span className="stats-label">Kannada script in the summary</span>
+                    </div>
+                    {statistics.pageCount && (
+                      <div className="stats-tile">
+                        <span className="stats-value">{statistics.pageCount}</span>
+                        <span className="stats-label">PDF page{statistics.pageCount === 1 ? '' : 's'}</span>
+                      </div>
+                    )}
+                  </div>
+                  <table className="stats-table">
+                    <thead>
+                      <tr>
+                        <th />
+                        <th>Original</th>
+                        <th>Summary</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {['Sentences', 'Words', 'Characters'].map((key) => (
+                        <tr key={key}>
+                          <th>{key}</th>
+                          <td>{statistics[`original${key}`].toLocaleString('en-IN')}</td>
+                          <td>{statistics[`summary${key}`].toLocaleString('en-IN')}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {/* Section Summaries */}
+              {summary && summaryTree && summaryTree.children && (
+                <div className="section-card glass-card">
+                  <h2 className="section-title">Section Summaries</h2>
+                  <p className="explain-help-text">
+                    This document was summarized section by section. Open a section to read its own summary.
+                  </p>
+                  <div className="tree-list">{renderTreeNodes(summaryTree.children, 'tree')}</div>
+                </div>
+              )}
+
+              {/* Source Highlighting */}
+              {summary && explanation && originalText && (
+                <div className="section-card glass-card">
+                  <h2 className="section-title">Why These Sentences?</h2>
+                  <p className="explain-help-text">
+                    Highlighted sentences were chosen for the summary. Hover over any sentence to see its score breakdown.
+                  </p>
+                  <div className="explain-text kannada-text">{renderHighlightedText()}</div>
+                </div>
+              )}
+
+              {/* History */}
+              <div className="section-card glass-card">
+                <h2 className="section-title">
+                  Your Summaries
+                  {historyTotal > 0 && <span className="history-count">{historyTotal}</span>}
+                </h2>
+                <form onSubmit={handleHistorySearch} className="history-filters">
+                  <div className="history-search">
+                    <Search size={18} />
+                    <input
+                      type="search"
+                      value={historySearch}
+                      onChange={(e) => setHistorySearch(e.target.value)}
+                      placeholder="ಹುಡುಕಿ... (Search your summaries)"
+                      className="history-search-input kannada-text"
+                    />
+                    <button type="submit" className="history-button">Search</button>
+                  </div>
+                  <select
+                    value={historyFilters.model}
+                    onChange={(e) => updateHistoryFilters({ model: e.target.value })}
+                    className="history-select"
+                    aria-label="Algorithm"
+                  >
+                    <option value="">All algorithms</option>
+                    {algorithms.map((algo) => (
+                      <option key={algo.id} value={algo.id}>{algo.name}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={historyFilters.fileType}
+                    onChange={(e) => updateHistoryFilters({ fileType: e.target.value })}
+                    className="history-select"
+                    aria-label="Source type"
+                  >
+                    <option value="">All sources</option>
+                    {Object.entries(fileTypeNames).map(([id, name]) => (
+                      <option key={id} value={id}>{name}</option>
+                    ))}
+                  </select>
+                  <label className="history-date">
+                    From
+                    <input
+                      type="date"
+                      value={historyFilters.from}
+                      onChange={(e) => updateHistoryFilters({ from: e.target.value })}
+                      className="history-select"
+                    />
+                  </label>
+                  <label className="history-date">
+                    To
+                    <input
+                      type="date"
+                      value={historyFilters.to}
+                      onChange={(e) => updateHistoryFilters({ to: e.target.value })}
+                      className="history-select"
+                    />
+                  </label>
+                  <select
+                    value={historyFilters.sort}
+                    onChange={(e) => updateHistoryFilters({ sort: e.target.value })}
+                    className="history-select"
+                    aria-label="Sort"
+                  >
+                    {historySorts.map((sort) => (
+                      <option key={sort.id} value={sort.id}>{sort.label}</option>
+                    ))}
+                  </select>
+                  {historyFiltered && (
+                    <button type="button" onClick={clearHistoryFilters} className="history-button">
+                      <X size={18} />
+                      Clear
+                    </button>
+                  )}
+                </form>
+                {historyError && <p className="history-error">{historyError}</p>}
+                {history.length === 0 ? (
+                  <p className="explain-help-text">
+                    {historyLoading
+                      ? 'Loading…'
+                      : historyFiltered ? 'No summaries match.' : 'Summaries you create are saved here.'}
+                  </p>
+                ) : (
+                  <ul className="history-list">
+                    {history.map((item) => (
+                      <li key={item._id} className={`history-item ${item._id === summaryId ? 'history-item-active' : ''}`}>
+                        <div className="history-meta">
+                          <span>{new Date(item.createdAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}</span>
+                          <span className="history-badge">
+                            {algorithms.find((algo) => algo.id === item.model)?.name || item.model}
+                          </span>
+                          <span className="history-badge">{fileTypeNames[item.fileType] || item.fileType}</span>
+                        </div>
+                        {item.title && <p className="history-title kannada-text">{item.title}</p>}
+                        <p className="history-preview kannada-text">
+                          {item.summarizedText.length > 180 ? `${item.summarizedText.slice(0, 180)}…` : item.summarizedText}
+                        </p>
+                        <div className="history-actions">
+                          <button onClick={() => openHistoryItem(item._id)} disabled={loading} className="history-button">
+                            <FolderOpen size={18} />
+                            Open
+                          </button>
+                          <select
+                            value={rerunModels[item._id] || model}
+                            onChange={(e) => setRerunModels({ ...rerunModels, [item._id]: e.target.value })}
+                            className="history-select"
+                            aria-label="Algorithm for re-run"
+                          >
+                            {algorithms.map((algo) => (
+                              <option key={algo.id} value={algo.id}>{algo.name}</option>
+                            ))}
+                          </select>
+                          <button onClick={() => rerunHistoryItem(item)} disabled={loading} className="history-button">
+                            <RotateCcw size={18} />
+                            Re-run
+                          </button>
+                          <button onClick={() => deleteHistoryItem(item)} disabled={loading} className="history-button history-button-delete">
+                            <Trash2 size={18} />
+                            Delete
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {historyTotal > HISTORY_PAGE_SIZE && (
+                  <div className="history-pagination">
+                    <button
+                      onClick={() => setHistoryCursors(historyCursors.slice(0, -1))}
+                      disabled={historyCursors.length <= 1 || historyLoading}
+                      className="history-button"
+                    >
+                      Previous
+                    </button>
+                    <span>Page {historyCursors.length} of {Math.ceil(historyTotal / HISTORY_PAGE_SIZE)}</span>
+                    <button
+                      onClick={() => setHistoryCursors([...historyCursors, historyNextCursor])}
+                      disabled={!historyNextCursor || historyLoading}
+                      className="history-button"
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
               </div>
-            </div>
+            </>
           )}
         </div>
       </div>